@@ -93,10 +93,13 @@ class Example {
       if (!buffer.hasData())
         return;
       let telegram = new WirelessMBusTelegram(buffer.fetch());
-      meter.processTelegramData(telegram);
+
+      // Skip filtered telegrams and telegrams which couldn't be decrypted
+      if (!meter.processTelegramData(telegram))
+        return;
       // Just write data to console
       let stats = statistics.getMeterStats(meter, telegram);
-      console.log(`${stats.description} ${stats.deviceType}, ${stats.initTargetValue} -> ${stats.currentValue} = ${stats.monthUsage}, delta: ${stats.deltaTargetValue} -> ${stats.deltaValue}`);
+      console.log(`${stats.meterId} ${stats.description} ${stats.deviceType}, ${stats.initTargetValue} -> ${stats.currentValue} = ${stats.monthUsage}, delta: ${stats.deltaTargetValue} -> ${stats.deltaValue}`);
 
       // Write composed data to csv file, one row for one meter per day
       this.writeCSV(stats);
@@ -108,7 +111,7 @@ class Example {
         let stats = statistics.getStats()
         Object.keys(stats).forEach(key => {
           if (stats[key])
-            console.log(`Meter: ${stats[key].description} Count telegrams: ${stats[key].counter}`);
+            console.log(`Meter: ${stats[key].meterId} ${stats[key].description} Count telegrams: ${stats[key].counter}`);
           else
             console.log(`No meter data for: ${meter.describeMeterData(meterData.get(key))}`);
         });
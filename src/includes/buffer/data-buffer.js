@@ -47,7 +47,7 @@ class DataBuffer {
   }
   // Notify listeners which extends onPush callback
   this._listeners.forEach((listener, listenerKey) => {
-    if (listener.hasOwnProperty('onPush'))
+    if (typeof listener.onPush === 'function')
       listener.onPush(packet);
   });
   }
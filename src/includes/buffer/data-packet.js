@@ -14,6 +14,15 @@ class DataPacket {
   *     Timestamp for this data packet, default to current time
   *   - tag
   *     Additional tag for this data packet.
+  *   - fragments
+  *     Original data packets, if this packet is reassembled from fragments.
+  *   - rssi
+  *     Received signal strength in dBm, if provided by reader.
+  *   - deviceTimestamp
+  *     Receive timestamp of reader device, if provided by reader. Unit is
+  *     device specific.
+  *   - linkMode
+  *     Link mode of reader, like 'C1' or 'T1', if known.
   */
   constructor(buffer, options = {}) {
     this._buffer = buffer;
@@ -23,6 +32,18 @@ class DataPacket {
 
     this._tag = options.hasOwnProperty('tag') ?
       options.tag : null;      
+
+    this._fragments = options.hasOwnProperty('fragments') ?
+      options.fragments : [];
+
+    this._rssi = options.hasOwnProperty('rssi') ?
+      options.rssi : null;
+
+    this._deviceTimestamp = options.hasOwnProperty('deviceTimestamp') ?
+      options.deviceTimestamp : null;
+
+    this._linkMode = options.hasOwnProperty('linkMode') ?
+      options.linkMode : null;
   }
 
   /**
@@ -51,6 +72,52 @@ class DataPacket {
   getTag() {
     return this._tag;
   }
+
+  /**
+  * Returns original data packets of reassembled packet.
+  *
+  * @return fragments
+  *   Array of data packets, empty if packet is not reassembled.
+  */
+  getFragments() {
+    return this._fragments;
+  }
+
+  /**
+  * Returns received signal strength.
+  *
+  * @return RSSI in dBm or null if not available
+  */
+  getRssi() {
+    return this._rssi;
+  }
+
+  /**
+  * Returns receive timestamp of reader device.
+  *
+  * @return device timestamp or null if not available
+  */
+  getDeviceTimestamp() {
+    return this._deviceTimestamp;
+  }
+
+  /**
+  * Returns link mode packet was received with.
+  *
+  * @return link mode or null if not known
+  */
+  getLinkMode() {
+    return this._linkMode;
+  }
+
+  /**
+  * Check if packet is reassembled from fragments.
+  *
+  * @return boolean is reassembled
+  */
+  isReassembled() {
+    return this._fragments.length > 0;
+  }
 }
 
 export default DataPacket;
\ No newline at end of file
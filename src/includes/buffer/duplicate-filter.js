@@ -0,0 +1,216 @@
+import crypto from 'crypto'
+import LinkLayer from './../telegram/link-layer'
+import HeaderParser from './../telegram/header-parser'
+
+/**
+* Suppresses duplicate telegrams. Meters may send the same telegram several
+* times and repeaters retransmit telegrams, so the same message is often
+* received more than once. Copies are recognized by meter address, access
+* number and hash of payload following the headers. Repeated copy differs
+* from the original only by hop (H) bit of communication control field, which
+* is excluded from the hash.
+*
+* Filter acts as data buffer listener. First copy of each message is pushed
+* to target buffer:
+*
+*   let duplicates = new DuplicateFilter({ buffer: targetBuffer });
+*   readerBuffer.registerListener('duplicates', duplicates);
+*/
+class DuplicateFilter {
+
+  /**
+  * Construct duplicate filter.
+  *
+  * @param options with following keys:
+  *   - buffer
+  *     Target data buffer for unique packets.
+  *   - window
+  *     Milliseconds within copies are considered duplicates, defaults to 30
+  *     seconds.
+  *   - frameFormat
+  *     Frame format of incoming packets, see LinkLayer.decode().
+  */
+  constructor(options = {}) {
+    this._buffer = options.hasOwnProperty('buffer') ? options.buffer : null;
+
+    this._window = options.hasOwnProperty('window') ?
+      options.window : 30000;
+
+    this._frameFormat = options.hasOwnProperty('frameFormat') ?
+      options.frameFormat : 'auto';
+
+    // Seen messages by key
+    this._messages = new Map();
+
+    this._stats = {
+      received: 0,
+      passed: 0,
+      dropped: 0,
+      repeated: 0
+    };
+  }
+
+  /**
+  * Data buffer listener callback.
+  *
+  * @param packet
+  */
+  onPush(packet) {
+    let result = this.push(packet);
+
+    if (result && this._buffer)
+      this._buffer.push(result);
+  }
+
+  /**
+  * Push packet to duplicate filter.
+  *
+  * @param packet
+  *   Data packet
+  * @return packet
+  *   Data packet or null if packet is duplicate of earlier packet.
+  */
+  push(packet) {
+    this.discardExpired(packet.getTimestamp());
+    this._stats.received++;
+
+    let frame = LinkLayer.decode(packet.getBuffer(), {
+      format: this._frameFormat
+    });
+
+    // Broken frames are left for meter layer to report
+    if (!frame.valid || frame.data.length < 11) {
+      this._stats.passed++;
+      return packet;
+    }
+
+    let headers = HeaderParser.parse(frame.data);
+    let repeated = DuplicateFilter.isRepeated(headers);
+    let key = DuplicateFilter.getKey(frame.data, headers);
+
+    if (repeated)
+      this._stats.repeated++;
+
+    let copy = {
+      timestamp: packet.getTimestamp(),
+      repeated: repeated
+    };
+
+    if (this._messages.has(key)) {
+      this._messages.get(key).copies.push(copy);
+      this._stats.dropped++;
+      return null;
+    }
+
+    this._messages.set(key, {
+      timestamp: packet.getTimestamp(),
+      copies: [copy]
+    });
+    this._stats.passed++;
+    return packet;
+  }
+
+  /**
+  * Returns received copies of message.
+  *
+  * @param packet
+  *   Any copy of message
+  * @return list of copies in order of arrival with following keys, or empty
+  *   list if message is not known:
+  *   - timestamp
+  *     Time of arrival
+  *   - repeated
+  *     True if copy was retransmitted by repeater
+  */
+  getCopies(packet) {
+    let frame = LinkLayer.decode(packet.getBuffer(), {
+      format: this._frameFormat
+    });
+
+    if (!frame.valid || frame.data.length < 11)
+      return [];
+
+    let key = DuplicateFilter.getKey(frame.data,
+      HeaderParser.parse(frame.data));
+
+    return this._messages.has(key) ? this._messages.get(key).copies : [];
+  }
+
+  /**
+  * Returns counters of filter.
+  *
+  * @return object with following keys:
+  *   - received
+  *     Number of received packets
+  *   - passed
+  *     Number of packets pushed forward
+  *   - dropped
+  *     Number of dropped duplicates
+  *   - repeated
+  *     Number of received packets retransmitted by repeater
+  */
+  getStats() {
+    return Object.assign({}, this._stats);
+  }
+
+  /**
+  * Forget messages, which were first seen before window.
+  *
+  * @param timestamp
+  *   Current timestamp, defaults to current time.
+  * @return number of discarded messages
+  */
+  discardExpired(timestamp = new Date().getTime()) {
+    let discarded = 0;
+
+    this._messages.forEach((message, key) => {
+      if (timestamp - message.timestamp > this._window) {
+        this._messages.delete(key);
+        discarded++;
+      }
+    });
+    return discarded;
+  }
+
+  /**
+  * Build message key from meter address, access number and payload hash.
+  *
+  * @param data
+  *   CRC free frame
+  * @param headers
+  *   Headers of frame, see HeaderParser.parse()
+  * @return key
+  */
+  static getKey(data, headers) {
+    let accessNumber = '';
+
+    if (headers.tpl && headers.tpl.accessNumber !== null)
+      accessNumber = headers.tpl.accessNumber;
+    else if (headers.ell)
+      accessNumber = headers.ell.accessNumber;
+
+    let hash = crypto.createHash('sha1')
+      .update(data.slice(headers.payloadOffset))
+      .digest('hex');
+
+    return [data.slice(2, 10).toString('hex'), accessNumber, hash].join(':');
+  }
+
+  /**
+  * Check if frame was retransmitted by repeater.
+  *
+  * @param headers
+  *   Headers of frame, see HeaderParser.parse()
+  * @return boolean
+  */
+  static isRepeated(headers) {
+    return !!(headers.ell && headers.ell.cc & DuplicateFilter.CC_HOP);
+  }
+}
+
+/**
+* Hop bit of communication control field, set by repeater.
+*/
+DuplicateFilter.CC_HOP = 0x10;
+
+export default DuplicateFilter;
@@ -0,0 +1,215 @@
+import DataPacket from './data-packet'
+import LinkLayer from './../telegram/link-layer'
+import HeaderParser from './../telegram/header-parser'
+
+/**
+* Reassembles fragmented wireless M-Bus messages. Fragments are recognized by
+* authentication and fragmentation layer (AFL) header: fragment ID and "more
+* fragments" bit of fragmentation control field.
+*
+* Buffer acts as data buffer listener. Complete messages and unfragmented
+* packets are pushed to target buffer:
+*
+*   let fragments = new FragmentBuffer({ buffer: targetBuffer });
+*   readerBuffer.registerListener('fragments', fragments);
+*
+* Reassembled packet contains CRC free frame: link layer and AFL header of
+* the first fragment followed by payloads of all fragments.
+*
+* Incomplete messages expire, when next packet is pushed. Without further
+* packets, expired messages stay in memory until discardExpired() is called
+* from processing loop, or expiryInterval option starts timer for it. Timer
+* is stopped with dispose().
+*/
+class FragmentBuffer {
+
+  /**
+  * Construct fragment buffer.
+  *
+  * @param options with following keys:
+  *   - buffer
+  *     Target data buffer for complete packets.
+  *   - timeout
+  *     Milliseconds to wait for next fragment, defaults to 60 seconds.
+  *     Incomplete messages are discarded after timeout.
+  *   - frameFormat
+  *     Frame format of incoming packets, see LinkLayer.decode().
+  *   - expiryInterval
+  *     Milliseconds between discarding expired messages by current time,
+  *     defaults to 0 (no timer). Timer should not be used, when packets
+  *     don't have current timestamps, like packets read from log.
+  */
+  constructor(options = {}) {
+    this._buffer = options.hasOwnProperty('buffer') ? options.buffer : null;
+
+    this._timeout = options.hasOwnProperty('timeout') ?
+      options.timeout : 60000;
+
+    this._frameFormat = options.hasOwnProperty('frameFormat') ?
+      options.frameFormat : 'auto';
+
+    // Incomplete messages by meter address
+    this._messages = new Map();
+
+    this._expiryTimer = null;
+
+    let expiryInterval = options.hasOwnProperty('expiryInterval') ?
+      options.expiryInterval : 0;
+
+    if (expiryInterval > 0) {
+      this._expiryTimer = setInterval(() => this.discardExpired(),
+        expiryInterval);
+
+      // Timer alone doesn't keep process running
+      if (typeof this._expiryTimer.unref === 'function')
+        this._expiryTimer.unref();
+    }
+  }
+
+  /**
+  * Stop expiry timer and discard incomplete messages.
+  */
+  dispose() {
+    if (this._expiryTimer) {
+      clearInterval(this._expiryTimer);
+      this._expiryTimer = null;
+    }
+    this._messages.clear();
+  }
+
+  /**
+  * Data buffer listener callback.
+  *
+  * @param packet
+  */
+  onPush(packet) {
+    let result = this.push(packet);
+
+    if (result && this._buffer)
+      this._buffer.push(result);
+  }
+
+  /**
+  * Push packet to fragment buffer.
+  *
+  * @param packet
+  *   Data packet
+  * @return packet
+  *   Unfragmented or reassembled data packet, or null if message is not yet
+  *   complete or fragment was discarded.
+  */
+  push(packet) {
+    this.discardExpired(packet.getTimestamp());
+
+    let frame = LinkLayer.decode(packet.getBuffer(), {
+      format: this._frameFormat
+    });
+    let afl = HeaderParser.parse(frame.data).afl;
+    let key = frame.data.slice(2, 10).toString('hex');
+    let message = this._messages.has(key) ? this._messages.get(key) : null;
+
+    if (!afl)
+      return packet;
+
+    // Fragment IDs start from 1, so higher ID without pending message is
+    // continuation of discarded or missed message
+    if (!afl.moreFragments && !message && afl.fragmentId <= 1)
+      return packet;
+
+    // Fragments with CRC errors or out of sequence break the message
+    if (message && (!frame.valid ||
+        afl.fragmentId != ((message.fragmentId + 1) & 0xFF))) {
+      this._messages.delete(key);
+      message = null;
+    }
+
+    if (!frame.valid)
+      return null;
+
+    if (!message) {
+      // Message must start with fragment, which has more fragments to follow
+      if (!afl.moreFragments)
+        return null;
+
+      message = {
+        afl: afl,
+        header: frame.data.slice(0, afl.end),
+        parts: [],
+        packets: [],
+        fragmentId: afl.fragmentId,
+        timestamp: packet.getTimestamp()
+      };
+      this._messages.set(key, message);
+    }
+
+    message.parts.push(frame.data.slice(afl.end));
+    message.packets.push(packet);
+    message.fragmentId = afl.fragmentId;
+    message.timestamp = packet.getTimestamp();
+
+    if (afl.moreFragments)
+      return null;
+
+    this._messages.delete(key);
+    return this.buildPacket(message);
+  }
+
+  /**
+  * Build reassembled data packet.
+  *
+  * @param message
+  * @return packet
+  */
+  buildPacket(message) {
+    let afl = message.afl;
+    let data = Buffer.concat([message.header].concat(message.parts));
+
+    // Reassembled message is complete
+    data.writeUInt16LE(afl.fragmentControl & ~0x4000, afl.offset + 2);
+
+    // L-field can't present lengths over 255 bytes
+    data[0] = Math.min(0xFF, data.length - 1);
+
+    let first = message.packets[0];
+
+    return new DataPacket(data, {
+      timestamp: message.timestamp,
+      tag: first.getTag(),
+      rssi: first.getRssi(),
+      deviceTimestamp: first.getDeviceTimestamp(),
+      linkMode: first.getLinkMode(),
+      fragments: message.packets
+    });
+  }
+
+  /**
+  * Discard incomplete messages, which haven't received fragments within
+  * timeout.
+  *
+  * @param timestamp
+  *   Current timestamp, defaults to current time.
+  * @return number of discarded messages
+  */
+  discardExpired(timestamp = new Date().getTime()) {
+    let discarded = 0;
+
+    this._messages.forEach((message, key) => {
+      if (timestamp - message.timestamp > this._timeout) {
+        this._messages.delete(key);
+        discarded++;
+      }
+    });
+    return discarded;
+  }
+
+  /**
+  * Returns number of incomplete messages.
+  *
+  * @return count
+  */
+  getPendingCount() {
+    return this._messages.size;
+  }
+}
+
+export default FragmentBuffer;
@@ -0,0 +1,95 @@
+import crypto from 'crypto'
+
+/**
+* AES-128 ciphers used by wireless M-Bus security modes. Data is processed
+* without padding, so CBC input must be multiple of 16 bytes.
+*/
+class AES {
+
+  /**
+  * Decrypt buffer with AES-128-CTR, used by Kamstrup ELL encryption.
+  *
+  * @param buffer
+  * @param key
+  * @param iv
+  *   Initial counter block
+  * @return decrypted data
+  */
+  static decryptCTR(buffer, key, iv) {
+    return AES.decrypt(buffer, key, iv, 'aes-128-ctr');
+  }
+
+  /**
+  * Decrypt buffer with AES-128-CBC, used by security modes 5 and 7.
+  *
+  * @param buffer
+  * @param key
+  * @param iv
+  * @return decrypted data
+  */
+  static decryptCBC(buffer, key, iv) {
+    return AES.decrypt(buffer, key, iv, 'aes-128-cbc');
+  }
+
+  /**
+  * Encrypt buffer with AES-128-CBC.
+  *
+  * @param buffer
+  * @param key
+  * @param iv
+  * @return encrypted data
+  */
+  static encryptCBC(buffer, key, iv) {
+    return AES.encrypt(buffer, key, iv, 'aes-128-cbc');
+  }
+
+  /**
+  * Encrypt buffer with AES-128-CTR. Counter mode is symmetric, so this is
+  * same as decryption.
+  *
+  * @param buffer
+  * @param key
+  * @param iv
+  * @return encrypted data
+  */
+  static encryptCTR(buffer, key, iv) {
+    return AES.encrypt(buffer, key, iv, 'aes-128-ctr');
+  }
+
+  /**
+  * Decrypt given buffer.
+  *
+  * @param buffer
+  *   Encrypted buffer
+  * @param key
+  *   AES key
+  * @param iv
+  *   Initialize vector
+  * @param algorithm
+  *   Node.js cipher name
+  * @return decrypted data
+  */
+  static decrypt(buffer, key, iv, algorithm) {
+    let decipher = crypto.createDecipheriv(algorithm, key, iv);
+    decipher.setAutoPadding(false);
+    return Buffer.concat([decipher.update(buffer), decipher.final()]);
+  }
+
+  /**
+  * Encrypt given buffer.
+  *
+  * @param buffer
+  * @param key
+  * @param iv
+  * @param algorithm
+  *   Node.js cipher name
+  * @return encrypted data
+  */
+  static encrypt(buffer, key, iv, algorithm) {
+    let cipher = crypto.createCipheriv(algorithm, key, iv);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(buffer), cipher.final()]);
+  }
+}
+
+export default AES;
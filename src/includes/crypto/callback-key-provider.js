@@ -0,0 +1,122 @@
+import KeyProvider from './key-provider'
+
+/**
+* Key provider using custom callbacks. Synchronous lookup is used directly.
+* Keys fetched with asynchronous callback are cached, and missing keys are
+* requested in background, so they are available for following telegrams.
+* Telegrams received while key is fetched fail as missing key, meter
+* processes them again after fetch, see WirelessMBusMeter.fetchMissingKey().
+*
+* Failed and empty fetches are cached as well, so meters without key (like
+* foreign meters in range) are fetched again only after retry interval.
+*/
+class CallbackKeyProvider extends KeyProvider {
+
+  /**
+  * Construct provider.
+  *
+  * @param options with following keys:
+  *   - lookup
+  *     Function (address) returning key or null.
+  *   - fetch
+  *     Function (address, callback) passing error and key.
+  *   - retryInterval
+  *     Milliseconds until address with failed or empty fetch is fetched
+  *     again, defaults to 10 minutes.
+  */
+  constructor(options = {}) {
+    super();
+
+    this._lookup = options.hasOwnProperty('lookup') ? options.lookup : null;
+    this._fetch = options.hasOwnProperty('fetch') ? options.fetch : null;
+
+    this._retryInterval = options.hasOwnProperty('retryInterval') ?
+      options.retryInterval : 600000;
+
+    this._cache = new Map();
+
+    // Timestamps of failed fetches by address
+    this._failed = new Map();
+
+    // Callbacks of running fetches by address
+    this._pending = new Map();
+  }
+
+  /**
+  * Implementation of lookupKey(). Starts asynchronous fetch, if key is not
+  * available.
+  *
+  * @param address
+  * @return key or null
+  */
+  lookupKey(address) {
+    if (this._cache.has(address))
+      return this._cache.get(address);
+
+    let key = this._lookup ? this._lookup(address) : null;
+
+    if (!key && this._fetch)
+      this.fetchKey(address, () => {});
+
+    return key;
+  }
+
+  /**
+  * Fetch key asynchronously and cache it.
+  *
+  * @param address
+  * @param callback
+  *   Passes error and key buffer or null
+  */
+  fetchKey(address, callback) {
+    address = KeyProvider.normalizeAddress(address);
+
+    let key = this._cache.has(address) ? this._cache.get(address) :
+      KeyProvider.normalizeKey(this._lookup ? this._lookup(address) : null);
+
+    if (key || !this._fetch || this.isRetryPending(address))
+      return callback(null, key);
+
+    // Join already running fetch
+    if (this._pending.has(address))
+      return this._pending.get(address).push(callback);
+
+    this._pending.set(address, [callback]);
+    this._fetch(address, (err, fetched) => {
+      let callbacks = this._pending.get(address);
+      this._pending.delete(address);
+      key = err ? null : KeyProvider.normalizeKey(fetched);
+
+      if (key) {
+        this._cache.set(address, key);
+        this._failed.delete(address);
+      } else {
+        this._failed.set(address, Date.now());
+      }
+
+      callbacks.forEach(pending => pending(err, key));
+    });
+  }
+
+  /**
+  * Check if fetch of address has failed within retry interval.
+  *
+  * @param address
+  *   Normalized address
+  * @param now
+  *   Current timestamp, defaults to current time
+  * @return boolean
+  */
+  isRetryPending(address, now = Date.now()) {
+    if (!this._failed.has(address))
+      return false;
+
+    if (now - this._failed.get(address) < this._retryInterval)
+      return true;
+
+    this._failed.delete(address);
+    return false;
+  }
+}
+
+export default CallbackKeyProvider;
@@ -0,0 +1,105 @@
+import crypto from 'crypto'
+
+/**
+* AES-CMAC (RFC 4493), used by security mode 7 key derivation and message
+* authentication.
+*/
+class CMAC {
+
+  /**
+  * Calculate AES-128 CMAC.
+  *
+  * @param key
+  *   AES key buffer
+  * @param buffer
+  *   Message
+  * @return mac
+  *   16 byte buffer
+  */
+  static calculate(key, buffer) {
+    let subkeys = CMAC.generateSubkeys(key);
+    let blocks = Math.max(1, Math.ceil(buffer.length / 16));
+    let complete = buffer.length > 0 && buffer.length % 16 == 0;
+
+    // Last block is either xored with K1 or padded and xored with K2
+    let last = Buffer.alloc(16);
+    buffer.copy(last, 0, (blocks - 1) * 16);
+
+    if (complete) {
+      last = CMAC.xor(last, subkeys[0]);
+    } else {
+      last[buffer.length - (blocks - 1) * 16] = 0x80;
+      last = CMAC.xor(last, subkeys[1]);
+    }
+
+    let mac = Buffer.alloc(16);
+
+    for (let i = 0; i < blocks; i++) {
+      let block = i == blocks - 1 ? last : buffer.slice(i * 16, i * 16 + 16);
+      mac = CMAC.encryptBlock(key, CMAC.xor(mac, block));
+    }
+    return mac;
+  }
+
+  /**
+  * Generate subkeys K1 and K2.
+  *
+  * @param key
+  * @return array of subkeys
+  */
+  static generateSubkeys(key) {
+    let k1 = CMAC.shiftLeft(CMAC.encryptBlock(key, Buffer.alloc(16)));
+    let k2 = CMAC.shiftLeft(k1);
+    return [k1, k2];
+  }
+
+  /**
+  * Shift block left by one bit and apply Rb constant, if most significant
+  * bit was set.
+  *
+  * @param block
+  * @return shifted block
+  */
+  static shiftLeft(block) {
+    let shifted = Buffer.alloc(16);
+
+    for (let i = 0; i < 16; i++)
+      shifted[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0)) & 0xFF;
+
+    if (block[0] & 0x80)
+      shifted[15] ^= 0x87;
+
+    return shifted;
+  }
+
+  /**
+  * Encrypt single block with AES-128-ECB.
+  *
+  * @param key
+  * @param block
+  * @return encrypted block
+  */
+  static encryptBlock(key, block) {
+    let cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(block), cipher.final()]);
+  }
+
+  /**
+  * Xor two 16 byte blocks.
+  *
+  * @param a
+  * @param b
+  * @return result
+  */
+  static xor(a, b) {
+    let result = Buffer.alloc(16);
+
+    for (let i = 0; i < 16; i++)
+      result[i] = a[i] ^ b[i];
+
+    return result;
+  }
+}
+
+export default CMAC;
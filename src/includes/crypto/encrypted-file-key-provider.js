@@ -0,0 +1,170 @@
+import KeyProvider from './key-provider'
+import fs from 'fs'
+import crypto from 'crypto'
+
+/**
+* Key provider for passphrase protected key file. File contains JSON object
+* of keys by meter address, encrypted with AES-256-GCM using key derived
+* from passphrase with PBKDF2:
+*
+*   salt (16 bytes) | iv (12 bytes) | auth tag (16 bytes) | encrypted JSON
+*
+* Use EncryptedFileKeyProvider.encrypt() to create file content.
+*/
+class EncryptedFileKeyProvider extends KeyProvider {
+
+  /**
+  * Construct provider.
+  *
+  * @param options with following keys:
+  *   - source
+  *     Key file path.
+  *   - passphrase
+  *     File passphrase.
+  */
+  constructor(options = {}) {
+    super();
+
+    this._source = options.hasOwnProperty('source') ? options.source : null;
+
+    this._passphrase = options.hasOwnProperty('passphrase') ?
+      options.passphrase : '';
+
+    this._keys = null;
+  }
+
+  /**
+  * Load and decrypt key file. Keys are not available before file is loaded.
+  *
+  * @param callback
+  *   Passes error
+  */
+  load(callback) {
+    fs.readFile(this._source, (err, data) => {
+      if (err)
+        return callback(err);
+
+      EncryptedFileKeyProvider.decrypt(data, this._passphrase, (err, keys) => {
+        if (err)
+          return callback(err);
+
+        this._keys = new Map(Object.keys(keys).map(address =>
+          [KeyProvider.normalizeAddress(address), keys[address]]));
+        callback(null);
+      });
+    });
+  }
+
+  /**
+  * Check if key file is loaded.
+  *
+  * @return boolean is loaded
+  */
+  isLoaded() {
+    return this._keys !== null;
+  }
+
+  /**
+  * Implementation of lookupKey().
+  *
+  * @param address
+  * @return key or null
+  */
+  lookupKey(address) {
+    return this._keys && this._keys.has(address) ?
+      this._keys.get(address) : null;
+  }
+
+  /**
+  * Fetch key, file is loaded first if needed.
+  *
+  * @param address
+  * @param callback
+  *   Passes error and key buffer or null
+  */
+  fetchKey(address, callback) {
+    if (this.isLoaded())
+      return callback(null, this.getKey(address));
+
+    this.load(err => callback(err, err ? null : this.getKey(address)));
+  }
+
+  /**
+  * Encrypt keys to key file content.
+  *
+  * @param keys
+  *   Object of keys by meter address
+  * @param passphrase
+  * @param callback
+  *   Passes error and buffer
+  */
+  static encrypt(keys, passphrase, callback) {
+    let salt = crypto.randomBytes(16);
+    let iv = crypto.randomBytes(12);
+
+    EncryptedFileKeyProvider.deriveKey(passphrase, salt, (err, key) => {
+      if (err)
+        return callback(err);
+
+      let cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      let data = Buffer.concat([
+        cipher.update(JSON.stringify(keys), 'utf8'),
+        cipher.final()
+      ]);
+      callback(null, Buffer.concat([salt, iv, cipher.getAuthTag(), data]));
+    });
+  }
+
+  /**
+  * Decrypt key file content.
+  *
+  * @param buffer
+  * @param passphrase
+  * @param callback
+  *   Passes error and object of keys
+  */
+  static decrypt(buffer, passphrase, callback) {
+    if (buffer.length < 44)
+      return callback(new Error("Invalid key file"));
+
+    let salt = buffer.slice(0, 16);
+
+    EncryptedFileKeyProvider.deriveKey(passphrase, salt, (err, key) => {
+      if (err)
+        return callback(err);
+
+      let keys = null;
+
+      try {
+        let decipher = crypto.createDecipheriv('aes-256-gcm', key,
+          buffer.slice(16, 28));
+        decipher.setAuthTag(buffer.slice(28, 44));
+
+        keys = JSON.parse(Buffer.concat([
+          decipher.update(buffer.slice(44)),
+          decipher.final()
+        ]).toString('utf8'));
+      } catch (e) {
+        return callback(new Error("Unable to decrypt key file"));
+      }
+      callback(null, keys);
+    });
+  }
+
+  /**
+  * Derive file encryption key from passphrase.
+  *
+  * @param passphrase
+  * @param salt
+  * @param callback
+  *   Passes error and key
+  */
+  static deriveKey(passphrase, salt, callback) {
+    crypto.pbkdf2(passphrase, salt, EncryptedFileKeyProvider.ITERATIONS, 32,
+      'sha256', callback);
+  }
+}
+
+EncryptedFileKeyProvider.ITERATIONS = 100000;
+
+export default EncryptedFileKeyProvider;
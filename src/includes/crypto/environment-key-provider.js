@@ -0,0 +1,40 @@
+import KeyProvider from './key-provider'
+
+/**
+* Key provider for keys in environment variables. Variable name is composed
+* from prefix and upper case meter address, like
+* WMBUS_KEY_2D2C785634123307=0102030405060708090A0B0C0D0E0F11.
+*/
+class EnvironmentKeyProvider extends KeyProvider {
+
+  /**
+  * Construct provider.
+  *
+  * @param options with following keys:
+  *   - prefix
+  *     Variable name prefix, defaults to 'WMBUS_KEY_'.
+  *   - env
+  *     Environment object, defaults to process.env.
+  */
+  constructor(options = {}) {
+    super();
+
+    this._prefix = options.hasOwnProperty('prefix') ?
+      options.prefix : 'WMBUS_KEY_';
+
+    this._env = options.hasOwnProperty('env') ? options.env : process.env;
+  }
+
+  /**
+  * Implementation of lookupKey().
+  *
+  * @param address
+  * @return key or null
+  */
+  lookupKey(address) {
+    let name = this._prefix + address.toUpperCase();
+    return this._env.hasOwnProperty(name) ? this._env[name] : null;
+  }
+}
+
+export default EnvironmentKeyProvider;
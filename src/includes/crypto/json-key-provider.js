@@ -0,0 +1,60 @@
+import KeyProvider from './key-provider'
+import MeterImporter from './../meter/meter-importer'
+
+/**
+* Key provider for keys in JSON data. Keys are given as object or Map by
+* meter address. Values are key strings or meter data objects with "aes"
+* key, like loaded by MeterImporter.
+*/
+class JSONKeyProvider extends KeyProvider {
+
+  /**
+  * Construct provider.
+  *
+  * @param options with following keys:
+  *   - keys
+  *     Object or Map of keys by meter address.
+  */
+  constructor(options = {}) {
+    super();
+
+    let keys = options.hasOwnProperty('keys') ? options.keys : {};
+
+    this._keys = keys instanceof Map ? keys : new Map(Object.keys(keys)
+      .map(address => [KeyProvider.normalizeAddress(address), keys[address]]));
+  }
+
+  /**
+  * Implementation of lookupKey().
+  *
+  * @param address
+  * @return key or null
+  */
+  lookupKey(address) {
+    let value = this._keys.has(address) ? this._keys.get(address) : null;
+
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value))
+      return value.hasOwnProperty('aes') ? value.aes : null;
+
+    return value;
+  }
+
+  /**
+  * Load provider from meter settings file, see MeterImporter.
+  *
+  * @param source
+  *   Meter settings file path
+  * @param callback
+  *   Passes error or provider
+  */
+  static load(source, callback) {
+    MeterImporter.loadMeterSettings(source, (err, meterData) => {
+      if (err)
+        return callback(err);
+
+      callback(null, new JSONKeyProvider({ keys: meterData }));
+    });
+  }
+}
+
+export default JSONKeyProvider;
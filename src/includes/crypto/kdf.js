@@ -0,0 +1,40 @@
+import CMAC from './cmac'
+
+/**
+* Key derivation function of EN 13757-7 security profile B (KDF-A).
+*/
+class KDF {
+
+  /**
+  * Derive ephemeral key:
+  * CMAC(K, DC || MCR || ID || 0x07 * 7), where DC is derivation constant,
+  * MCR is AFL message counter and ID is meter identification number.
+  *
+  * @param key
+  *   Master key buffer
+  * @param constant
+  *   Derivation constant, see KDF.ENCRYPTION and KDF.MAC
+  * @param counter
+  *   Message counter
+  * @param id
+  *   Meter identification number, 4 bytes in link layer order
+  * @return derived key
+  */
+  static deriveKey(key, constant, counter, id) {
+    let input = Buffer.alloc(16, 0x07);
+
+    input[0] = constant;
+    input.writeUInt32LE(counter, 1);
+    id.copy(input, 5, 0, 4);
+
+    return CMAC.calculate(key, input);
+  }
+}
+
+/**
+* Derivation constants for messages sent by meter.
+*/
+KDF.ENCRYPTION = 0x00;
+KDF.MAC = 0x01;
+
+export default KDF;
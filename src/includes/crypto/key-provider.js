@@ -0,0 +1,86 @@
+import MeterId from "./../meter/meter-id"
+
+/**
+* Base class for AES key providers. Providers look up meter keys by meter
+* address, which is hex string of link layer M and A fields (8 bytes), like
+* used by MeterImporter.
+*
+* Telegram processing is synchronous, so meters use getKey(). Providers
+* backed by asynchronous sources should implement fetchKey() and cache
+* fetched keys, so they are available for following telegrams. Meters call
+* fetchKey() when key is missing and process the telegram again, see
+* WirelessMBusMeter.fetchMissingKey().
+*/
+class KeyProvider {
+
+  /**
+  * Returns key for meter.
+  *
+  * @param address
+  *   Meter address as hex string or buffer
+  * @return key buffer or null if key is not available
+  */
+  getKey(address) {
+    return KeyProvider.normalizeKey(
+      this.lookupKey(KeyProvider.normalizeAddress(address)));
+  }
+
+  /**
+  * Fetch key for meter asynchronously.
+  *
+  * @param address
+  *   Meter address as hex string or buffer
+  * @param callback
+  *   Passes error and key buffer or null
+  */
+  fetchKey(address, callback) {
+    callback(null, this.getKey(address));
+  }
+
+  /**
+  * Lookup key from provider source. Providers should implement this.
+  *
+  * @param address
+  *   Normalized meter address
+  * @return key as hex string or buffer, or null
+  */
+  lookupKey(address) {
+    return null;
+  }
+
+  /**
+  * Convert address to lower case hex string in wire order. Address may be
+  * given also as MeterId or in human readable order, see MeterId.parse().
+  *
+  * @param address
+  * @return address string
+  */
+  static normalizeAddress(address) {
+    let meterId = MeterId.parse(address);
+
+    if (meterId && !meterId.isWildcard())
+      return meterId.toHex();
+
+    return Buffer.isBuffer(address) ?
+      address.toString('hex') : String(address).toLowerCase();
+  }
+
+  /**
+  * Convert key to buffer and validate AES-128 key length.
+  *
+  * @param key
+  *   Key as hex string or buffer
+  * @return key buffer or null if key is invalid
+  */
+  static normalizeKey(key) {
+    if (!key)
+      return null;
+
+    if (!Buffer.isBuffer(key))
+      key = Buffer.from(String(key), 'hex');
+
+    return key.length == 16 ? key : null;
+  }
+}
+
+export default KeyProvider;
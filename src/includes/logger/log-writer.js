@@ -30,15 +30,27 @@ class LogWriter extends Logger {
   }
 
   /**
-  * Data queue callback.
+  * Data queue callback. Receive metadata (RSSI, device timestamp and link
+  * mode) is appended to the line, if packet has any.
   *
   * @param DataPacket
   *   Raw data apcket
   */
   writeRawTelegram(dataPacket) {
+    let metadata = [
+      dataPacket.getRssi(),
+      dataPacket.getDeviceTimestamp(),
+      dataPacket.getLinkMode()
+    ];
+
     let build = dataPacket.getTimestamp();
     build += ",";
     build += dataPacket.getBuffer().toString("hex");
+
+    if (metadata.some(value => value !== null))
+      build += "," + metadata.map(value => value !== null ? value : "")
+        .join(",");
+
     build += '\n';
 
     if (!this._logFile)
@@ -0,0 +1,148 @@
+// Registered device types by device type code
+var deviceTypes = null;
+
+/**
+* Registry of EN 13757-3 device types (medium) of meter address. Registry is
+* prefilled with DeviceTypeRegistry.DEVICE_TYPES and applications may register
+* more:
+*
+*   DeviceTypeRegistry.getDeviceType('16');
+*   // { code: 0x16, name: 'Cold water' }
+*/
+class DeviceTypeRegistry {
+
+  /**
+  * Returns device type.
+  *
+  * @param code
+  *   Device type code as number or hex string, like '16'
+  * @return device type with code and name keys, name is null if device type
+  *   is not registered. Null if code is invalid.
+  */
+  static getDeviceType(code) {
+    code = DeviceTypeRegistry.normalizeCode(code);
+
+    if (code === null)
+      return null;
+
+    return {
+      code: code,
+      name: DeviceTypeRegistry.has(code) ?
+        DeviceTypeRegistry.getDeviceTypes().get(code) : null
+    };
+  }
+
+  /**
+  * Returns name of device type.
+  *
+  * @param code
+  *   Device type code as number or hex string
+  * @return name or null if device type is not registered
+  */
+  static getName(code) {
+    let deviceType = DeviceTypeRegistry.getDeviceType(code);
+    return deviceType ? deviceType.name : null;
+  }
+
+  /**
+  * Check if device type is registered.
+  *
+  * @param code
+  * @return boolean is registered
+  */
+  static has(code) {
+    return DeviceTypeRegistry.getDeviceTypes()
+      .has(DeviceTypeRegistry.normalizeCode(code));
+  }
+
+  /**
+  * Register device type or replace name of registered device type.
+  *
+  * @param code
+  *   Device type code as number or hex string
+  * @param name
+  */
+  static register(code, name) {
+    code = DeviceTypeRegistry.normalizeCode(code);
+
+    if (code !== null)
+      DeviceTypeRegistry.getDeviceTypes().set(code, name);
+  }
+
+  /**
+  * Returns map of registered device types.
+  *
+  * @return map of names by code
+  */
+  static getDeviceTypes() {
+    if (!deviceTypes) {
+      deviceTypes = new Map();
+
+      Object.keys(DeviceTypeRegistry.DEVICE_TYPES).forEach(code => {
+        deviceTypes.set(parseInt(code), DeviceTypeRegistry.DEVICE_TYPES[code]);
+      });
+    }
+    return deviceTypes;
+  }
+
+  /**
+  * Normalize device type code to number.
+  *
+  * @param code
+  *   Number, hex string or one byte buffer
+  * @return code or null if code is invalid
+  */
+  static normalizeCode(code) {
+    if (Buffer.isBuffer(code))
+      code = code.length == 1 ? code[0] : null;
+    else if (typeof code === 'string')
+      code = /^[0-9a-fA-F]{1,2}$/.test(code) ? parseInt(code, 16) : null;
+
+    return typeof code === 'number' && code >= 0 && code <= 0xFF ?
+      code : null;
+  }
+}
+
+/**
+* Device types of EN 13757-3 and OMS specification.
+*/
+DeviceTypeRegistry.DEVICE_TYPES = {
+  0x00: 'Other',
+  0x01: 'Oil',
+  0x02: 'Electricity',
+  0x03: 'Gas',
+  0x04: 'Heat (outlet)',
+  0x05: 'Steam',
+  0x06: 'Warm water',
+  0x07: 'Water',
+  0x08: 'Heat cost allocator',
+  0x09: 'Compressed air',
+  0x0A: 'Cooling load (outlet)',
+  0x0B: 'Cooling load (inlet)',
+  0x0C: 'Heat (inlet)',
+  0x0D: 'Heat / cooling load',
+  0x0E: 'Bus / system component',
+  0x0F: 'Unknown medium',
+  0x14: 'Calorific value',
+  0x15: 'Hot water',
+  0x16: 'Cold water',
+  0x17: 'Dual register water',
+  0x18: 'Pressure',
+  0x19: 'A/D converter',
+  0x1A: 'Smoke detector',
+  0x1B: 'Room sensor',
+  0x1C: 'Gas detector',
+  0x20: 'Breaker (electricity)',
+  0x21: 'Valve (gas or water)',
+  0x25: 'Customer unit (display)',
+  0x28: 'Waste water',
+  0x29: 'Garbage',
+  0x2A: 'Carbon dioxide',
+  0x31: 'Communication controller',
+  0x32: 'Unidirectional repeater',
+  0x33: 'Bidirectional repeater',
+  0x36: 'Radio converter (system side)',
+  0x37: 'Radio converter (meter side)'
+};
+
+export default DeviceTypeRegistry;
@@ -0,0 +1,120 @@
+// Registered manufacturers by three letter code
+var manufacturers = null;
+
+/**
+* Registry of manufacturer codes (FLAG association) and full manufacturer
+* names. Registry is prefilled with ManufacturerRegistry.MANUFACTURERS and
+* applications may register more:
+*
+*   ManufacturerRegistry.register('XYZ', 'Example Metering');
+*   ManufacturerRegistry.getManufacturer('KAM');
+*   // { code: 'KAM', name: 'Kamstrup' }
+*/
+class ManufacturerRegistry {
+
+  /**
+  * Returns manufacturer for three letter code.
+  *
+  * @param code
+  * @return manufacturer with code and name keys, name is null if code is not
+  *   registered
+  */
+  static getManufacturer(code) {
+    code = code.toUpperCase();
+
+    return {
+      code: code,
+      name: ManufacturerRegistry.has(code) ?
+        ManufacturerRegistry.getManufacturers().get(code) : null
+    };
+  }
+
+  /**
+  * Check if manufacturer code is registered.
+  *
+  * @param code
+  * @return boolean is registered
+  */
+  static has(code) {
+    return ManufacturerRegistry.getManufacturers().has(code.toUpperCase());
+  }
+
+  /**
+  * Register manufacturer or replace name of registered manufacturer.
+  *
+  * @param code
+  *   Three letter code
+  * @param name
+  *   Full name
+  */
+  static register(code, name) {
+    ManufacturerRegistry.getManufacturers().set(code.toUpperCase(), name);
+  }
+
+  /**
+  * Returns map of registered manufacturers.
+  *
+  * @return map of names by code
+  */
+  static getManufacturers() {
+    if (!manufacturers) {
+      manufacturers = new Map();
+
+      Object.keys(ManufacturerRegistry.MANUFACTURERS).forEach(code => {
+        manufacturers.set(code, ManufacturerRegistry.MANUFACTURERS[code]);
+      });
+    }
+    return manufacturers;
+  }
+}
+
+/**
+* Known manufacturer codes.
+*/
+ManufacturerRegistry.MANUFACTURERS = {
+  ABB: 'ABB',
+  AMB: 'Amber Wireless',
+  AMT: 'Aquametro',
+  APA: 'Apator',
+  BEC: 'Berg Energiekontrollsysteme',
+  BMT: 'BMETERS',
+  DME: 'Diehl Metering',
+  DWZ: 'Lorenz',
+  DZG: 'Deutsche Zählergesellschaft',
+  EFE: 'Engelmann Sensor',
+  ELS: 'Elster',
+  ELV: 'Elvaco',
+  EMH: 'EMH metering',
+  ESY: 'EasyMeter',
+  FIN: 'Finder',
+  GAV: 'Carlo Gavazzi',
+  GWF: 'GWF MessSysteme',
+  HAG: 'Hager',
+  HYD: 'Hydrometer',
+  ISK: 'Iskraemeco',
+  IST: 'ista',
+  ITW: 'Itron',
+  KAM: 'Kamstrup',
+  LAS: 'Lansen',
+  LSE: 'Landis & Staefa',
+  LUG: 'Landis+Gyr',
+  MAD: 'Maddalena',
+  NES: 'Networked Energy Services',
+  NZR: 'Nordwestdeutsche Zählerrevision',
+  PAD: 'PadMess',
+  PIK: 'Pikkerton',
+  QDS: 'Qundis',
+  REL: 'Relay',
+  SBC: 'Saia-Burgess',
+  SEN: 'Sensus',
+  SIE: 'Siemens',
+  SLB: 'Schlumberger',
+  SON: 'Sontex',
+  SPX: 'Sensus Metering Systems',
+  TCH: 'Techem',
+  TIP: 'TIP Thüringer Industrie Produkte',
+  WEP: 'Weptech',
+  ZRI: 'Zenner'
+};
+
+export default ManufacturerRegistry;
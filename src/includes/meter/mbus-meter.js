@@ -1,10 +1,251 @@
 import Meter from "./meter"
+import DataRecordParser from "./../telegram/data-record-parser"
+import HeaderParser from "./../telegram/header-parser"
+import MBusLinkLayer from "./../telegram/mbus-link-layer"
+
+// Static instance
+var instance = null;
 
 /**
-* M-Bus meter.
+* Wired M-Bus meter. Frames are decoded with MBusLinkLayer and variable data
+* responses are decoded to the same data records and telegram values as
+* wireless telegrams:
+*
+* BLOCK1_C
+*   C-field
+* BLOCK1_PA
+*   Primary address
+* BLOCK1_A, BLOCK1_M, BLOCK1_ID, BLOCK1_VERSION, BLOCK1_TYPE
+*   Secondary address of long header in wireless link layer order
+* BLOCK2_CI
+*   CI field
 */
 class MBusMeter extends Meter {
 
+  /**
+  * Returns singleton instance of meter.
+  *
+  * @return instance
+  */
+  static getInstance() {
+    if (!instance) instance = new MBusMeter();
+    return instance;
+  }
+
+  /**
+  * Process telegram by decoding wired frame and data records of variable
+  * data response. Single characters, short and control frames don't carry
+  * meter address and are not filtered.
+  *
+  * @param telegram
+  *   Telegram to be processed.
+  * @return boolean succeed
+  */
+  processTelegramData(telegram) {
+
+    if (!super.processTelegramData(telegram))
+      return false;
+
+    let frame = MBusLinkLayer.decode(telegram.getPacket().getBuffer());
+    telegram.setFrame(frame);
+
+    if (!frame.valid)
+      return false;
+
+    telegram.setValues(this.getFrameValues(frame));
+
+    if (frame.type != 'long')
+      return true;
+
+    let headers = HeaderParser.parse(frame.data, 0);
+    telegram.setHeaders(headers);
+
+    if (headers.tpl && headers.tpl.type == 'long')
+      telegram.setValues(this.fetchData(frame.data, this.getDLLMap()));
+
+    if (!this.passTelegram(telegram))
+      return false;
+
+    // Encrypted wired payloads are not supported
+    if (headers.encrypted) {
+      telegram.setDecryption({
+        mode: headers.tpl.configuration.mode,
+        success: false,
+        reason: Meter.DECRYPTION_ERRORS.UNSUPPORTED_MODE
+      });
+      return false;
+    }
+
+    let data = this.getApplicationData(telegram);
+    if (data)
+      this.setTelegramRecords(telegram, DataRecordParser.parse(data));
+
+    return true;
+  }
+
+  /**
+  * Returns link layer values of frame.
+  *
+  * @param frame
+  *   Frame, see MBusLinkLayer.decode()
+  * @return values
+  */
+  getFrameValues(frame) {
+    let values = new Map();
+
+    if (frame.c !== null)
+      values.set('BLOCK1_C', Buffer.from([frame.c]));
+
+    if (frame.address !== null)
+      values.set('BLOCK1_PA', Buffer.from([frame.address]));
+
+    if (frame.ci !== null)
+      values.set('BLOCK2_CI', Buffer.from([frame.ci]));
+
+    return values;
+  }
+
+  /**
+  * Returns unencrypted application payload of variable data response,
+  * starting from first data record.
+  *
+  * @param telegram
+  * @return buffer or null
+  */
+  getApplicationData(telegram) {
+    let frame = telegram.getFrame();
+    let headers = telegram.getHeaders();
+
+    if (!frame || !headers || headers.encrypted || !headers.tpl)
+      return null;
+
+    if (['none', 'short', 'long'].indexOf(headers.tpl.type) < 0)
+      return null;
+
+    return frame.data.slice(headers.payloadOffset);
+  }
+
+  /**
+  * Retrieve requested meter settings based on secondary address.
+  *
+  * @param telegram
+  * @return configuration or false if meter is unknown.
+  */
+  getMeterData(telegram) {
+    let buffer = this.getAddressField(telegram);
+    if (!buffer)
+      return false;
+
+    let meterAddress = buffer.toString('hex');
+
+    return this._meterData.has(meterAddress) ?
+      this._meterData.get(meterAddress) : false;
+  }
+
+  /**
+  * Returns instructions how to map long header of variable data response
+  * to meter address. Offsets are relative to CI field:
+  *
+  *   CI (1 byte), ID (4 bytes), M (2 bytes), version (1 byte), device type
+  *   (1 byte), access number, status, signature
+  *
+  * @return mapping
+  *   Object with mapping details
+  */
+  getDLLMap() {
+    return {
+      'BLOCK1_M': {
+        start: 5,
+        length: 2
+        },
+      'BLOCK1_ID': {
+        start: 1,
+        length: 4
+        },
+      'BLOCK1_VERSION': {
+        start: 7,
+        length: 1
+        },
+      'BLOCK1_TYPE': {
+        start: 8,
+        length: 1
+        }
+      };
+  }
+
+  /**
+  * Fetch long header values and build BLOCK1_A in wireless link layer order:
+  * M, ID, version and device type.
+  *
+  * @param packet
+  * @param map
+  * @return values or null
+  */
+  fetchData(packet, map) {
+    let values = super.fetchData(packet, map);
+
+    if (values && values.has('BLOCK1_M') && values.has('BLOCK1_ID'))
+      values.set('BLOCK1_A', Buffer.concat([
+        values.get('BLOCK1_M'),
+        values.get('BLOCK1_ID'),
+        values.get('BLOCK1_VERSION'),
+        values.get('BLOCK1_TYPE')
+      ]));
+
+    return values;
+  }
+
+  /**
+  * Extract meter secondary address from details.
+  *
+  * @param telegram
+  * @return address field or null if telegram isn't variable data response
+  */
+  getAddressField(telegram) {
+    return telegram.getValue('BLOCK1_A');
+  }
+
+  /**
+  * Extract C-field.
+  *
+  * @param telegram
+  * @return control field
+  */
+  getControlField(telegram) {
+    return telegram.getValue('BLOCK1_C');
+  }
+
+  /**
+  * Returns primary address of frame.
+  *
+  * @param telegram
+  * @return address or null if frame doesn't have address
+  */
+  getPrimaryAddress(telegram) {
+    let address = telegram.getValue('BLOCK1_PA');
+    return address ? address[0] : null;
+  }
+
+  /**
+  * Extract CI field.
+  *
+  * @param telegram
+  * @return ci field
+  */
+  getCIField(telegram) {
+    return telegram.getValue('BLOCK2_CI');
+  }
+
+  /**
+  * Returns access number of variable data response.
+  *
+  * @param telegram
+  * @return access number or null
+  */
+  getAccessNumber(telegram) {
+    let tpl = telegram.getHeader('tpl');
+    return tpl ? tpl.accessNumber : null;
+  }
 }
 
-export default MBusMeter;
\ No newline at end of file
+export default MBusMeter;
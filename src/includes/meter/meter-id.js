@@ -0,0 +1,386 @@
+/**
+* Meter identification: manufacturer, identification number, version and
+* device type. Together they form the 8 byte meter address of link layer.
+*
+* Meter id can be presented in wire order, as in telegram address field:
+*
+*   2d2c785634121b06
+*
+* or in human readable order:
+*
+*   KAM 12345678 v1b t06
+*
+* Any field may be a wildcard '*', and identification number may contain
+* wildcard digits, like 'KAM 1234**** v* t*'. Wildcard ids are used to match
+* addresses, see matches().
+*/
+class MeterId {
+
+  /**
+  * Construct meter id.
+  *
+  * @param options with following keys, missing keys are wildcards:
+  *   - manufacturer
+  *     M-field value as number
+  *   - id
+  *     Identification number as 8 character string, '*' for wildcard digits
+  *   - version
+  *   - deviceType
+  */
+  constructor(options = {}) {
+    this._manufacturer = options.hasOwnProperty('manufacturer') ?
+      options.manufacturer : null;
+    this._id = options.hasOwnProperty('id') && options.id !== null ?
+      options.id.toLowerCase() : '********';
+    this._version = options.hasOwnProperty('version') ?
+      options.version : null;
+    this._deviceType = options.hasOwnProperty('deviceType') ?
+      options.deviceType : null;
+  }
+
+  /**
+  * Returns M-field value.
+  *
+  * @return manufacturer id or null for wildcard
+  */
+  getManufacturerId() {
+    return this._manufacturer;
+  }
+
+  /**
+  * Returns three letter manufacturer code.
+  *
+  * @return code, like 'KAM', or null if manufacturer is wildcard or invalid
+  */
+  getManufacturer() {
+    if (this._manufacturer === null)
+      return null;
+
+    let code = MeterId.decodeManufacturer(this._manufacturer);
+    return code ? code : null;
+  }
+
+  /**
+  * Returns identification number.
+  *
+  * @return id string, wildcard digits are marked with '*'
+  */
+  getId() {
+    return this._id;
+  }
+
+  /**
+  * Returns version.
+  *
+  * @return version or null for wildcard
+  */
+  getVersion() {
+    return this._version;
+  }
+
+  /**
+  * Returns device type.
+  *
+  * @return device type or null for wildcard
+  */
+  getDeviceType() {
+    return this._deviceType;
+  }
+
+  /**
+  * Check if meter id contains wildcards.
+  *
+  * @return boolean is wildcard
+  */
+  isWildcard() {
+    return this._manufacturer === null || this._version === null ||
+      this._deviceType === null || this._id.indexOf('*') >= 0;
+  }
+
+  /**
+  * Returns address in wire order: M-field and identification number least
+  * significant byte first, version and device type.
+  *
+  * @return buffer or null if meter id contains wildcards
+  */
+  toAddress() {
+    if (this.isWildcard())
+      return null;
+
+    let address = Buffer.alloc(8);
+    address.writeUInt16LE(this._manufacturer, 0);
+    Buffer.from(this._id, 'hex').reverse().copy(address, 2);
+    address[6] = this._version;
+    address[7] = this._deviceType;
+    return address;
+  }
+
+  /**
+  * Returns address in wire order as hex string, used as meter data key.
+  *
+  * @return address string or null if meter id contains wildcards
+  */
+  toHex() {
+    let address = this.toAddress();
+    return address ? address.toString('hex') : null;
+  }
+
+  /**
+  * Returns meter id in human readable order, like 'KAM 12345678 v1b t06'.
+  *
+  * @return string
+  */
+  toString() {
+    let manufacturer = '*';
+
+    if (this._manufacturer !== null)
+      manufacturer = this.getManufacturer() ||
+        MeterId.formatByte(this._manufacturer >> 8) +
+        MeterId.formatByte(this._manufacturer);
+
+    let format = value => value === null ? '*' : MeterId.formatByte(value);
+
+    return `${manufacturer} ${this._id} v${format(this._version)} ` +
+      `t${format(this._deviceType)}`;
+  }
+
+  /**
+  * Returns JSON presentation, see toString().
+  *
+  * @return string
+  */
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+  * Check if meter ids are equal. Wildcards are equal only with wildcards.
+  *
+  * @param other
+  *   Meter id or value accepted by parse()
+  * @return boolean equals
+  */
+  equals(other) {
+    other = MeterId.parse(other);
+
+    return other !== null &&
+      this._manufacturer === other._manufacturer &&
+      this._id === other._id &&
+      this._version === other._version &&
+      this._deviceType === other._deviceType;
+  }
+
+  /**
+  * Check if meter id matches other meter id or address. Wildcards of both
+  * ids match any value.
+  *
+  * @param other
+  *   Meter id or value accepted by parse()
+  * @return boolean matches
+  */
+  matches(other) {
+    other = MeterId.parse(other);
+
+    if (!other)
+      return false;
+
+    let fieldMatches = (a, b) => a === null || b === null || a === b;
+
+    if (!fieldMatches(this._manufacturer, other._manufacturer) ||
+        !fieldMatches(this._version, other._version) ||
+        !fieldMatches(this._deviceType, other._deviceType))
+      return false;
+
+    for (let i = 0; i < 8; i++) {
+      let a = this._id[i];
+      let b = other._id[i];
+
+      if (a != '*' && b != '*' && a != b)
+        return false;
+    }
+    return true;
+  }
+
+  /**
+  * Parse meter id from:
+  *   - address buffer or 16 digit hex string in wire order
+  *   - human readable string, like 'KAM 12345678 v1b t06'. Version and
+  *     device type are optional, manufacturer may be omitted, when only
+  *     identification number is given.
+  *   - meter data object, see fromMeterData()
+  *
+  * @param value
+  * @return meter id or null if value is invalid
+  */
+  static parse(value) {
+    if (value instanceof MeterId)
+      return value;
+
+    if (Buffer.isBuffer(value))
+      return MeterId.fromAddress(value);
+
+    if (value && typeof value === 'object')
+      return MeterId.fromMeterData(value);
+
+    if (typeof value !== 'string')
+      return null;
+
+    value = value.trim();
+
+    if (/^[0-9a-fA-F]{16}$/.test(value))
+      return MeterId.fromAddress(value);
+
+    let tokens = value.split(/\s+/);
+    let idPattern = /^([0-9a-fA-F*]{8}|\*)$/;
+    let options = {};
+
+    // Manufacturer precedes identification number
+    let index = tokens.length > 1 && idPattern.test(tokens[1]) ? 1 : 0;
+
+    if (index == 1) {
+      let manufacturer = MeterId.parseManufacturer(tokens[0]);
+      if (manufacturer === false)
+        return null;
+
+      if (manufacturer !== null)
+        options.manufacturer = manufacturer;
+    }
+
+    if (!idPattern.test(tokens[index]))
+      return null;
+
+    options.id = tokens[index] == '*' ? '********' : tokens[index];
+
+    // Version and device type follow identification number
+    for (let i = index + 1; i < tokens.length; i++) {
+      let match = /^([vVtT])([0-9a-fA-F]{1,2}|\*)$/.exec(tokens[i]);
+      if (!match)
+        return null;
+
+      if (match[2] != '*')
+        options[match[1].toLowerCase() == 'v' ? 'version' : 'deviceType'] =
+          parseInt(match[2], 16);
+    }
+    return new MeterId(options);
+  }
+
+  /**
+  * Create meter id from address in wire order.
+  *
+  * @param address
+  *   Buffer or hex string
+  * @return meter id or null if address is invalid
+  */
+  static fromAddress(address) {
+    if (typeof address === 'string' && /^[0-9a-fA-F]{16}$/.test(address))
+      address = Buffer.from(address, 'hex');
+
+    if (!Buffer.isBuffer(address) || address.length != 8)
+      return null;
+
+    return new MeterId({
+      manufacturer: address.readUInt16LE(0),
+      id: Buffer.from(address.slice(2, 6)).reverse().toString('hex'),
+      version: address[6],
+      deviceType: address[7]
+    });
+  }
+
+  /**
+  * Create meter id from meter data row of meter settings file.
+  *
+  * @param meterData
+  *   Object with manufacturer, serial, version and deviceType keys.
+  *   Manufacturer is three letter code or 4 digit M-field in hex.
+  * @return meter id or null if fields are missing or invalid
+  */
+  static fromMeterData(meterData) {
+    const fields = ['manufacturer', 'serial', 'version', 'deviceType'];
+
+    if (!fields.every(field => meterData.hasOwnProperty(field)))
+      return null;
+
+    let manufacturer = meterData['manufacturer'] == '*' ? false :
+      MeterId.parseManufacturer(String(meterData['manufacturer']));
+    let serial = String(meterData['serial']);
+    let version = String(meterData['version']);
+    let deviceType = String(meterData['deviceType']);
+
+    if (manufacturer === false || !/^[0-9a-fA-F]{8}$/.test(serial) ||
+        !/^[0-9a-fA-F]{1,2}$/.test(version) ||
+        !/^[0-9a-fA-F]{1,2}$/.test(deviceType))
+      return null;
+
+    return new MeterId({
+      manufacturer: manufacturer,
+      id: serial,
+      version: parseInt(version, 16),
+      deviceType: parseInt(deviceType, 16)
+    });
+  }
+
+  /**
+  * Parse manufacturer field of human readable meter id.
+  *
+  * @param value
+  *   Three letter code, 4 digit M-field in hex or '*'
+  * @return M-field value, null for wildcard or false if value is invalid
+  */
+  static parseManufacturer(value) {
+    if (value == '*')
+      return null;
+
+    if (/^[0-9a-fA-F]{4}$/.test(value))
+      return parseInt(value, 16);
+
+    return MeterId.encodeManufacturer(value);
+  }
+
+  /**
+  * Encode three letter manufacturer code to M-field value.
+  *
+  * @param code
+  *   Manufacturer code, for example "KAM" for Kamstrup
+  * @return M-field value or false if code is invalid
+  */
+  static encodeManufacturer(code) {
+    if (typeof code !== 'string' || !/^[A-Za-z]{3}$/.test(code))
+      return false;
+
+    code = code.toUpperCase();
+
+    return (code.charCodeAt(0) - 64) * 32 * 32 +
+      (code.charCodeAt(1) - 64) * 32 +
+      (code.charCodeAt(2) - 64);
+  }
+
+  /**
+  * Decode M-field value to three letter manufacturer code.
+  *
+  * @param value
+  * @return code or false if value is invalid
+  */
+  static decodeManufacturer(value) {
+    if (typeof value !== 'number' || value < 0x0421 || value > 0x6b5a)
+      return false;
+
+    let code = String.fromCharCode(
+      ((value >> 10) & 0x1F) + 64,
+      ((value >> 5) & 0x1F) + 64,
+      (value & 0x1F) + 64);
+
+    return /^[A-Z]{3}$/.test(code) ? code : false;
+  }
+
+  /**
+  * Format byte as two digit hex string.
+  *
+  * @param value
+  * @return string
+  */
+  static formatByte(value) {
+    return ('0' + (value & 0xFF).toString(16)).slice(-2);
+  }
+}
+
+export default MeterId;
@@ -1,5 +1,5 @@
 import fs from "fs"
-import Meter from "./meter"
+import MeterId from "./meter-id"
 
 /**
 * Meter and keyfile importer.
@@ -49,27 +49,32 @@ class MeterImporter {
 
       items.forEach(row => {
 
-        // Validate input values
-        if (!row.hasOwnProperty('manufacturer') ||
-            !row.hasOwnProperty('serial') ||
-            !row.hasOwnProperty('version') ||
-            !row.hasOwnProperty('deviceType'))
+        // Validate input values and build meter address
+        let meterId = MeterId.fromMeterData(row);
+        if (!meterId)
           return;
 
-        // Build meter address
-        let meterAddress = Buffer.concat([
-          Meter.reverseBuffer(Meter.buildManufacturerId(row['manufacturer'])),
-          Meter.reverseBuffer(Buffer.alloc(4, row['serial'], 'hex')),
-          Buffer.alloc(1, row['version'], 'hex'),
-          Buffer.alloc(1, row['deviceType'], 'hex')
-        ]);
-
         // We use String keys as since Map requires original buffer to match
-        meterData.set(meterAddress.toString('hex'), row);
+        meterData.set(meterId.toHex(), row);
       });
       callback(null, meterData);
     });
   }
+
+  /**
+  * Save list of meter settings to file, which can be loaded with
+  * loadMeterSettings().
+  *
+  * @param target file
+  *   Target file path.
+  * @param meters
+  *   Array of meter settings, like meters found by MBusScanner
+  * @param callback
+  *   Passes error
+  */
+  static saveMeterSettings(target, meters, callback) {
+    fs.writeFile(target, JSON.stringify(meters, null, 2) + "\n", callback);
+  }
 }
 
 export default MeterImporter;
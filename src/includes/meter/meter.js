@@ -1,25 +1,24 @@
+import MeterId from "./meter-id"
+import ManufacturerRegistry from "./manufacturer-registry"
+import DeviceTypeRegistry from "./device-type-registry"
+
+var EventEmitter = require("events").EventEmitter;
+
 /**
-* Base meter class for M-Bus and WM-Bus meters.
+* Base meter class for M-Bus and WM-Bus meters. Meters emit events for
+* telegrams, which are completed after processTelegramData() has returned.
 */
-class Meter {
+class Meter extends EventEmitter {
 
   constructor() {
+    super();
+
     // Initialize values
     this._disableMeterFilter = false;
     this._filter = [];
     this._meterData = new Map();
   }
 
-  /**
-  * Describe meter.
-  *
-  * @param telegram
-  * @return information
-  */
-  describeMeter(telegram) {
-    return 'Base Meter';
-  }
-
   /**
   * Apply meter configuration settings.
   *
@@ -27,6 +26,8 @@ class Meter {
   *   disableMeterFilter - Boolean value to indicate if meter filter should
   *     be disabled. Defaults to false. This means that only listed meters
   *     will be passed further.
+  *   filter - List of meter ids to pass, see MeterId.parse(). Meter ids may
+  *     contain wildcards, like 'KAM 1234**** v* t16'.
   */
   applySettings(options) {
 
@@ -77,8 +78,12 @@ class Meter {
 
     // Check if we have meter filter
     if (this._filter && this._filter.length > 0) {
-      let meterAddress = this.getAddressField(telegram).toString('hex');
-      if (this._filter.indexOf(meterAddress) < 0)
+      let meterId = MeterId.fromAddress(this.getAddressField(telegram));
+
+      if (!meterId || !this._filter.some(filter => {
+        let filterId = MeterId.parse(filter);
+        return filterId !== null && filterId.matches(meterId);
+      }))
         return false;
     }
     return true;
@@ -118,6 +123,166 @@ class Meter {
     return details;
   }
 
+  /**
+  * Apply decoded data records to telegram. Meters may implement this to
+  * derive their values from records.
+  *
+  * @param telegram
+  * @param records
+  */
+  setTelegramRecords(telegram, records) {
+    telegram.setRecords(records);
+  }
+
+  /**
+  * Returns normalized quantity of first data record matching given criteria.
+  *
+  * @param telegram
+  * @param criteria
+  *   See DataRecord.matches()
+  * @return quantity or null, see DataRecord.getQuantity()
+  */
+  getRecordQuantity(telegram, criteria) {
+    let record = telegram.findRecord(criteria);
+    return record ? record.getQuantity() : null;
+  }
+
+  /**
+  * Returns scaled value of first data record matching given criteria.
+  *
+  * @param telegram
+  * @param criteria
+  *   See DataRecord.matches()
+  * @return value or null if record is missing or value is not available
+  */
+  getRecordValue(telegram, criteria) {
+    let quantity = this.getRecordQuantity(telegram, criteria);
+    return quantity ? quantity.value : null;
+  }
+
+  /**
+  * Returns normalized quantity of the main meter value. Meters should
+  * implement this to describe value returned by getMeterValue().
+  *
+  * @param telegram
+  * @return quantity or null
+  */
+  getMeterQuantity(telegram) {
+    return null;
+  }
+
+  /**
+  * Returns secondary readings of telegram, like temperatures and flows,
+  * keyed by reading name. Meters may implement this to expose readings
+  * besides getMeterValue() and getMeterTargetValue().
+  *
+  * @param telegram
+  * @return readings object, values are null if not present in telegram
+  */
+  getMeterReadings(telegram) {
+    return {};
+  }
+
+  /**
+  * Returns telegram data buffer timestamp.
+  *
+  * @param telegram
+  * @return timestam
+  */
+  getTelegramTimestamp(telegram) {
+    return telegram ? telegram.getPacket().getTimestamp() : false;
+  }
+
+  /**
+  * Extract meter manufacturer id.
+  *
+  * @param telegram
+  * @return manufacturer field
+  */
+  getManufacturerField(telegram) {
+    let values = telegram.getValues();
+
+    return values.has('BLOCK1_M') ?
+      values.get('BLOCK1_M') : null;
+  }
+
+  /**
+  * Returns meter manufacturer decoded from M-field.
+  *
+  * @param telegram
+  * @return manufacturer or null if M-field is missing or invalid, see
+  *   ManufacturerRegistry.getManufacturer()
+  */
+  getManufacturer(telegram) {
+    let field = this.getManufacturerField(telegram);
+    let code = field ? Meter.decodeManufacturerId(Meter.reverseBuffer(field)) :
+      false;
+
+    return code ? ManufacturerRegistry.getManufacturer(code) : null;
+  }
+
+  /**
+  * Describe meter. Meters with meter data are described by label and device
+  * type, unknown meters by manufacturer and device type.
+  *
+  * @param telegram
+  * @return information
+  */
+  describeMeter(telegram) {
+    let meterData = this.getMeterData(telegram);
+    if (meterData)
+      return this.describeMeterData(meterData);
+
+    let manufacturer = this.getManufacturer(telegram);
+    if (!manufacturer)
+      return 'unknown';
+
+    let deviceType = DeviceTypeRegistry.getName(this.getDeviceType(telegram));
+
+    return `${manufacturer.name || 'Unknown manufacturer'} ` +
+      `(${manufacturer.code}), ${deviceType || 'unknown'}`;
+  }
+
+  /**
+  * Returns label for meter data.
+  *
+  * @param meterData
+  * @return label
+  */
+  describeMeterData(meterData = false) {
+    if (!meterData)
+      return 'unknown';
+
+    let deviceType = DeviceTypeRegistry.getName(meterData['deviceType']);
+    return `${meterData['label']} (${deviceType || 'unknown'})`;
+  }
+
+  /**
+  * Returns device type of meter address as hex string, like '16'. Device
+  * type of meter data is used, if telegram is not processed.
+  *
+  * @param telegram
+  * @return device type or 'unknown'
+  */
+  getDeviceType(telegram) {
+    let type = telegram.getValue('BLOCK1_TYPE');
+    if (type)
+      return type.toString('hex');
+
+    let meterData = this.getMeterData(telegram);
+    return meterData ? meterData['deviceType'] : 'unknown';
+  }
+
+  /**
+  * Returns name of meter device type.
+  *
+  * @param telegram
+  * @return name or null if device type is unknown, see DeviceTypeRegistry
+  */
+  getDeviceTypeName(telegram) {
+    return DeviceTypeRegistry.getName(this.getDeviceType(telegram));
+  }
+
   /**
   * Following methods should be implemented by class that extends Meter class.
   */
@@ -187,20 +352,49 @@ class Meter {
   *   Buffer for manufacturer id of false
   */
   static buildManufacturerId(name) {
-    if (name === undefined || name.length < 3 || name.length > 3)
+    let label = MeterId.encodeManufacturer(name);
+
+    if (label === false || label < 0x0421 || label > 0x6b5a)
       return false;
 
-    // Make sure name is uppercase
-    name = name.toUpperCase();
+    let id = Buffer.alloc(2);
+    id.writeUInt16BE(label, 0);
+    return id;
+  }
 
-    // Build name
-    let label = (name.charCodeAt(0) - 64) * 32 * 32 +
-                (name.charCodeAt(1) - 64) * 32 +
-                (name.charCodeAt(2) - 64);
+  /**
+  * Decode manufacturer id to three letter name, reverse of
+  * buildManufacturerId().
+  *
+  * @param id
+  *   Buffer for manufacturer id (most significant byte first) or number
+  * @return name
+  *   Manufacturer name, for example "KAM", or false if id is invalid
+  */
+  static decodeManufacturerId(id) {
+    if (Buffer.isBuffer(id))
+      id = id.length == 2 ? id.readUInt16BE(0) : -1;
 
-    return (0x0421 <= label && label <= 0x6b5a) ?
-      Buffer.alloc(2, label.toString(16), 'hex') : false;
+    return MeterId.decodeManufacturer(id);
   }
 }
 
+/**
+* Decryption failure reasons, see WirelessMBusMeter.setDecryptionStatus().
+*/
+Meter.DECRYPTION_ERRORS = {
+  // AES key is not available for meter
+  MISSING_KEY: 'missing-key',
+  // Security mode is not supported
+  UNSUPPORTED_MODE: 'unsupported-mode',
+  // Mode 7 key derivation is not supported
+  UNSUPPORTED_KEY_DERIVATION: 'unsupported-key-derivation',
+  // Mode 7 telegram without AFL message counter and MAC
+  MISSING_AFL: 'missing-afl',
+  // AFL MAC doesn't match, wrong key or tampered telegram
+  MAC_MISMATCH: 'mac-mismatch',
+  // Decrypted data didn't pass verification, wrong key or corrupted payload
+  DECRYPTION_FAILED: 'decryption-failed'
+};
+
 export default Meter;
\ No newline at end of file
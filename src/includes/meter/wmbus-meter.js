@@ -1,5 +1,13 @@
 
 import Meter from "./meter"
+import DataRecordParser from "./../telegram/data-record-parser"
+import LinkLayer from "./../telegram/link-layer"
+import HeaderParser from "./../telegram/header-parser"
+import CMAC from "./../crypto/cmac"
+import AES from "./../crypto/aes"
+import KDF from "./../crypto/kdf"
+import KeyProvider from "./../crypto/key-provider"
+import FormatCache from "./../telegram/format-cache"
 
 // Static instance
 var instance = null;
@@ -28,12 +36,63 @@ class WirelessMBusMeter extends Meter {
     return instance;
   }
 
+  constructor() {
+    super();
+    this._frameFormat = 'auto';
+    this._rejectInvalidCRC = true;
+    this._keyProvider = null;
+    this._formatCache = new FormatCache();
+    this._compactFrameLimit = 32;
+
+    // Compact frames waiting for full frame by format signature
+    this._compactFrames = new Map();
+  }
+
+  /**
+  * Apply meter configuration settings.
+  *
+  * @param options
+  *   frameFormat - Frame format of incoming telegrams: 'A', 'B', 'none' or
+  *     'auto' (default), see LinkLayer.decode().
+  *   rejectInvalidCRC - Boolean value to indicate if telegrams with invalid
+  *     block CRCs should be rejected. Defaults to true. If false, telegrams
+  *     are processed and flagged, see isFrameValid().
+  *   keyProvider - KeyProvider for AES keys. Keys of meter data are used, if
+  *     provider doesn't have key for meter. If key is fetched asynchronously,
+  *     see fetchMissingKey(), telegram fails with missing key first and is
+  *     emitted with 'telegram' event after it has been processed with
+  *     fetched key.
+  *   formatCache - FormatCache used to decode compact frames, may be shared
+  *     between meters.
+  *   compactFrameLimit - Maximum number of compact frames buffered per format
+  *     signature while waiting for full frame. Defaults to 32.
+  */
+  applySettings(options) {
+    super.applySettings(options);
+
+    if (options.hasOwnProperty('frameFormat'))
+      this._frameFormat = options.frameFormat;
+
+    if (options.hasOwnProperty('rejectInvalidCRC'))
+      this._rejectInvalidCRC = options.rejectInvalidCRC;
+
+    if (options.hasOwnProperty('keyProvider'))
+      this._keyProvider = options.keyProvider;
+
+    if (options.hasOwnProperty('formatCache'))
+      this._formatCache = options.formatCache;
+
+    if (options.hasOwnProperty('compactFrameLimit'))
+      this._compactFrameLimit = options.compactFrameLimit;
+  }
+
   /**
   * Process telegram by fetching meter values from raw data packet.
   *
   * @param telegram
   *   Telegram to be processed.
-  * @options
+  * @param options
+  *   aes - AES key if needed, defaults to key of meter data
   *
   * @return boolean succeed
   */
@@ -42,30 +101,573 @@ class WirelessMBusMeter extends Meter {
     if (!super.processTelegramData(telegram, options))
       return false;
 
-    // Get existing values and apply data
+    // Validate and strip link layer CRCs, reassembled packets are CRC free
     let packet = telegram.getPacket();
+    let frame = LinkLayer.decode(packet.getBuffer(), {
+      format: packet.isReassembled() ? 'reassembled' : this._frameFormat
+    });
+    telegram.setFrame(frame);
+
+    if (!frame.valid && this._rejectInvalidCRC)
+      return false;
 
     // Process DLL
-    telegram.setValues(this.fetchData(packet, this.getDLLMap()));
+    telegram.setValues(this.fetchData(frame.data, this.getDLLMap()));
 
     // If filter is enabled, we make sure that meter is 'whitelisted' and
     // that we have predefined settings for it.
     if (!this.passTelegram(telegram))
       return false;
 
-    // Process ELL
-    telegram.setValues(this.fetchData(packet, this.getELLMap()));
+    // Process ELL, AFL and TPL headers
+    let headers = this.processHeaders(telegram, frame.data);
+    telegram.setValues(this.fetchData(frame.data, this.getELLMap()));
+
+    // Decrypt transport layer payload, failed telegrams don't have values
+    if (headers.encrypted && headers.tpl &&
+        !this.decryptPayload(telegram, options))
+      return false;
+
+    // Process application layer data records, if payload is available.
+    // Compact frames with unknown format wait for full frame.
+    let data = this.getApplicationData(telegram);
+    if (data && !this.processDataRecords(telegram, data))
+      return false;
+
     return true;
   }
 
   /**
-  * Returns telegram data buffer timestamp.
+  * Parse headers following the data link layer by CI field and apply them to
+  * telegram. Extended link layer fields are also stored as telegram values:
+  *
+  * BLOCK2_CI
+  *   First CI field, indicates type of following header.
+  *
+  * BLOCK2_CC
+  *   Communication control field of ELL:
+  *   Bit 7  |  Bit 6  |  Bit 5  |  Bit 4  |  Bit 3  |  Bit 2  |  Bit 1
+  *   B-field| D-field | S-field | H-field | P-field | A-field | Reserved
+  *
+  *   B-field, bidirectional communication is supported
+  *   D-field, fast (set) or slow (cleared) response delay
+  *   S-field, synchronized frame
+  *   H-field, frame has been relayed by a repeater
+  *   P-field, high priority frame
+  *   A-field, accessibility, used with B-field to tell when meter listens
+  *
+  * BLOCK2_ACC
+  *   Access counter number of ELL, runs from 00 to ff.
+  *
+  * BLOCK2_SN
+  *   Session number of ELL: encryption mode, time field, session counter
+  *
+  * BLOCK2_CRC
+  *   Payload CRC following the session number, encrypted with the payload.
   *
   * @param telegram
-  * @return timestam
+  * @param data
+  *   CRC free frame
+  * @return headers, see HeaderParser.parse()
   */
-  getTelegramTimestamp(telegram) {
-    return telegram ? telegram.getPacket().getTimestamp() : false;
+  processHeaders(telegram, data) {
+    let headers = HeaderParser.parse(data, 10);
+    telegram.setHeaders(headers);
+
+    let values = new Map();
+
+    if (data.length > 10)
+      values.set('BLOCK2_CI', data.slice(10, 11));
+
+    if (headers.ell) {
+      values.set('BLOCK2_CC', Buffer.from([headers.ell.cc]));
+      values.set('BLOCK2_ACC', Buffer.from([headers.ell.accessNumber]));
+
+      if (headers.ell.sessionNumber)
+        values.set('BLOCK2_SN', headers.ell.sessionNumber);
+
+      if (headers.ell.payloadCRC)
+        values.set('BLOCK2_CRC', headers.ell.payloadCRC);
+    }
+    telegram.setValues(values);
+    return headers;
+  }
+
+  /**
+  * Returns CRC free frame data of telegram.
+  *
+  * @param telegram
+  * @return buffer
+  */
+  getFrameData(telegram) {
+    let frame = telegram.getFrame();
+    return frame ? frame.data : telegram.getPacket().getBuffer();
+  }
+
+  /**
+  * Check if all link layer CRCs of telegram were valid.
+  *
+  * @param telegram
+  * @return boolean is valid
+  */
+  isFrameValid(telegram) {
+    let frame = telegram.getFrame();
+    return frame ? frame.valid : true;
+  }
+
+  /**
+  * Returns unencrypted application payload, starting from first data record.
+  * With compact frames payload contains only record data. Meters which need
+  * to decrypt or otherwise process payload should implement this.
+  *
+  * @param telegram
+  * @return buffer or null
+  */
+  getApplicationData(telegram) {
+    if (telegram.getPayload())
+      return telegram.getPayload();
+
+    let headers = telegram.getHeaders();
+
+    if (!headers || headers.encrypted || !headers.tpl)
+      return null;
+
+    // Unknown transport layers don't carry data records
+    if (['none', 'short', 'long', 'compact'].indexOf(headers.tpl.type) < 0)
+      return null;
+
+    return this.getFrameData(telegram).slice(headers.payloadOffset);
+  }
+
+  /**
+  * Decrypt transport layer payload and store it to telegram. Decryption
+  * status is stored to telegram, see Telegram.getDecryption().
+  *
+  * @param telegram
+  * @param options
+  *   aes - AES key, defaults to key of meter data
+  * @return boolean succeed
+  */
+  decryptPayload(telegram, options = {}) {
+    const errors = WirelessMBusMeter.DECRYPTION_ERRORS;
+
+    let tpl = telegram.getHeader('tpl');
+    let mode = tpl.configuration.mode;
+    let key = this.getAESKey(telegram, options);
+    let payload = null;
+    let reason = null;
+
+    if (!key) {
+      this.fetchMissingKey(telegram);
+      return this.setDecryptionStatus(telegram, mode, errors.MISSING_KEY);
+    }
+
+    switch (mode) {
+      case 5:
+        payload = this.decryptMode5(telegram, key);
+        break;
+      case 7:
+        reason = this.verifyMode7(telegram, key);
+        payload = reason ? null : this.decryptMode7(telegram, key);
+        break;
+      default:
+        return this.setDecryptionStatus(telegram, mode,
+          errors.UNSUPPORTED_MODE);
+    }
+
+    telegram.setPayload(payload);
+    return this.setDecryptionStatus(telegram, mode,
+      payload ? null : reason || errors.DECRYPTION_FAILED);
+  }
+
+  /**
+  * Store decryption status to telegram.
+  *
+  * @param telegram
+  * @param mode
+  *   Security mode
+  * @param reason
+  *   Failure reason, see WirelessMBusMeter.DECRYPTION_ERRORS, or null if
+  *   decryption succeeded
+  * @return boolean succeed
+  */
+  setDecryptionStatus(telegram, mode, reason = null) {
+    telegram.setDecryption({
+      mode: mode,
+      success: reason === null,
+      reason: reason
+    });
+    return reason === null;
+  }
+
+  /**
+  * Check if telegram payload was encrypted and decryption or verification
+  * failed. Values of failed telegrams must not be used.
+  *
+  * @param telegram
+  * @return boolean failed
+  */
+  isDecryptionFailed(telegram) {
+    let decryption = telegram.getDecryption();
+    return decryption ? !decryption.success : false;
+  }
+
+  /**
+  * Returns AES key of telegram meter. Key given in options is preferred over
+  * the key of key provider and meter data.
+  *
+  * @param telegram
+  * @param options
+  *   aes - AES key as hex string or buffer
+  * @return key buffer or null
+  */
+  getAESKey(telegram, options = {}) {
+    let key = options.hasOwnProperty('aes') ? options.aes : null;
+    let address = this.getAddressField(telegram);
+
+    if (!key && this._keyProvider && address)
+      key = this._keyProvider.getKey(address);
+
+    if (!key) {
+      let meterData = this.getMeterData(telegram);
+
+      if (meterData && meterData.hasOwnProperty('aes'))
+        key = meterData.aes;
+    }
+    return KeyProvider.normalizeKey(key);
+  }
+
+  /**
+  * Fetch missing key of telegram meter with key provider. Providers backed
+  * by asynchronous sources don't have the key yet, when the first telegram
+  * of meter is processed. Telegram is processed again after key has been
+  * fetched, and emitted with 'telegram' event if it succeeds.
+  *
+  * @param telegram
+  *   Telegram, which failed with missing key
+  */
+  fetchMissingKey(telegram) {
+    let address = this.getAddressField(telegram);
+
+    if (!this._keyProvider || !address)
+      return;
+
+    this._keyProvider.fetchKey(address, (err, key) => {
+      if (!err && key && this.processTelegramData(telegram))
+        this.emit('telegram', telegram);
+    });
+  }
+
+  /**
+  * Decrypt security mode 5 (AES-128-CBC, OMS security profile A) payload.
+  *
+  * Configuration word tells number of encrypted 16 byte blocks following
+  * the transport layer header, rest of the payload is unencrypted. Decrypted
+  * data must start with 0x2F2F, otherwise key is wrong.
+  *
+  * @param telegram
+  * @param key
+  *   AES key buffer
+  * @return payload or null if decryption failed
+  */
+  decryptMode5(telegram, key) {
+    let headers = telegram.getHeaders();
+    let data = this.getFrameData(telegram).slice(headers.payloadOffset);
+    let length = headers.tpl.configuration.encryptedBlocks * 16;
+
+    if (!length || length > data.length)
+      return null;
+
+    let decrypted = AES.decryptCBC(data.slice(0, length), key,
+      this.getMode5IV(telegram));
+
+    if (decrypted[0] != 0x2F || decrypted[1] != 0x2F)
+      return null;
+
+    return Buffer.concat([decrypted, data.slice(length)]);
+  }
+
+  /**
+  * Returns security mode 5 initialization vector: M (2 bytes), A (6 bytes)
+  * and access number repeated 8 times.
+  *
+  * @param telegram
+  * @return iv buffer
+  */
+  getMode5IV(telegram) {
+    let accessNumber = telegram.getHeader('tpl').accessNumber;
+
+    return Buffer.concat([
+      this.getSecurityAddress(telegram),
+      Buffer.alloc(8, accessNumber)
+    ]);
+  }
+
+  /**
+  * Returns meter address used by security modes in link layer order: M
+  * (2 bytes), ID (4 bytes), version and device type. Long header carries
+  * meter address, so it is used instead of link layer address.
+  *
+  * @param telegram
+  * @return address buffer
+  */
+  getSecurityAddress(telegram) {
+    let data = this.getFrameData(telegram);
+    let tpl = telegram.getHeader('tpl');
+
+    if (!tpl || tpl.type != 'long')
+      return data.slice(2, 10);
+
+    let index = tpl.offset + 1;
+    return Buffer.concat([
+      data.slice(index + 4, index + 6),
+      data.slice(index, index + 4),
+      data.slice(index + 6, index + 8)
+    ]);
+  }
+
+  /**
+  * Verify security mode 7 (OMS security profile B) prerequisites and AFL
+  * message authentication code.
+  *
+  * @param telegram
+  * @param key
+  *   Master key buffer
+  * @return failure reason or null if telegram is authentic
+  */
+  verifyMode7(telegram, key) {
+    let afl = telegram.getHeader('afl');
+    let tpl = telegram.getHeader('tpl');
+
+    if (!afl || afl.messageCounter === null || !afl.mac)
+      return WirelessMBusMeter.DECRYPTION_ERRORS.MISSING_AFL;
+
+    // Only KDF-A is defined for mode 7
+    if (tpl.configuration.keyDerivation != 1)
+      return WirelessMBusMeter.DECRYPTION_ERRORS.UNSUPPORTED_KEY_DERIVATION;
+
+    return this.verifyMAC(telegram, key) ?
+      null : WirelessMBusMeter.DECRYPTION_ERRORS.MAC_MISMATCH;
+  }
+
+  /**
+  * Verify AFL message authentication code. MAC is AES-CMAC calculated with
+  * key derived from master key and message counter, truncated to the length
+  * given by AFL authentication type.
+  *
+  * @param telegram
+  * @param key
+  *   Master key buffer
+  * @return boolean is valid, false if telegram has no AFL MAC
+  */
+  verifyMAC(telegram, key) {
+    let afl = telegram.getHeader('afl');
+
+    if (!afl || afl.messageCounter === null || !afl.mac || !afl.mac.length)
+      return false;
+
+    let mac = CMAC.calculate(
+      this.deriveMode7Key(telegram, key, KDF.MAC),
+      this.getMode7MACData(telegram));
+
+    return mac.slice(0, afl.mac.length).equals(afl.mac);
+  }
+
+  /**
+  * Returns AFL message counter of telegram.
+  *
+  * @param telegram
+  * @return counter or null if telegram has no AFL message counter
+  */
+  getMessageCounter(telegram) {
+    let afl = telegram.getHeader('afl');
+    return afl ? afl.messageCounter : null;
+  }
+
+  /**
+  * Decrypt security mode 7 payload. Payload is encrypted with AES-128-CBC
+  * using derived encryption key and zero IV.
+  *
+  * @param telegram
+  * @param key
+  *   Master key buffer
+  * @return payload or null if decryption failed
+  */
+  decryptMode7(telegram, key) {
+    let headers = telegram.getHeaders();
+    let data = this.getFrameData(telegram).slice(headers.payloadOffset);
+    let length = headers.tpl.configuration.encryptedBlocks * 16;
+
+    if (!length || length > data.length)
+      return null;
+
+    let decrypted = AES.decryptCBC(data.slice(0, length),
+      this.deriveMode7Key(telegram, key, KDF.ENCRYPTION), Buffer.alloc(16));
+
+    if (decrypted[0] != 0x2F || decrypted[1] != 0x2F)
+      return null;
+
+    return Buffer.concat([decrypted, data.slice(length)]);
+  }
+
+  /**
+  * Derive mode 7 ephemeral key from master key, AFL message counter and
+  * meter identification number, see KDF.deriveKey().
+  *
+  * @param telegram
+  * @param key
+  *   Master key buffer
+  * @param constant
+  *   Derivation constant, KDF.ENCRYPTION or KDF.MAC
+  * @return derived key
+  */
+  deriveMode7Key(telegram, key, constant) {
+    return KDF.deriveKey(key, constant, this.getMessageCounter(telegram),
+      this.getSecurityAddress(telegram).slice(2, 6));
+  }
+
+  /**
+  * Returns data covered by AFL MAC: MCL, MCR, optional ML and everything
+  * from transport layer CI field to the end of frame.
+  *
+  * @param telegram
+  * @return buffer
+  */
+  getMode7MACData(telegram) {
+    let afl = telegram.getHeader('afl');
+    let tpl = telegram.getHeader('tpl');
+    let counter = Buffer.alloc(4);
+    let parts = [Buffer.from([afl.messageControl])];
+
+    counter.writeUInt32LE(afl.messageCounter);
+    parts.push(counter);
+
+    if (afl.messageLength !== null) {
+      let length = Buffer.alloc(2);
+      length.writeUInt16LE(afl.messageLength);
+      parts.push(length);
+    }
+
+    parts.push(this.getFrameData(telegram).slice(tpl.offset));
+    return Buffer.concat(parts);
+  }
+
+  /**
+  * Parse data records from application payload and apply them to telegram.
+  * Formats of full frames are learned, and compact frames are decoded using
+  * learned formats.
+  *
+  * @param telegram
+  * @param data
+  *   Application payload buffer
+  * @return records or null if compact frame is waiting for full frame
+  */
+  processDataRecords(telegram, data) {
+    let tpl = telegram.getHeader('tpl');
+
+    if (tpl && tpl.type == 'compact')
+      return this.processCompactFrame(telegram, tpl.formatSignature, data);
+
+    let records = DataRecordParser.parse(data);
+    this.setTelegramRecords(telegram, records);
+
+    // Decode compact frames, which were waiting for this format
+    let signature = this._formatCache.learn(records);
+    if (signature !== null)
+      this.processPendingCompactFrames(signature);
+
+    return records;
+  }
+
+  /**
+  * Decode compact frame using learned format. If format is not known yet,
+  * or data CRC of frame doesn't match the known format (signature collision
+  * or changed format of meter), frame is buffered and decoded when matching
+  * full frame is received. Decoded buffered telegrams are emitted with
+  * 'telegram' event.
+  *
+  * @param telegram
+  * @param signature
+  *   Format signature
+  * @param data
+  *   Compact frame record data
+  * @return records or null if frame doesn't match known format
+  */
+  processCompactFrame(telegram, signature, data) {
+    let records = this._formatCache.decode(signature, data,
+      this.getDataCRC(telegram));
+
+    if (records) {
+      this.setTelegramRecords(telegram, records);
+      return records;
+    }
+
+    let frames = this._compactFrames.has(signature) ?
+      this._compactFrames.get(signature) : [];
+
+    frames.push({ telegram: telegram, data: data });
+
+    // Drop oldest frames, if full frame doesn't arrive
+    if (frames.length > this._compactFrameLimit)
+      frames.splice(0, frames.length - this._compactFrameLimit);
+
+    this._compactFrames.set(signature, frames);
+    return null;
+  }
+
+  /**
+  * Decode buffered compact frames of given format and emit them. Frames,
+  * which don't match the format, stay buffered.
+  *
+  * @param signature
+  * @return number of decoded frames
+  */
+  processPendingCompactFrames(signature) {
+    if (!this._compactFrames.has(signature))
+      return 0;
+
+    let frames = this._compactFrames.get(signature).filter(frame => {
+      let records = this._formatCache.decode(signature, frame.data,
+        this.getDataCRC(frame.telegram));
+
+      if (!records)
+        return true;
+
+      this.setTelegramRecords(frame.telegram, records);
+      this.emit('telegram', frame.telegram);
+      return false;
+    });
+    let decoded = this._compactFrames.get(signature).length - frames.length;
+
+    if (frames.length)
+      this._compactFrames.set(signature, frames);
+    else
+      this._compactFrames.delete(signature);
+
+    return decoded;
+  }
+
+  /**
+  * Returns data CRC of compact frame: CRC of record data of the
+  * corresponding full frame.
+  *
+  * @param telegram
+  * @return CRC or null if telegram is not compact frame
+  */
+  getDataCRC(telegram) {
+    let tpl = telegram.getHeader('tpl');
+    return tpl && tpl.type == 'compact' ? tpl.dataCRC : null;
+  }
+
+  /**
+  * Returns number of buffered compact frames.
+  *
+  * @return count
+  */
+  getPendingCompactFrameCount() {
+    let count = 0;
+    this._compactFrames.forEach(frames => count += frames.length);
+    return count;
   }
 
   /**
@@ -188,16 +790,79 @@ class WirelessMBusMeter extends Meter {
   }
 
   /**
-  * Extract meter manufacturer id.
+  * Extract meter Application Header from details.
   *
-  * @param telegram
-  * @return manufacturer field
+  * @param telegram
+  * @return ci field
+  */
+  getCIField(telegram) {
+    let values = telegram.getValues();
+    return values.has('BLOCK2_CI') ?
+      values.get('BLOCK2_CI') : null;
+  }
+
+  /**
+  * Extract meter CC details.
+  *
+  * @param telegram
+  * @return cc field
+  */
+  getCCField(telegram) {
+    let values = telegram.getValues();
+    return values.has('BLOCK2_CC') ?
+      values.get('BLOCK2_CC') : null;
+  }
+
+  /**
+  * Extract meter Access Counter Number.
+  *
+  * @param telegram
+  * @return ACN
   */
-  getManufacturerField(telegram) {
+  getACCField(telegram) {
     let values = telegram.getValues();
+    return values.has('BLOCK2_ACC') ?
+      values.get('BLOCK2_ACC') : null;
+  }
+
+  /**
+  * Extract meter SN field.
+  *
+  * @param telegram
+  * @return SN field
+  */
+  getSNField(telegram) {
+    let values = telegram.getValues();
+    return values.has('BLOCK2_SN') ?
+      values.get('BLOCK2_SN') : null;
+  }
+
+  /**
+  * Extract meter ELL CRC field.
+  *
+  * @param telegram
+  * @return ELL CRC field
+  */
+  getELLCRC(telegram) {
+    let values = telegram.getValues();
+    return values.has('BLOCK2_CRC') ?
+      values.get('BLOCK2_CRC') : null;
+  }
+
+  /**
+  * Returns access number of telegram. Transport layer access number is
+  * preferred over ELL access number.
+  *
+  * @param telegram
+  * @return access number or null
+  */
+  getAccessNumber(telegram) {
+    let tpl = telegram.getHeader('tpl');
+    if (tpl && tpl.accessNumber !== null)
+      return tpl.accessNumber;
 
-    return values.has('BLOCK1_M') ?
-      values.get('BLOCK1_M') : null;
+    let ell = telegram.getHeader('ell');
+    return ell ? ell.accessNumber : null;
   }
 
   /**
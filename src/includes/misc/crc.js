@@ -0,0 +1,31 @@
+/**
+* CRC calculations.
+*/
+class CRC {
+
+  /**
+  * Calculate EN 13757-4 CRC, used by wireless M-Bus frame formats A and B.
+  *
+  * Polynomial: x^16 + x^13 + x^12 + x^11 + x^10 + x^8 + x^6 + x^5 + x^2 + 1
+  * (0x3D65), initial value 0x0000, final value inverted.
+  *
+  * @param buffer
+  * @return crc
+  *   16 bit CRC value
+  */
+  static crc16EN13757(buffer) {
+    let crc = 0x0000;
+
+    for (let i = 0; i < buffer.length; i++) {
+      crc ^= buffer[i] << 8;
+
+      for (let j = 0; j < 8; j++) {
+        crc = crc & 0x8000 ? (crc << 1) ^ 0x3D65 : crc << 1;
+        crc &= 0xFFFF;
+      }
+    }
+    return (crc ^ 0xFFFF) & 0xFFFF;
+  }
+}
+
+export default CRC;
@@ -1,3 +1,5 @@
+import MeterId from "./../meter/meter-id"
+
 var instance = false;
 
 /**
@@ -33,12 +35,22 @@ class Statistics {
   * @param meter
   * @param telegram
   * @return statistics
+  *   Telegrams with failed decryption don't update statistics, previous
+  *   statistics or false is returned.
   */
   getMeterStats(meter, telegram) {
     // See if telegram has been initialized yet
-    let address = meter.getAddressField(telegram).toString('hex');
+    let meterId = MeterId.fromAddress(meter.getAddressField(telegram));
+    let address = meterId ? meterId.toHex() : 'unknown';
+
+    if (typeof meter.isDecryptionFailed === 'function' &&
+        meter.isDecryptionFailed(telegram))
+      return this._stasts.hasOwnProperty(address) ?
+        this._stasts[address] : false;
+
     let currentValue = meter.getMeterValue(telegram);
     let currentTargetValue = meter.getMeterTargetValue(telegram);
+    let quantity = meter.getMeterQuantity(telegram);
 
     if (!this._stasts.hasOwnProperty(address) ||
         !this._stasts[address]) {
@@ -46,10 +58,19 @@ class Statistics {
       this._stasts[address] = {
         // Meter address
         address: address,
+        // Meter id in human readable order, like 'KAM 12345678 v1b t06'
+        meterId: meterId ? meterId.toString() : null,
         // Meter device type
         deviceType: meter.getDeviceType(telegram),
         // Meter description
         description: meter.describeMeter(telegram),
+        // Meter manufacturer code and name
+        manufacturer: typeof meter.getManufacturer === 'function' ?
+          meter.getManufacturer(telegram) : null,
+        // Measured quantity, like 'Volume'
+        quantity: quantity ? quantity.quantity : null,
+        // Unit of values, like 'm³'
+        unit: quantity ? quantity.unit : null,
         // Updated timestamp
         updated: Date.now(),
         // Timestamp of first measure
@@ -71,12 +92,27 @@ class Statistics {
         // Delta since first measurement
         deltaTargetValue: false,
         // Counter
-        counter: 0
+        counter: 0,
+        // Signal strength of last packet in dBm
+        rssi: null,
+        // Minimum, maximum and average signal strength in dBm
+        minRssi: null,
+        maxRssi: null,
+        avgRssi: null,
+        // Number of packets with signal strength
+        rssiCounter: 0,
+        // Link mode of last packet
+        linkMode: null
       };
     }
 
     this._stasts[address]['counter']++;
 
+    if (quantity) {
+      this._stasts[address]['quantity'] = quantity.quantity;
+      this._stasts[address]['unit'] = quantity.unit;
+    }
+
     this._stasts[address]['lastMeasure'] = meter.getTelegramTimestamp(telegram);
     this._stasts[address]['currentValue'] = currentValue;
     this._stasts[address]['currentTargetValue'] = currentTargetValue;
@@ -89,9 +125,51 @@ class Statistics {
     this._stasts[address]['deltaTargetValue'] = currentTargetValue -
         this._stasts[address]['initTargetValue'];
 
+    this.updateSignalStats(this._stasts[address], telegram.getPacket());
+
+    // Secondary readings, like temperatures. Telegrams without the reading
+    // (like compact frames of another format) keep the last known value.
+    let readings = typeof meter.getMeterReadings === 'function' ?
+      meter.getMeterReadings(telegram) : {};
+
+    Object.keys(readings).forEach(key => {
+      if (readings[key] !== null ||
+          !this._stasts[address].hasOwnProperty(key))
+        this._stasts[address][key] = readings[key];
+    });
+
     return this._stasts[address];
   }
 
+  /**
+  * Update signal strength statistics of meter from received packet.
+  *
+  * @param stats
+  *   Meter statistics
+  * @param packet
+  *   Data packet of telegram
+  */
+  updateSignalStats(stats, packet) {
+    if (!packet || typeof packet.getRssi !== 'function')
+      return;
+
+    if (packet.getLinkMode() !== null)
+      stats.linkMode = packet.getLinkMode();
+
+    let rssi = packet.getRssi();
+    if (rssi === null)
+      return;
+
+    stats.rssi = rssi;
+    stats.minRssi = stats.minRssi === null ?
+      rssi : Math.min(stats.minRssi, rssi);
+    stats.maxRssi = stats.maxRssi === null ?
+      rssi : Math.max(stats.maxRssi, rssi);
+    stats.avgRssi = (stats.avgRssi * stats.rssiCounter + rssi) /
+      (stats.rssiCounter + 1);
+    stats.rssiCounter++;
+  }
+
   /**
   * Get statistics.
   *
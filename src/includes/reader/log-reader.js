@@ -110,9 +110,19 @@ class LogReader extends DataSource {
           !rowData[1])
         return;
 
-        self._buffer.push(new DataPacket(Buffer.alloc(rowData[1].length/2, rowData[1], "hex"), {
+      let options = {
         timestamp: rowData[0]
-      }));
+      };
+
+      // Optional receive metadata, see LogWriter.writeRawTelegram()
+      if (rowData[2])
+        options.rssi = Number(rowData[2]);
+      if (rowData[3])
+        options.deviceTimestamp = Number(rowData[3]);
+      if (rowData[4])
+        options.linkMode = rowData[4].trim();
+
+      self._buffer.push(new DataPacket(Buffer.alloc(rowData[1].length/2, rowData[1], "hex"), options));
     });
   }
 }
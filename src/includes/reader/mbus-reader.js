@@ -1,10 +1,477 @@
 import Reader from "./reader"
+import DataPacket from "./../buffer/data-packet"
+import MBusLinkLayer from "./../telegram/mbus-link-layer"
+import HeaderParser from "./../telegram/header-parser"
+import DataRecordParser from "./../telegram/data-record-parser"
+import MeterId from "./../meter/meter-id"
 
 /**
-* M-Bus based data source.
+* M-Bus based data source. Reader acts as wired M-Bus master: it polls meters
+* through level converter and pushes responses to data buffer as data
+* packets, which can be processed with MBusMeter.
+*
+* Meters are addressed by primary address (number) or by secondary address
+* (MeterId or value accepted by MeterId.parse()), like:
+*
+*   reader.readMeter(5);
+*   reader.readMeter('KAM 12345678');
 */
 class MBusReader extends Reader {
 
+  /**
+  * Constructor
+  *
+  * @param options
+  *   buffer - Data buffer to send data
+  *   serialPortPath - Path of serial port
+  *   serialPort - Open serial port or duplex stream to use instead of
+  *     serialPortPath
+  *   baudRate - Baud rate, defaults to 2400
+  *   timeout - Response timeout in milliseconds, defaults to 500
+  *   retries - Number of retries after timeout, defaults to 2
+  *   maxTelegrams - Maximum number of telegrams read from meter with "more
+  *     records follow" flag, defaults to 16
+  *   meters - List of meter addresses polled after source is enabled
+  *   pollInterval - Interval in milliseconds to poll meters again. Meters
+  *     are polled only once, if interval is 0 (default).
+  */
+  constructor(options = {}) {
+    super(options);
+
+    this._buffer = options.hasOwnProperty('buffer') ?
+      options.buffer : false;
+
+    this._serialPortPath = options.hasOwnProperty('serialPortPath') ?
+      options.serialPortPath : false;
+
+    this._serialPort = options.hasOwnProperty('serialPort') ?
+      options.serialPort : null;
+
+    this._baudRate = options.hasOwnProperty('baudRate') ?
+      options.baudRate : 2400;
+
+    this._timeout = options.hasOwnProperty('timeout') ?
+      options.timeout : 500;
+
+    this._retries = options.hasOwnProperty('retries') ?
+      options.retries : 2;
+
+    this._maxTelegrams = options.hasOwnProperty('maxTelegrams') ?
+      options.maxTelegrams : 16;
+
+    this._meters = options.hasOwnProperty('meters') ?
+      options.meters : [];
+
+    this._pollInterval = options.hasOwnProperty('pollInterval') ?
+      options.pollInterval : 0;
+
+    this._enabled = false;
+    this._done = false;
+    this._pollTimer = null;
+
+    // Received bytes, which don't form complete frame yet
+    this._received = Buffer.alloc(0);
+
+    // Pending request waiting for response
+    this._pending = null;
+
+    // Request queue, only one request may be on the bus at once
+    this._queue = Promise.resolve();
+
+    // Next frame count bit by primary address
+    this._fcb = new Map();
+  }
+
+  /**
+  * Implementation of enableSource().
+  */
+  enableSource() {
+    let serialPort = this._serialPort;
+
+    if (!serialPort) {
+      let SerialPort = require("serialport");
+
+      serialPort = new SerialPort(this._serialPortPath, {
+        baudRate: this._baudRate,
+        dataBits: 8,
+        stopBits: 1,
+        parity: 'even'
+      });
+      this._serialPort = serialPort;
+
+      serialPort.on("error", () => {
+        this.emit("error");
+        console.log(`Unable to connect serial port: ${this._serialPortPath}`);
+      });
+
+      serialPort.on("close", () => {
+        this._enabled = false;
+        this.emit("disconnected");
+      });
+
+      serialPort.on("open", () => this.onOpen());
+    } else {
+      this.onOpen();
+    }
+
+    serialPort.on('data', data => this.receive(data));
+  }
+
+  /**
+  * Serial port has been opened, start polling configured meters.
+  */
+  onOpen() {
+    this._enabled = true;
+    this.emit("connected");
+
+    if (!this._meters.length)
+      return;
+
+    let poll = () => this.poll(this._meters).then(() => {
+      this._done = true;
+
+      if (this._enabled && this._pollInterval > 0)
+        this._pollTimer = setTimeout(poll, this._pollInterval);
+    });
+    poll();
+  }
+
+  /**
+  * Disables the source after use
+  */
+  disableSource() {
+    this._enabled = false;
+
+    if (this._pollTimer) {
+      clearTimeout(this._pollTimer);
+      this._pollTimer = null;
+    }
+
+    if (this._serialPort && typeof this._serialPort.close === 'function')
+      this._serialPort.close();
+  }
+
+  /**
+  * Returns boolean value to indicate if configured meters have been polled.
+  *
+  * @return boolean is ready
+  */
+  isReady() {
+    return this._done;
+  }
+
+  /**
+  * Returns boolean value to indicate if source is enabled
+  */
+  isEnabled() {
+    return this._enabled;
+  }
+
+  /**
+  * Read meters one by one.
+  *
+  * @param meters
+  *   List of primary or secondary addresses, see readMeter()
+  * @return promise resolved with list of results, see readMeter()
+  */
+  poll(meters) {
+    let results = [];
+
+    return meters.reduce((sequence, meter) => {
+      return sequence
+        .then(() => this.readMeter(meter))
+        .then(packets => results.push(packets));
+    }, Promise.resolve()).then(() => results);
+  }
+
+  /**
+  * Read meter by primary or secondary address. Meter selected by secondary
+  * address is read through network layer address.
+  *
+  * @param meter
+  *   Primary address as number, or secondary address as MeterId or value
+  *   accepted by MeterId.parse()
+  * @return promise resolved with data packets or null if meter didn't
+  *   respond
+  */
+  readMeter(meter) {
+    if (typeof meter === 'number')
+      return this.requestData(meter);
+
+    return this.selectMeter(meter).then(selected => selected ?
+      this.requestData(MBusLinkLayer.ADDRESSES.NETWORK_LAYER) : null);
+  }
+
+  /**
+  * Send SND_NKE to initialize slave. Frame count bit of address is reset.
+  *
+  * @param address
+  *   Primary address
+  * @return promise resolved with boolean acknowledged
+  */
+  sendNKE(address) {
+    let frame = MBusLinkLayer.encodeShort(MBusLinkLayer.C_FIELDS.SND_NKE,
+      address);
+
+    this._fcb.delete(address);
+
+    return this.request(frame).then(response => response !== null &&
+      response.type == 'ack');
+  }
+
+  /**
+  * Select slave by secondary address with SND_UD (CI 0x52). Selected slave
+  * answers to network layer address until it is deselected.
+  *
+  * @param meter
+  *   MeterId or value accepted by MeterId.parse(), may contain wildcards
+  * @return promise resolved with boolean acknowledged
+  */
+  selectMeter(meter) {
+    return this.sendSelection(meter).then(response => response !== null &&
+      response.type == 'ack');
+  }
+
+  /**
+  * Send secondary address selection, see selectMeter().
+  *
+  * @param meter
+  *   MeterId or value accepted by MeterId.parse(), may contain wildcards
+  * @return promise resolved with response, see request()
+  */
+  sendSelection(meter) {
+    let meterId = MeterId.parse(meter);
+
+    if (!meterId)
+      return Promise.resolve(null);
+
+    let frame = MBusLinkLayer.encodeLong(MBusLinkLayer.C_FIELDS.SND_UD,
+      MBusLinkLayer.ADDRESSES.NETWORK_LAYER,
+      MBusLinkLayer.CI_FIELDS.SELECTION, MBusReader.encodeSelection(meterId));
+
+    this._fcb.delete(MBusLinkLayer.ADDRESSES.NETWORK_LAYER);
+
+    return this.request(frame);
+  }
+
+  /**
+  * Request user data with REQ_UD2. If response has "more records follow"
+  * flag, next telegram is requested with toggled frame count bit. Responses
+  * are pushed to data buffer.
+  *
+  * @param address
+  *   Primary address
+  * @return promise resolved with data packets or null if meter didn't
+  *   respond
+  */
+  requestData(address) {
+    let packets = [];
+
+    let next = () => this.requestUserData(address).then(response => {
+      if (!response || response.type != 'long')
+        return packets.length ? packets : null;
+
+      let packet = new DataPacket(response.buffer);
+      packets.push(packet);
+
+      if (this._buffer)
+        this._buffer.push(packet);
+
+      if (MBusReader.hasMoreRecords(response) &&
+          packets.length < this._maxTelegrams)
+        return next();
+
+      return packets;
+    });
+
+    return next();
+  }
+
+  /**
+  * Send single REQ_UD2. Frame count bit of address is toggled, if slave
+  * responds.
+  *
+  * @param address
+  *   Primary address
+  * @return promise resolved with response, see request()
+  */
+  requestUserData(address) {
+    let c = MBusLinkLayer.C_FIELDS.REQ_UD2;
+
+    if (this.getFCB(address))
+      c |= MBusLinkLayer.FCB;
+
+    return this.request(MBusLinkLayer.encodeShort(c, address))
+      .then(response => {
+        if (response && response.valid)
+          this._fcb.set(address, !this.getFCB(address));
+
+        return response;
+      });
+  }
+
+  /**
+  * Returns frame count bit of next request to address. Bit is set in first
+  * request after SND_NKE.
+  *
+  * @param address
+  * @return boolean
+  */
+  getFCB(address) {
+    return this._fcb.has(address) ? this._fcb.get(address) : true;
+  }
+
+  /**
+  * Send frame and wait for response. Request is retried with the same frame
+  * after timeout. Broadcast requests without reply resolve immediately.
+  *
+  * @param frame
+  *   Raw frame
+  * @return promise resolved with response frame (see MBusLinkLayer.decode(),
+  *   with additional buffer key) or null after all retries or if serial
+  *   port is not open. If corrupted frame was received, like when several
+  *   slaves answer at once, response is frame with type 'invalid'. Promise
+  *   is rejected if writing to serial port fails.
+  */
+  request(frame) {
+    let send = attempt => new Promise((resolve, reject) => {
+      this._received = Buffer.alloc(0);
+
+      let timer = setTimeout(() => {
+        let collision = this._pending.collision;
+        this._pending = null;
+        resolve(collision ? MBusLinkLayer.decode(Buffer.alloc(0)) : null);
+      }, this._timeout);
+
+      this._pending = {
+        collision: false,
+        resolve: response => {
+          clearTimeout(timer);
+          this._pending = null;
+          resolve(response);
+        }
+      };
+
+      try {
+        this._serialPort.write(frame);
+      } catch (e) {
+        clearTimeout(timer);
+        this._pending = null;
+        reject(e);
+      }
+    }).then(response => {
+      if ((response && response.valid) || attempt >= this._retries)
+        return response;
+
+      this.emit('timeout', frame, attempt + 1);
+      return send(attempt + 1);
+    });
+
+    let isBroadcast = frame.length > 5 ?
+      frame[5] == MBusLinkLayer.ADDRESSES.BROADCAST :
+      frame[2] == MBusLinkLayer.ADDRESSES.BROADCAST;
+
+    // Requests are queued, so responses can't get mixed up
+    let result = this._queue.then(() => {
+      if (!this._serialPort)
+        return null;
+
+      if (!isBroadcast)
+        return send(0);
+
+      this._serialPort.write(frame);
+      return null;
+    });
+
+    // Failed request must not block the following requests
+    this._queue = result.catch(() => null);
+    return result;
+  }
+
+  /**
+  * Receive data from serial port. Complete frames are passed to pending
+  * request, bytes outside frames are dropped. Only frames, which start with
+  * frame start character but are corrupted, are regarded as collision:
+  * single stray bytes are line noise.
+  *
+  * @param data
+  */
+  receive(data) {
+    let buffer = Buffer.concat([this._received, data]);
+    let length;
+
+    while ((length = MBusLinkLayer.getFrameLength(buffer)) != 0) {
+      let frame = length > 0 ?
+        MBusLinkLayer.decode(buffer.slice(0, length)) : null;
+
+      if (!frame) {
+        buffer = buffer.slice(1);
+        continue;
+      }
+
+      // Corrupted frames are handled like missing frames, request is retried
+      if (!frame.valid) {
+        if (this._pending)
+          this._pending.collision = true;
+
+        buffer = buffer.slice(length);
+        continue;
+      }
+
+      frame.buffer = buffer.slice(0, length);
+      buffer = buffer.slice(length);
+
+      if (this._pending)
+        this._pending.resolve(frame);
+    }
+    this._received = buffer;
+  }
+
+  /**
+  * Check if variable data response has "more records follow" flag.
+  *
+  * @param frame
+  *   Frame, see MBusLinkLayer.decode()
+  * @return boolean
+  */
+  static hasMoreRecords(frame) {
+    let headers = HeaderParser.parse(frame.data, 0);
+
+    if (!headers.tpl || headers.encrypted)
+      return false;
+
+    let records = DataRecordParser.parse(
+      frame.data.slice(headers.payloadOffset));
+
+    return records.length > 0 && records[records.length - 1].getDIF() ==
+      DataRecordParser.DIF_MORE_RECORDS_FOLLOW;
+  }
+
+  /**
+  * Build data of secondary address selection: ID (4 bytes BCD), M (2 bytes),
+  * version and device type. Wildcard digits are sent as 0xF and wildcard
+  * bytes as 0xFF.
+  *
+  * @param meterId
+  * @return buffer
+  */
+  static encodeSelection(meterId) {
+    let data = Buffer.alloc(8, 0xFF);
+    let id = meterId.getId().replace(/\*/g, 'f');
+
+    Buffer.from(id, 'hex').reverse().copy(data, 0);
+
+    if (meterId.getManufacturerId() !== null)
+      data.writeUInt16LE(meterId.getManufacturerId(), 4);
+
+    if (meterId.getVersion() !== null)
+      data[6] = meterId.getVersion();
+
+    if (meterId.getDeviceType() !== null)
+      data[7] = meterId.getDeviceType();
+
+    return data;
+  }
 }
 
-export default MBusReader;
\ No newline at end of file
+export default MBusReader;
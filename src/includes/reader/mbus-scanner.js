@@ -0,0 +1,240 @@
+import MBusLinkLayer from "./../telegram/mbus-link-layer"
+import HeaderParser from "./../telegram/header-parser"
+import MeterId from "./../meter/meter-id"
+import DataPacket from "./../buffer/data-packet"
+
+var EventEmitter = require("events").EventEmitter;
+
+/**
+* Wired M-Bus bus scanner. Scanner discovers meters by probing primary
+* addresses and by wildcard secondary address search. Found meters are
+* returned in meter settings format of MeterImporter:
+*
+*   let scanner = new MBusScanner(reader);
+*   scanner.scan().then(meters => MeterImporter.saveMeterSettings(
+*     'meters.json', meters, err => {}));
+*
+* Scanner emits 'meter' event for each found meter and 'collision' event
+* with address or MeterId, if colliding slaves can't be separated.
+*/
+class MBusScanner extends EventEmitter {
+
+  /**
+  * Constructor
+  *
+  * @param reader
+  *   Enabled MBusReader
+  * @param options
+  *   from - First primary address to probe, defaults to 0
+  *   to - Last primary address to probe, defaults to 250
+  */
+  constructor(reader, options = {}) {
+    super();
+
+    this._reader = reader;
+
+    this._from = options.hasOwnProperty('from') ? options.from : 0;
+    this._to = options.hasOwnProperty('to') ? options.to : 250;
+  }
+
+  /**
+  * Run primary and secondary scan. Meters found by both scans are merged.
+  *
+  * @return promise resolved with list of meters
+  */
+  scan() {
+    let meters = new Map();
+
+    let add = found => found.forEach(meter => {
+      let key = MeterId.fromMeterData(meter).toHex();
+
+      meters.set(key, meters.has(key) ?
+        Object.assign({}, meter, meters.get(key)) : meter);
+    });
+
+    return this.scanPrimary()
+      .then(add)
+      .then(() => this.scanSecondary())
+      .then(add)
+      .then(() => Array.from(meters.values()));
+  }
+
+  /**
+  * Probe primary addresses with SND_NKE and read identity of answering
+  * meters with REQ_UD2.
+  *
+  * @param from
+  * @param to
+  * @return promise resolved with list of meters
+  */
+  scanPrimary(from = this._from, to = this._to) {
+    let meters = [];
+    let sequence = Promise.resolve();
+
+    for (let address = from; address <= to; address++)
+      sequence = sequence.then(() => this.probePrimary(address))
+        .then(meter => meter && meters.push(meter));
+
+    return sequence.then(() => meters);
+  }
+
+  /**
+  * Probe single primary address.
+  *
+  * @param address
+  * @return promise resolved with meter or null
+  */
+  probePrimary(address) {
+    let nke = MBusLinkLayer.encodeShort(MBusLinkLayer.C_FIELDS.SND_NKE,
+      address);
+
+    return this._reader.request(nke).then(response => {
+      if (!response)
+        return null;
+
+      if (!response.valid) {
+        this.emit('collision', address);
+        return null;
+      }
+
+      return this._reader.requestUserData(address).then(response => {
+        if (response && !response.valid)
+          this.emit('collision', address);
+
+        return this.handleResponse(response, address);
+      });
+    });
+  }
+
+  /**
+  * Search meters by secondary address. Identification number is narrowed
+  * digit by digit, starting from most significant digit, whenever several
+  * slaves answer to the same wildcard selection.
+  *
+  * @return promise resolved with list of meters
+  */
+  scanSecondary() {
+    let meters = [];
+
+    let search = (id, position) => this.probeSecondary(id).then(result => {
+      if (result === null)
+        return;
+
+      if (result !== MBusScanner.COLLISION)
+        return meters.push(result);
+
+      // Meters with equal identification number can't be separated
+      if (position >= 8) {
+        this.emit('collision', MeterId.parse(id));
+        return;
+      }
+
+      let sequence = Promise.resolve();
+
+      for (let digit = 0; digit < 10; digit++)
+        sequence = sequence.then(() => search(id.substr(0, position) + digit +
+          id.substr(position + 1), position + 1));
+
+      return sequence;
+    });
+
+    return search('********', 0).then(() => meters);
+  }
+
+  /**
+  * Select meters by wildcard identification number and request identity of
+  * selected meter.
+  *
+  * @param id
+  *   Identification number with wildcard digits
+  * @return promise resolved with meter, MBusScanner.COLLISION or null if
+  *   no meter matches
+  */
+  probeSecondary(id) {
+    return this._reader.sendSelection(id).then(response => {
+      if (!response)
+        return null;
+
+      if (!response.valid)
+        return MBusScanner.COLLISION;
+
+      return this._reader.requestUserData(
+        MBusLinkLayer.ADDRESSES.NETWORK_LAYER).then(response => {
+          if (!response)
+            return null;
+
+          return response.valid ? this.handleResponse(response) :
+            MBusScanner.COLLISION;
+        });
+    });
+  }
+
+  /**
+  * Build meter from response and emit it.
+  *
+  * @param response
+  *   Response frame, see MBusReader.request()
+  * @param address
+  *   Primary address, if meter was probed by primary address
+  * @return meter or null
+  */
+  handleResponse(response, address = null) {
+    if (!response || response.type != 'long')
+      return null;
+
+    let meter = MBusScanner.toMeterData(new DataPacket(response.buffer));
+    if (!meter)
+      return null;
+
+    if (address !== null)
+      meter.primaryAddress = address;
+
+    this.emit('meter', meter);
+    return meter;
+  }
+
+  /**
+  * Build meter settings from variable data response.
+  *
+  * @param packet
+  *   Data packet of variable data response
+  * @return meter settings, see MeterImporter.loadMeterSettings(), or null if
+  *   response doesn't have long header. Manufacturer is given as M-field in
+  *   hex, if it can't be decoded to three letter code.
+  */
+  static toMeterData(packet) {
+    let frame = MBusLinkLayer.decode(packet.getBuffer());
+
+    if (!frame.valid || frame.type != 'long')
+      return null;
+
+    let tpl = HeaderParser.parse(frame.data, 0).tpl;
+    if (!tpl || !tpl.secondaryAddress)
+      return null;
+
+    let address = tpl.secondaryAddress;
+    let meterId = new MeterId({
+      manufacturer: address.manufacturer.readUInt16LE(0),
+      id: address.id,
+      version: address.version,
+      deviceType: address.deviceType
+    });
+
+    return {
+      manufacturer: meterId.getManufacturer() ||
+        MeterId.formatByte(address.manufacturer[1]) +
+        MeterId.formatByte(address.manufacturer[0]),
+      serial: meterId.getId(),
+      version: MeterId.formatByte(meterId.getVersion()),
+      deviceType: MeterId.formatByte(meterId.getDeviceType()),
+      label: meterId.toString()
+    };
+  }
+}
+
+/**
+* Probe result of colliding slaves.
+*/
+MBusScanner.COLLISION = 'collision';
+
+export default MBusScanner;
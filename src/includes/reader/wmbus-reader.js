@@ -1,10 +1,301 @@
 import Reader from "./reader"
+import DataPacket from "./../buffer/data-packet"
+import TelegramBuilder from "./../telegram/telegram-builder"
 
 /**
 * Wireless M-Bus based data source.
+*
+* Readers may also transmit frames to bidirectional meters. Meters with
+* B-field set in communication control field (or bidirectional bit in
+* configuration word) listen for a short time after sending, see
+* isAccessible(). Received packets must be passed to pushPacket(), so that
+* acknowledgements of meters are recognized:
+*
+*   reader.replyAccessDemand(telegram);
+*   reader.sendCommand(telegram, { records: [...] }).then(acknowledged => {});
+*
+* Readers implement buildDataRequest() to wrap frames to data request
+* command of the stick.
 */
 class WMBusReader extends Reader {
 
+  /**
+  * Constructor
+  *
+  * @param options
+  *   buffer - Data buffer to send data
+  *   serialPort - Open serial port, used instead of serialPortPath
+  *   accessWindow - Time in milliseconds meter listens after sending,
+  *     defaults to 1000
+  *   ackTimeout - Time in milliseconds to wait for acknowledgement of meter,
+  *     defaults to 1000
+  */
+  constructor(options = {}) {
+    super(options);
+
+    this._buffer = options.hasOwnProperty('buffer') ?
+      options.buffer : false;
+
+    this._serialPort = options.hasOwnProperty('serialPort') ?
+      options.serialPort : null;
+
+    this._accessWindow = options.hasOwnProperty('accessWindow') ?
+      options.accessWindow : 1000;
+
+    this._ackTimeout = options.hasOwnProperty('ackTimeout') ?
+      options.ackTimeout : 1000;
+
+    // Lists of listeners waiting for acknowledgement by meter address
+    this._ackListeners = new Map();
+  }
+
+  /**
+  * Push received packet to data buffer. Acknowledgements are passed to
+  * pending sendCommand() requests.
+  *
+  * @param packet
+  *   Data packet starting from L-field
+  */
+  pushPacket(packet) {
+    let buffer = packet.getBuffer();
+
+    if (buffer.length >= 10 && buffer[1] == WMBusReader.C_FIELDS.ACK) {
+      let address = buffer.slice(2, 10).toString('hex');
+
+      if (this._ackListeners.has(address))
+        this._ackListeners.get(address).slice()
+          .forEach(listener => listener(packet));
+    }
+
+    if (this._buffer)
+      this._buffer.push(packet);
+  }
+
+  /**
+  * Send frame through the stick.
+  *
+  * @param frame
+  *   CRC free frame starting from L-field as buffer or data packet, like
+  *   frames built with TelegramBuilder
+  * @return promise resolved with boolean sent
+  */
+  send(frame) {
+    if (frame instanceof DataPacket)
+      frame = frame.getBuffer();
+
+    let request = frame ? this.buildDataRequest(frame) : null;
+
+    if (!request || !this._serialPort)
+      return Promise.resolve(false);
+
+    return new Promise(resolve => {
+      this._serialPort.write(request, err => resolve(!err));
+    });
+  }
+
+  /**
+  * Wrap frame to data request command of the stick. Readers supporting
+  * transmission should implement this.
+  *
+  * @param frame
+  *   CRC free frame starting from L-field
+  * @return command buffer or null if transmission is not supported
+  */
+  buildDataRequest(frame) {
+    return null;
+  }
+
+  /**
+  * Check if meter accepts frames after sending telegram.
+  *
+  * @param telegram
+  *   Processed telegram
+  * @param now
+  *   Current timestamp, defaults to current time
+  * @return boolean accessible
+  */
+  isAccessible(telegram, now = Date.now()) {
+    let cc = telegram.getValue('BLOCK2_CC');
+    let tpl = telegram.getHeader('tpl');
+    let bidirectional = false;
+    let unlimited = false;
+
+    if (cc) {
+      bidirectional = !!(cc[0] & WMBusReader.CC_BIDIRECTIONAL);
+      unlimited = !!(cc[0] & WMBusReader.CC_ACCESSIBILITY);
+    } else if (tpl && tpl.configuration) {
+      bidirectional = tpl.configuration.bidirectional;
+      unlimited = tpl.configuration.accessibility;
+    }
+
+    if (!bidirectional)
+      return false;
+
+    // Meter with limited access listens only shortly after sending
+    return unlimited || now - telegram.getPacket().getTimestamp() <=
+      this._accessWindow;
+  }
+
+  /**
+  * Reply to access demand (ACC_DMD) of meter with ACK.
+  *
+  * @param telegram
+  *   Processed telegram
+  * @return promise resolved with boolean sent
+  */
+  replyAccessDemand(telegram) {
+    let c = telegram.getValue('BLOCK1_C');
+
+    if (!c || c[0] != WMBusReader.C_FIELDS.ACC_DMD)
+      return Promise.resolve(false);
+
+    return this.sendAck(telegram);
+  }
+
+  /**
+  * Send ACK to meter of telegram.
+  *
+  * @param telegram
+  *   Processed telegram
+  * @return promise resolved with boolean sent
+  */
+  sendAck(telegram) {
+    let address = telegram.getValue('BLOCK1_A');
+
+    if (!address)
+      return Promise.resolve(false);
+
+    return this.send(Buffer.concat([
+      Buffer.from([0x09, WMBusReader.C_FIELDS.ACK]), address]));
+  }
+
+  /**
+  * Send command (SND_UD) to meter of telegram within accessibility window
+  * and wait for ACK of meter.
+  *
+  * @param telegram
+  *   Processed telegram
+  * @param options with following keys:
+  *   - records
+  *     Data records, see TelegramBuilder.addRecord()
+  *   - c
+  *     C-field, defaults to SND_UD
+  *   - ci
+  *     CI field, defaults to 0x5A (short header)
+  *   - accessNumber
+  *     Defaults to access number of telegram, see
+  *     WirelessMBusMeter.getAccessNumber()
+  * @return promise resolved with boolean acknowledged
+  */
+  sendCommand(telegram, options = {}) {
+    let address = telegram.getValue('BLOCK1_A');
+
+    if (!address || !this.isAccessible(telegram))
+      return Promise.resolve(false);
+
+    // Command repeats access number of meter telegram
+    let tpl = telegram.getHeader('tpl');
+    let ell = telegram.getHeader('ell');
+    let accessNumber = tpl && tpl.accessNumber !== null ? tpl.accessNumber :
+      (ell ? ell.accessNumber : 0);
+
+    let builder = new TelegramBuilder({
+      manufacturer: address.readUInt16LE(0),
+      id: Buffer.from(address.slice(2, 6)).reverse().toString('hex'),
+      version: address[6],
+      deviceType: address[7],
+      c: options.hasOwnProperty('c') ?
+        options.c : WMBusReader.C_FIELDS.SND_UD,
+      ci: options.hasOwnProperty('ci') ? options.ci : 0x5A,
+      accessNumber: options.hasOwnProperty('accessNumber') ?
+        options.accessNumber : accessNumber
+    });
+
+    (options.records || []).forEach(record => builder.addRecord(record));
+
+    let key = address.toString('hex');
+    let timer = null;
+    let listener = null;
+
+    let acknowledged = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), this._ackTimeout);
+      listener = () => resolve(true);
+      this.addAckListener(key, listener);
+    }).then(result => {
+      clearTimeout(timer);
+      this.removeAckListener(key, listener);
+      return result;
+    });
+
+    return this.send(builder.build()).then(sent => {
+      if (sent)
+        return acknowledged;
+
+      clearTimeout(timer);
+      this.removeAckListener(key, listener);
+      return false;
+    });
+  }
+
+  /**
+  * Add listener for acknowledgement of meter. Overlapping commands to the
+  * same meter have their own listeners, and ACK is passed to all of them.
+  *
+  * @param address
+  *   Meter address as hex
+  * @param listener
+  *   Callback receiving ACK packet
+  */
+  addAckListener(address, listener) {
+    if (!this._ackListeners.has(address))
+      this._ackListeners.set(address, []);
+
+    this._ackListeners.get(address).push(listener);
+  }
+
+  /**
+  * Remove listener added with addAckListener(). Other listeners of meter
+  * are left untouched.
+  *
+  * @param address
+  *   Meter address as hex
+  * @param listener
+  */
+  removeAckListener(address, listener) {
+    if (!this._ackListeners.has(address))
+      return;
+
+    let listeners = this._ackListeners.get(address)
+      .filter(item => item !== listener);
+
+    if (listeners.length)
+      this._ackListeners.set(address, listeners);
+    else
+      this._ackListeners.delete(address);
+  }
 }
 
-export default WMBusReader;
\ No newline at end of file
+/**
+* C-fields of bidirectional communication.
+*/
+WMBusReader.C_FIELDS = {
+  // Acknowledgement
+  ACK: 0x00,
+  // Confirmation of installation request
+  CNF_IR: 0x06,
+  // Installation request of meter
+  SND_IR: 0x46,
+  // Access demand of meter
+  ACC_DMD: 0x48,
+  // Command to meter
+  SND_UD: 0x53
+};
+
+/**
+* Bidirectional (B-field) and accessibility (A-field) bits of communication
+* control field.
+*/
+WMBusReader.CC_BIDIRECTIONAL = 0x80;
+WMBusReader.CC_ACCESSIBILITY = 0x04;
+
+export default WMBusReader;
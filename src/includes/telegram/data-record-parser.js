@@ -0,0 +1,260 @@
+import DataRecord from './data-record'
+
+/**
+* Parser for EN 13757-3 variable data structure. Walks application payload
+* record by record and returns list of data records.
+*/
+class DataRecordParser {
+
+  /**
+  * Parse data records from application payload.
+  *
+  * @param buffer
+  *   Application payload, starting from first DIF.
+  * @return records
+  *   Array of DataRecord objects in payload order. Parsing stops on first
+  *   truncated record.
+  */
+  static parse(buffer) {
+    let records = [];
+
+    if (!buffer || !buffer.length)
+      return records;
+
+    let index = 0;
+
+    while (index < buffer.length) {
+      let start = index;
+      let dif = buffer[index++];
+
+      // Idle filler, used for padding of encrypted blocks
+      if (dif == DataRecordParser.DIF_IDLE_FILLER)
+        continue;
+
+      // Manufacturer specific data, rest of the payload belongs to it
+      if (dif == DataRecordParser.DIF_MANUFACTURER_SPECIFIC ||
+          dif == DataRecordParser.DIF_MORE_RECORDS_FOLLOW) {
+        records.push(new DataRecord({
+          offset: start,
+          dif: dif,
+          header: buffer.slice(start, index),
+          data: buffer.slice(index)
+        }));
+        break;
+      }
+
+      // Global readout request has no data and no VIF
+      if (dif == DataRecordParser.DIF_GLOBAL_READOUT) {
+        records.push(new DataRecord({
+          offset: start,
+          dif: dif,
+          header: buffer.slice(start, index)
+        }));
+        continue;
+      }
+
+      let drh = DataRecordParser.parseHeader(buffer, start);
+      if (!drh)
+        return records;
+
+      index = drh.end;
+      let header = buffer.slice(start, index);
+
+      // Variable length data is prefixed with LVAR byte
+      let lvar = null;
+      let dataLength = DataRecordParser.getDataLength(dif & 0x0F);
+
+      if (dataLength < 0) {
+        if (index >= buffer.length)
+          return records;
+
+        lvar = buffer[index++];
+        dataLength = DataRecordParser.getLVARLength(lvar);
+      }
+
+      if (index + dataLength > buffer.length)
+        return records;
+
+      records.push(new DataRecord({
+        offset: start,
+        dif: dif,
+        dife: drh.dife,
+        vif: drh.vif,
+        vife: drh.vife,
+        header: header,
+        data: buffer.slice(index, index + dataLength),
+        lvar: lvar,
+        text: drh.text
+      }));
+      index += dataLength;
+    }
+    return records;
+  }
+
+  /**
+  * Parse compact frame data using record headers of full frame. Compact
+  * frames carry only record data, headers are known by format signature.
+  *
+  * @param format
+  *   Record headers (DIB and VIB) of all records
+  * @param data
+  *   Record data of compact frame
+  * @return records or null if data doesn't match format
+  */
+  static parseCompact(format, data) {
+    let full = DataRecordParser.expandCompact(format, data);
+    return full ? DataRecordParser.parse(full) : null;
+  }
+
+  /**
+  * Rebuild record data of full frame from compact frame data, by placing
+  * record headers of format in front of record data.
+  *
+  * @param format
+  *   Record headers (DIB and VIB) of all records
+  * @param data
+  *   Record data of compact frame
+  * @return buffer or null if data doesn't match format
+  */
+  static expandCompact(format, data) {
+    let parts = [];
+    let index = 0;
+    let dataIndex = 0;
+
+    while (index < format.length) {
+      let drh = DataRecordParser.parseHeader(format, index);
+      if (!drh)
+        return null;
+
+      let dataLength = DataRecordParser.getDataLength(drh.dif & 0x0F);
+
+      if (dataLength < 0 && dataIndex < data.length)
+        dataLength = 1 + DataRecordParser.getLVARLength(data[dataIndex]);
+
+      if (dataLength < 0 || dataIndex + dataLength > data.length)
+        return null;
+
+      parts.push(format.slice(index, drh.end));
+      parts.push(data.slice(dataIndex, dataIndex + dataLength));
+      index = drh.end;
+      dataIndex += dataLength;
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+  * Parse data record header: DIF, DIFE chain, VIF, VIFE chain and plain text
+  * unit.
+  *
+  * @param buffer
+  * @param index
+  *   Index of DIF
+  * @return header with dif, dife, vif, vife, text and end keys, or null if
+  *   header is truncated
+  */
+  static parseHeader(buffer, index) {
+    let dif = buffer[index++];
+
+    // DIFE chain
+    let dife = [];
+    let extension = dif & 0x80;
+
+    while (extension) {
+      if (index >= buffer.length)
+        return null;
+
+      dife.push(buffer[index]);
+      extension = buffer[index++] & 0x80;
+    }
+
+    // VIF and VIFE chain
+    if (index >= buffer.length)
+      return null;
+
+    let vif = buffer[index++];
+    let vife = [];
+    extension = vif & 0x80;
+
+    while (extension) {
+      if (index >= buffer.length)
+        return null;
+
+      vife.push(buffer[index]);
+      extension = buffer[index++] & 0x80;
+    }
+
+    // Plain text VIF, unit is given as length prefixed ASCII string
+    let text = null;
+
+    if ((vif & 0x7F) == DataRecordParser.VIF_PLAIN_TEXT) {
+      if (index >= buffer.length)
+        return null;
+
+      let textLength = buffer[index++];
+
+      if (index + textLength > buffer.length)
+        return null;
+
+      text = Buffer.from(buffer.slice(index, index + textLength))
+        .reverse().toString('ascii');
+      index += textLength;
+    }
+
+    return {
+      dif: dif,
+      dife: dife,
+      vif: vif,
+      vife: vife,
+      text: text,
+      end: index
+    };
+  }
+
+  /**
+  * Returns data length for DIF data field.
+  *
+  * @param dataField
+  * @return length in bytes, or -1 for variable length data.
+  */
+  static getDataLength(dataField) {
+    const lengths = [0, 1, 2, 3, 4, 4, 6, 8, 0, 1, 2, 3, 4, -1, 6, 0];
+    return lengths[dataField & 0x0F];
+  }
+
+  /**
+  * Returns data length for LVAR byte.
+  *
+  * @param lvar
+  * @return length in bytes
+  */
+  static getLVARLength(lvar) {
+    // ASCII string
+    if (lvar <= 0xBF)
+      return lvar;
+
+    // Positive BCD, negative BCD and binary number
+    if (lvar <= 0xEF)
+      return lvar & 0x0F;
+
+    // Large binary number, 4 byte steps
+    if (lvar <= 0xF4)
+      return 4 * (lvar - 0xEC);
+
+    if (lvar == 0xF5)
+      return 48;
+
+    if (lvar == 0xF6)
+      return 64;
+
+    // Reserved
+    return 0;
+  }
+}
+
+DataRecordParser.DIF_MANUFACTURER_SPECIFIC = 0x0F;
+DataRecordParser.DIF_MORE_RECORDS_FOLLOW = 0x1F;
+DataRecordParser.DIF_IDLE_FILLER = 0x2F;
+DataRecordParser.DIF_GLOBAL_READOUT = 0x7F;
+DataRecordParser.VIF_PLAIN_TEXT = 0x7C;
+
+export default DataRecordParser;
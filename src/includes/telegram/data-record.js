@@ -0,0 +1,406 @@
+import ValueInformation from './value-information'
+import DataTypes from './data-types'
+
+/**
+* Data record of EN 13757-3 application layer.
+*
+* Record is composed from Data Record Header (DRH) and data:
+*
+* DIF (1 byte)
+*   Data information field, data field coding, function field and storage
+*   number LSB.
+*
+* DIFE (0-10 bytes)
+*   Data information field extensions, storage number, tariff and subunit.
+*
+* VIF (1 byte)
+*   Value information field, unit and multiplier.
+*
+* VIFE (0-10 bytes)
+*   Value information field extensions.
+*
+* DATA (0-n bytes)
+*   Record data, coded as described by the DIF data field.
+*/
+class DataRecord {
+
+  /**
+  * Construct data record.
+  *
+  * @param options with following keys:
+  *   - offset
+  *     Record start index in application payload.
+  *   - dif
+  *   - dife
+  *     Array of DIFE bytes.
+  *   - vif
+  *   - vife
+  *     Array of VIFE bytes.
+  *   - header
+  *     Buffer containing DIB and VIB bytes.
+  *   - data
+  *     Buffer containing record data.
+  *   - lvar
+  *     LVAR byte for variable length data.
+  *   - text
+  *     Plain text unit for VIF 0x7C/0xFC.
+  */
+  constructor(options = {}) {
+    this._offset = options.hasOwnProperty('offset') ? options.offset : 0;
+    this._dif = options.hasOwnProperty('dif') ? options.dif : 0;
+    this._dife = options.hasOwnProperty('dife') ? options.dife : [];
+    this._vif = options.hasOwnProperty('vif') ? options.vif : null;
+    this._vife = options.hasOwnProperty('vife') ? options.vife : [];
+    this._header = options.hasOwnProperty('header') ?
+      options.header : Buffer.alloc(0);
+    this._data = options.hasOwnProperty('data') ?
+      options.data : Buffer.alloc(0);
+    this._lvar = options.hasOwnProperty('lvar') ? options.lvar : null;
+    this._text = options.hasOwnProperty('text') ? options.text : null;
+  }
+
+  /**
+  * Returns record start index in application payload.
+  *
+  * @return offset
+  */
+  getOffset() {
+    return this._offset;
+  }
+
+  /**
+  * Returns DIF byte.
+  *
+  * @return dif
+  */
+  getDIF() {
+    return this._dif;
+  }
+
+  /**
+  * Returns list of DIFE bytes.
+  *
+  * @return dife
+  */
+  getDIFE() {
+    return this._dife;
+  }
+
+  /**
+  * Returns VIF byte or null if record has no value information block.
+  *
+  * @return vif
+  */
+  getVIF() {
+    return this._vif;
+  }
+
+  /**
+  * Returns list of VIFE bytes.
+  *
+  * @return vife
+  */
+  getVIFE() {
+    return this._vife;
+  }
+
+  /**
+  * Returns record header (DIB and VIB) bytes.
+  *
+  * @return header buffer
+  */
+  getHeader() {
+    return this._header;
+  }
+
+  /**
+  * Returns raw record data.
+  *
+  * @return data buffer
+  */
+  getData() {
+    return this._data;
+  }
+
+  /**
+  * Returns LVAR byte of variable length record.
+  *
+  * @return lvar or null
+  */
+  getLVAR() {
+    return this._lvar;
+  }
+
+  /**
+  * Returns plain text unit for records using VIF 0x7C or 0xFC.
+  *
+  * @return text or null
+  */
+  getText() {
+    return this._text;
+  }
+
+  /**
+  * Returns data field, which describes length and coding of data.
+  *
+  * @return data field (0x0 - 0xF)
+  */
+  getDataField() {
+    return this._dif & 0x0F;
+  }
+
+  /**
+  * Returns function field.
+  *
+  * @return function field
+  *   0 instantaneous, 1 maximum, 2 minimum or 3 value during error state.
+  */
+  getFunctionField() {
+    return (this._dif & 0x30) >> 4;
+  }
+
+  /**
+  * Returns function field label.
+  *
+  * @return label
+  */
+  getFunction() {
+    return DataRecord.FUNCTIONS[this.getFunctionField()];
+  }
+
+  /**
+  * Returns storage number. Storage number LSB is in DIF and each DIFE adds
+  * four more bits.
+  *
+  * @return storage number
+  */
+  getStorageNumber() {
+    let storageNumber = (this._dif & 0x40) >> 6;
+
+    this._dife.forEach((dife, index) => {
+      storageNumber += (dife & 0x0F) * Math.pow(2, 1 + index * 4);
+    });
+    return storageNumber;
+  }
+
+  /**
+  * Returns tariff. Each DIFE adds two bits.
+  *
+  * @return tariff
+  */
+  getTariff() {
+    let tariff = 0;
+
+    this._dife.forEach((dife, index) => {
+      tariff += ((dife & 0x30) >> 4) * Math.pow(2, index * 2);
+    });
+    return tariff;
+  }
+
+  /**
+  * Returns subunit (device unit). Each DIFE adds one bit.
+  *
+  * @return subunit
+  */
+  getSubunit() {
+    let subunit = 0;
+
+    this._dife.forEach((dife, index) => {
+      subunit += ((dife & 0x40) >> 6) * Math.pow(2, index);
+    });
+    return subunit;
+  }
+
+  /**
+  * Check if record contains manufacturer specific data (DIF 0x0F or 0x1F).
+  *
+  * @return boolean is manufacturer specific
+  */
+  isManufacturerSpecific() {
+    return this._dif == 0x0F || this._dif == 0x1F;
+  }
+
+  /**
+  * Returns value information for record VIF and VIFE chain.
+  *
+  * @return value information or null, see ValueInformation.lookup()
+  */
+  getValueInformation() {
+    if (this._vif === null)
+      return null;
+
+    let info = ValueInformation.lookup(this._vif, this._vife);
+
+    // Plain text VIF carries its own unit
+    if (info && this._text !== null)
+      info.unit = this._text;
+
+    return info;
+  }
+
+  /**
+  * Returns date type of record, if VIF describes date or time.
+  *
+  * @return date type letter or null
+  */
+  getDateType() {
+    return DataTypes.getDateType(this._vif, this._vife, this.getDataField());
+  }
+
+  /**
+  * Decode record data using data field and date type.
+  *
+  * @return result, see DataTypes.decode()
+  */
+  decode() {
+    return DataTypes.decode(this.getDataField(), this._data, {
+      lvar: this._lvar,
+      dateType: this.getDateType()
+    });
+  }
+
+  /**
+  * Returns decoded record value: number, string, Date, Buffer or object
+  * depending on data type.
+  *
+  * @return value or null if value is not available
+  */
+  getValue() {
+    return this.decode().value;
+  }
+
+  /**
+  * Check if record value is available. Meters mark missing values for example
+  * with all bits set.
+  *
+  * @return boolean is available
+  */
+  isValueAvailable() {
+    return this.decode().available;
+  }
+
+  /**
+  * Returns unscaled numeric value of record data.
+  *
+  * @return value or null if data is not numeric or not available
+  */
+  getRawValue() {
+    let value = this.getValue();
+    return typeof value === 'number' ? value : null;
+  }
+
+  /**
+  * Returns normalized physical quantity of record.
+  *
+  * @return quantity with following keys, or null if record can't be decoded:
+  *   - quantity
+  *     Name of the physical quantity, like 'Volume'
+  *   - unit
+  *     Unit of value, like 'm³'
+  *   - value
+  *     Value scaled with exponent. Non numeric values, like dates, are
+  *     returned as is. Null if value is not available.
+  *   - exponent
+  *     Decimal exponent applied to raw value
+  */
+  getQuantity() {
+    let info = this.getValueInformation();
+    let decoded = this.decode();
+
+    if (!info || decoded.type == 'none')
+      return null;
+
+    return {
+      quantity: info.quantity,
+      unit: info.unit,
+      value: ValueInformation.scale(decoded.value, info.exponent),
+      exponent: info.exponent
+    };
+  }
+
+  /**
+  * Check if record matches given criteria. Criteria is an object with any of
+  * the following keys: dif, vif, vife, dataField, functionField,
+  * storageNumber, tariff, subunit and quantity. VIFE may be given as number
+  * to match the first VIFE or as array to match the whole extension chain.
+  *
+  * @param criteria
+  * @return boolean matches
+  */
+  matches(criteria = {}) {
+    const getters = {
+      dif: 'getDIF',
+      vif: 'getVIF',
+      dataField: 'getDataField',
+      functionField: 'getFunctionField',
+      storageNumber: 'getStorageNumber',
+      tariff: 'getTariff',
+      subunit: 'getSubunit'
+    };
+
+    return Object.keys(criteria).every(key => {
+      if (key == 'vife') {
+        let vife = criteria[key];
+
+        if (!Array.isArray(vife))
+          return this._vife[0] === vife;
+
+        return vife.length == this._vife.length &&
+          vife.every((value, index) => this._vife[index] === value);
+      }
+
+      if (key == 'quantity') {
+        let info = this.getValueInformation();
+        return info !== null && info.quantity === criteria[key];
+      }
+
+      if (!getters.hasOwnProperty(key))
+        return false;
+
+      return this[getters[key]]() === criteria[key];
+    });
+  }
+
+  /**
+  * Returns JSON serializable presentation of record. Buffer values are
+  * presented as hex strings.
+  *
+  * @return object with following keys:
+  *   - header, data
+  *     Record header and data as hex
+  *   - function, storageNumber, tariff, subunit
+  *   - quantity, unit, exponent
+  *     Null if record has no value information
+  *   - value
+  *     Scaled value, see getQuantity()
+  */
+  toJSON() {
+    let quantity = this.getQuantity();
+    let value = quantity ? quantity.value : this.getValue();
+
+    return {
+      header: this._header.toString('hex'),
+      data: this._data.toString('hex'),
+      function: this.getFunction(),
+      storageNumber: this.getStorageNumber(),
+      tariff: this.getTariff(),
+      subunit: this.getSubunit(),
+      quantity: quantity ? quantity.quantity : null,
+      unit: quantity ? quantity.unit : null,
+      exponent: quantity ? quantity.exponent : null,
+      value: Buffer.isBuffer(value) ? value.toString('hex') : value
+    };
+  }
+}
+
+/**
+* Function field labels.
+*/
+DataRecord.FUNCTIONS = [
+  'instantaneous',
+  'maximum',
+  'minimum',
+  'error'
+];
+
+export default DataRecord;
@@ -0,0 +1,516 @@
+/**
+* Data type decoders of EN 13757-3 Annex A.
+*
+* Decoders return result object with following keys:
+*   - type
+*     Decoded type: 'integer', 'bcd', 'real', 'string', 'binary', 'date',
+*     'datetime', 'time', 'daylight-saving', 'listening-window' or 'none'.
+*   - value
+*     JavaScript value, null if value is not available.
+*   - available
+*     False if data contains "value not available" marker.
+*/
+class DataTypes {
+
+  /**
+  * Decode record data using DIF data field.
+  *
+  * @param dataField
+  *   DIF data field (0x0 - 0xF)
+  * @param buffer
+  *   Record data
+  * @param options with following keys:
+  *   - lvar
+  *     LVAR byte for variable length data (data field 0xD).
+  *   - dateType
+  *     Date type 'G', 'F', 'I', 'J', 'K' or 'L' if VIF describes date.
+  * @return result
+  */
+  static decode(dataField, buffer, options = {}) {
+    if (options.dateType)
+      return DataTypes.decodeDate(options.dateType, buffer);
+
+    switch (dataField & 0x0F) {
+      case 0x1:
+      case 0x2:
+      case 0x3:
+      case 0x4:
+      case 0x6:
+      case 0x7:
+        return DataTypes.decodeInteger(buffer);
+
+      case 0x5:
+        return DataTypes.decodeReal(buffer);
+
+      case 0x9:
+      case 0xA:
+      case 0xB:
+      case 0xC:
+      case 0xE:
+        return DataTypes.decodeBCD(buffer);
+
+      case 0xD:
+        return DataTypes.decodeLVAR(options.lvar, buffer);
+    }
+    return DataTypes.result('none', null);
+  }
+
+  /**
+  * Decode date type using date type letter.
+  *
+  * @param dateType
+  * @param buffer
+  * @return result
+  */
+  static decodeDate(dateType, buffer) {
+    switch (dateType) {
+      case 'G':
+        return DataTypes.decodeDateG(buffer);
+      case 'F':
+        return DataTypes.decodeDateTimeF(buffer);
+      case 'I':
+        return DataTypes.decodeDateTimeI(buffer);
+      case 'J':
+        return DataTypes.decodeTimeJ(buffer);
+      case 'K':
+        return DataTypes.decodeDaylightSavingK(buffer);
+      case 'L':
+        return DataTypes.decodeListeningWindowL(buffer);
+    }
+    return DataTypes.result('none', null);
+  }
+
+  /**
+  * Returns date type for VIF, VIFE chain and data field.
+  *
+  * @param vif
+  * @param vife
+  * @param dataField
+  * @return date type letter or null
+  */
+  static getDateType(vif, vife = [], dataField) {
+    if (vif === null || vif === undefined)
+      return null;
+
+    let code = vif & 0x7F;
+
+    // Date and time of battery change uses same coding as VIF 0x6D
+    if (vif == 0xFD && vife.length) {
+      switch (vife[0] & 0x7F) {
+        case 0x70:
+          code = 0x6D;
+          break;
+        case 0x72:
+          return 'K';
+        case 0x73:
+          return 'L';
+        default:
+          return null;
+      }
+    }
+
+    if (code == 0x6C && dataField == 0x2)
+      return 'G';
+
+    if (code == 0x6D) {
+      switch (dataField) {
+        case 0x3:
+          return 'J';
+        case 0x4:
+          return 'F';
+        case 0x6:
+          return 'I';
+      }
+    }
+    return null;
+  }
+
+  /**
+  * Decode signed little endian integer (type B), 1 - 8 bytes. All bits set
+  * is not reserved for type B, it is valid value -1.
+  *
+  * @param buffer
+  * @return result
+  */
+  static decodeInteger(buffer) {
+    if (!buffer.length)
+      return DataTypes.result('integer', null, false);
+
+    if (buffer.length <= 6)
+      return DataTypes.result('integer', buffer.readIntLE(0, buffer.length));
+
+    // 64 bit integer, precision is limited to Number.MAX_SAFE_INTEGER
+    let low = buffer.readUInt32LE(0);
+    let high = buffer.length == 8 ?
+      buffer.readInt32LE(4) : buffer.readIntLE(4, buffer.length - 4);
+    return DataTypes.result('integer', high * 0x100000000 + low);
+  }
+
+  /**
+  * Decode 32 bit real (type H).
+  *
+  * @param buffer
+  * @return result
+  */
+  static decodeReal(buffer) {
+    if (buffer.length != 4 || DataTypes.isAllSet(buffer))
+      return DataTypes.result('real', null, false);
+
+    let value = buffer.readFloatLE(0);
+
+    return isNaN(value) ?
+      DataTypes.result('real', null, false) :
+      DataTypes.result('real', value);
+  }
+
+  /**
+  * Decode BCD value (type A). Most significant nibble 0xF marks negative value
+  * and other hex digits mark value as not available.
+  *
+  * @param buffer
+  * @param negative
+  *   Force negative value, used by LVAR negative BCD.
+  * @return result
+  */
+  static decodeBCD(buffer, negative = false) {
+    if (!buffer.length || DataTypes.isAllSet(buffer))
+      return DataTypes.result('bcd', null, false);
+
+    let value = 0;
+
+    for (let i = buffer.length - 1; i >= 0; i--) {
+      let high = buffer[i] >> 4;
+      let low = buffer[i] & 0x0F;
+
+      if (i == buffer.length - 1 && high == 0xF) {
+        negative = true;
+        high = 0;
+      }
+
+      if (high > 9 || low > 9)
+        return DataTypes.result('bcd', null, false);
+
+      value = value * 100 + high * 10 + low;
+    }
+    return DataTypes.result('bcd', negative ? -value : value);
+  }
+
+  /**
+  * Decode variable length data.
+  *
+  * @param lvar
+  * @param buffer
+  * @return result
+  */
+  static decodeLVAR(lvar, buffer) {
+    if (lvar === null || lvar === undefined)
+      return DataTypes.result('none', null);
+
+    // ASCII string, transmitted last character first
+    if (lvar <= 0xBF)
+      return DataTypes.result('string',
+        Buffer.from(buffer).reverse().toString('ascii'));
+
+    if (lvar >= 0xC0 && lvar <= 0xCF)
+      return DataTypes.decodeBCD(buffer);
+
+    if (lvar >= 0xD0 && lvar <= 0xDF)
+      return DataTypes.decodeBCD(buffer, true);
+
+    if (lvar >= 0xE0 && lvar <= 0xEF && buffer.length <= 6)
+      return DataTypes.result('binary', buffer.length ?
+        buffer.readUIntLE(0, buffer.length) : 0);
+
+    return DataTypes.result('binary', Buffer.from(buffer));
+  }
+
+  /**
+  * Decode date (type G), 2 bytes.
+  *
+  * @param buffer
+  * @return result
+  */
+  static decodeDateG(buffer) {
+    if (buffer.length < 2 || DataTypes.isAllSet(buffer))
+      return DataTypes.result('date', null, false);
+
+    let day = buffer[0] & 0x1F;
+    let month = buffer[1] & 0x0F;
+    let year = DataTypes.decodeYear(buffer[0], buffer[1], 0);
+
+    if (!DataTypes.isValidDate(day, month))
+      return DataTypes.result('date', null, false);
+
+    return DataTypes.result('date', new Date(Date.UTC(year, month - 1, day)));
+  }
+
+  /**
+  * Decode date and time (type F), 4 bytes. Bit 7 of first byte marks value
+  * invalid.
+  *
+  * @param buffer
+  * @return result
+  */
+  static decodeDateTimeF(buffer) {
+    if (buffer.length < 4 || DataTypes.isAllSet(buffer) || buffer[0] & 0x80)
+      return DataTypes.result('datetime', null, false);
+
+    let minute = buffer[0] & 0x3F;
+    let hour = buffer[1] & 0x1F;
+    let hundredYear = (buffer[1] & 0x60) >> 5;
+    let day = buffer[2] & 0x1F;
+    let month = buffer[3] & 0x0F;
+    let year = DataTypes.decodeYear(buffer[2], buffer[3], hundredYear);
+
+    if (!DataTypes.isValidDate(day, month) || hour > 23 || minute > 59)
+      return DataTypes.result('datetime', null, false);
+
+    return DataTypes.result('datetime',
+      new Date(Date.UTC(year, month - 1, day, hour, minute)));
+  }
+
+  /**
+  * Decode date and time (type I), 6 bytes. Bit 7 of second byte marks value
+  * invalid.
+  *
+  * @param buffer
+  * @return result
+  */
+  static decodeDateTimeI(buffer) {
+    if (buffer.length < 6 || DataTypes.isAllSet(buffer) || buffer[1] & 0x80)
+      return DataTypes.result('datetime', null, false);
+
+    let second = buffer[0] & 0x3F;
+    let minute = buffer[1] & 0x3F;
+    let hour = buffer[2] & 0x1F;
+    let day = buffer[3] & 0x1F;
+    let month = buffer[4] & 0x0F;
+    let year = DataTypes.decodeYear(buffer[3], buffer[4], 0);
+
+    if (!DataTypes.isValidDate(day, month) || hour > 23 || minute > 59 ||
+        second > 59)
+      return DataTypes.result('datetime', null, false);
+
+    return DataTypes.result('datetime',
+      new Date(Date.UTC(year, month - 1, day, hour, minute, second)));
+  }
+
+  /**
+  * Decode time (type J), 3 bytes.
+  *
+  * @param buffer
+  * @return result
+  *   Value is object with hour, minute and second keys.
+  */
+  static decodeTimeJ(buffer) {
+    if (buffer.length < 3 || DataTypes.isAllSet(buffer))
+      return DataTypes.result('time', null, false);
+
+    let time = {
+      hour: buffer[2] & 0x1F,
+      minute: buffer[1] & 0x3F,
+      second: buffer[0] & 0x3F
+    };
+
+    if (time.hour > 23 || time.minute > 59 || time.second > 59)
+      return DataTypes.result('time', null, false);
+
+    return DataTypes.result('time', time);
+  }
+
+  /**
+  * Decode daylight saving (type K), 4 bytes.
+  *
+  * @param buffer
+  * @return result
+  *   Value is object with beginHour, beginDay, beginMonth, endDay, endMonth
+  *   and deviation (hours) keys.
+  */
+  static decodeDaylightSavingK(buffer) {
+    if (buffer.length < 4 || DataTypes.isAllSet(buffer))
+      return DataTypes.result('daylight-saving', null, false);
+
+    let deviation = (buffer[0] & 0x60) >> 5;
+
+    return DataTypes.result('daylight-saving', {
+      beginHour: buffer[0] & 0x1F,
+      beginDay: buffer[1] & 0x1F,
+      beginMonth: buffer[2] & 0x0F,
+      endMonth: (buffer[2] & 0xF0) >> 4,
+      endDay: buffer[3] & 0x1F,
+      deviation: buffer[0] & 0x80 ? -deviation : deviation
+    });
+  }
+
+  /**
+  * Decode listening window management (type L), 12 bytes. Each bit presents
+  * one 15 minute window of the day, starting from midnight.
+  *
+  * @param buffer
+  * @return result
+  *   Value is array of 96 booleans.
+  */
+  static decodeListeningWindowL(buffer) {
+    if (buffer.length < 12)
+      return DataTypes.result('listening-window', null, false);
+
+    let windows = [];
+
+    for (let i = 0; i < 96; i++)
+      windows.push((buffer[i >> 3] & (1 << (i & 0x07))) != 0);
+
+    return DataTypes.result('listening-window', windows);
+  }
+
+  /**
+  * Decode year from date bytes. Year low bits are in bits 5-7 of day byte
+  * and high bits in bits 4-7 of month byte.
+  *
+  * @param dayByte
+  * @param monthByte
+  * @param hundredYear
+  * @return year
+  */
+  static decodeYear(dayByte, monthByte, hundredYear) {
+    let year = ((dayByte & 0xE0) >> 5) | ((monthByte & 0xF0) >> 1);
+
+    // Without hundred year field, years 0 - 80 are 2000 - 2080
+    if (hundredYear == 0 && year <= 80)
+      return 2000 + year;
+
+    return 1900 + 100 * hundredYear + year;
+  }
+
+  /**
+  * Check that day and month are in valid range.
+  *
+  * @param day
+  * @param month
+  * @return boolean is valid
+  */
+  static isValidDate(day, month) {
+    return day >= 1 && day <= 31 && month >= 1 && month <= 12;
+  }
+
+  /**
+  * Check if all bits of buffer are set, which marks value not available.
+  *
+  * @param buffer
+  * @return boolean all set
+  */
+  static isAllSet(buffer) {
+    for (let i = 0; i < buffer.length; i++)
+      if (buffer[i] != 0xFF)
+        return false;
+
+    return buffer.length > 0;
+  }
+
+  /**
+  * Build decoder result.
+  *
+  * @param type
+  * @param value
+  * @param available
+  * @return result
+  */
+  static result(type, value, available = true) {
+    return {
+      type: type,
+      value: available ? value : null,
+      available: available
+    };
+  }
+
+  /**
+  * Encode numeric value using DIF data field. Inverse of decode() for
+  * integer, real and BCD data fields.
+  *
+  * @param dataField
+  *   DIF data field (0x0 - 0xF)
+  * @param value
+  *   Number, null encodes "value not available" marker of BCD and real
+  *   data fields
+  * @return buffer or null if data field can't be encoded
+  */
+  static encode(dataField, value) {
+    // Variable length data and special functions are not encoded
+    const lengths = [0, 1, 2, 3, 4, 4, 6, 8, -1, 1, 2, 3, 4, -1, 6, -1];
+
+    dataField &= 0x0F;
+
+    if (lengths[dataField] < 0)
+      return null;
+
+    let buffer = Buffer.alloc(lengths[dataField]);
+
+    // Integers (type B) don't have "value not available" marker
+    if (value === null || value === undefined)
+      return [0x1, 0x2, 0x3, 0x4, 0x6, 0x7].indexOf(dataField) >= 0 ?
+        null : buffer.fill(0xFF);
+
+    switch (dataField) {
+      case 0x5:
+        buffer.writeFloatLE(value, 0);
+        return buffer;
+
+      case 0x9:
+      case 0xA:
+      case 0xB:
+      case 0xC:
+      case 0xE:
+        return DataTypes.encodeBCD(buffer.length, value);
+    }
+    return DataTypes.encodeInteger(buffer.length, value);
+  }
+
+  /**
+  * Encode signed little endian integer.
+  *
+  * @param length
+  *   Length in bytes
+  * @param value
+  * @return buffer
+  */
+  static encodeInteger(length, value) {
+    let buffer = Buffer.alloc(length);
+
+    if (length <= 6) {
+      if (length)
+        buffer.writeIntLE(Math.round(value), 0, length);
+      return buffer;
+    }
+
+    // 64 bit integer, precision is limited to Number.MAX_SAFE_INTEGER
+    let high = Math.floor(value / 0x100000000);
+    buffer.writeUInt32LE(Math.round(value - high * 0x100000000), 0);
+    buffer.writeInt32LE(high, 4);
+    return buffer;
+  }
+
+  /**
+  * Encode BCD value (type A). Negative value is marked with most significant
+  * nibble 0xF.
+  *
+  * @param length
+  *   Length in bytes
+  * @param value
+  * @return buffer
+  */
+  static encodeBCD(length, value) {
+    let buffer = Buffer.alloc(length);
+    let digits = Math.abs(Math.round(value));
+
+    for (let i = 0; i < length; i++) {
+      buffer[i] = (digits % 10) | ((Math.floor(digits / 10) % 10) << 4);
+      digits = Math.floor(digits / 100);
+    }
+
+    if (value < 0)
+      buffer[length - 1] |= 0xF0;
+
+    return buffer;
+  }
+}
+
+export default DataTypes;
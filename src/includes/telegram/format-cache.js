@@ -0,0 +1,137 @@
+import CRC from './../misc/crc'
+import DataRecordParser from './data-record-parser'
+
+/**
+* Cache of data record formats by format signature.
+*
+* Compact frames (CI 0x79) omit record headers and carry only format
+* signature, which is CRC of the record headers (DIB and VIB) of the
+* corresponding full frame. Formats are learned from full frames and used to
+* decode compact frames. Signature is only 16 bits and meter may change its
+* format, so compact frame carries also data CRC of the full frame, which is
+* checked after decoding.
+*/
+class FormatCache {
+
+  /**
+  * Construct cache.
+  *
+  * @param formats
+  *   Known formats, object of record header hex strings by signature.
+  */
+  constructor(formats = {}) {
+    this._formats = new Map();
+
+    Object.keys(formats).forEach(signature => {
+      this.set(parseInt(signature), Buffer.from(formats[signature], 'hex'));
+    });
+  }
+
+  /**
+  * Learn format from records of full frame.
+  *
+  * @param records
+  *   Array of DataRecord objects
+  * @return signature or null if records don't have format
+  */
+  learn(records = []) {
+    let format = FormatCache.getFormat(records);
+
+    if (!format.length)
+      return null;
+
+    let signature = FormatCache.getSignature(format);
+    this.set(signature, format);
+    return signature;
+  }
+
+  /**
+  * Store format.
+  *
+  * @param signature
+  * @param format
+  *   Record headers buffer
+  */
+  set(signature, format) {
+    this._formats.set(signature, format);
+  }
+
+  /**
+  * Returns format for signature.
+  *
+  * @param signature
+  * @return format buffer or null if format is not known
+  */
+  get(signature) {
+    return this._formats.has(signature) ? this._formats.get(signature) : null;
+  }
+
+  /**
+  * Check if format is known.
+  *
+  * @param signature
+  * @return boolean is known
+  */
+  has(signature) {
+    return this._formats.has(signature);
+  }
+
+  /**
+  * Decode compact frame data.
+  *
+  * @param signature
+  *   Format signature of compact frame
+  * @param data
+  *   Compact frame data, following format signature and data CRC
+  * @param dataCRC
+  *   Data CRC of compact frame. CRC of rebuilt full frame data must match
+  *   it, not checked if null.
+  * @return records or null if format is not known or data doesn't match it
+  */
+  decode(signature, data, dataCRC = null) {
+    let format = this.get(signature);
+    if (!format)
+      return null;
+
+    let full = DataRecordParser.expandCompact(format, data);
+    if (!full)
+      return null;
+
+    if (dataCRC !== null && CRC.crc16EN13757(full) != dataCRC)
+      return null;
+
+    return DataRecordParser.parse(full);
+  }
+
+  /**
+  * Returns format of records: concatenated record headers. Manufacturer
+  * specific data and global readout records are not part of the format.
+  *
+  * @param records
+  * @return format buffer
+  */
+  static getFormat(records) {
+    let headers = [];
+
+    for (let i = 0; i < records.length; i++) {
+      if (records[i].isManufacturerSpecific())
+        break;
+
+      if (records[i].getVIF() !== null)
+        headers.push(records[i].getHeader());
+    }
+    return Buffer.concat(headers);
+  }
+
+  /**
+  * Calculate format signature.
+  *
+  * @param format
+  * @return signature
+  */
+  static getSignature(format) {
+    return CRC.crc16EN13757(format);
+  }
+}
+
+export default FormatCache;
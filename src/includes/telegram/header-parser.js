@@ -0,0 +1,396 @@
+/**
+* Parser for headers following the data link layer. Parser branches on CI
+* field and walks through optional extended link layer (ELL), authentication
+* and fragmentation layer (AFL) and transport layer (TPL) headers.
+*
+* Each parsed header is an object with following common keys:
+*   - ci
+*     CI field value
+*   - type
+*     Header type, see HeaderParser.CI_TYPES
+*   - offset
+*     Index of CI field in frame
+*   - end
+*     Index of first byte after header
+*/
+class HeaderParser {
+
+  /**
+  * Parse headers starting from given CI field index.
+  *
+  * @param buffer
+  *   CRC free frame
+  * @param offset
+  *   Index of first CI field, defaults to 10 (after L, C, M and A fields).
+  * @return headers with following keys:
+  *   - ell
+  *     Extended link layer header or null
+  *   - afl
+  *     Authentication and fragmentation layer header or null
+  *   - tpl
+  *     Transport layer header or null if it is encrypted by ELL or missing
+  *   - payloadOffset
+  *     Index of first byte after last parsed header
+  *   - encrypted
+  *     True if payload is encrypted
+  */
+  static parse(buffer, offset = 10) {
+    let headers = {
+      ell: null,
+      afl: null,
+      tpl: null,
+      payloadOffset: offset,
+      encrypted: false
+    };
+
+    while (offset < buffer.length) {
+      let ci = buffer[offset];
+      let type = HeaderParser.getType(ci);
+
+      if (type == 'ell' && !headers.ell && !headers.afl) {
+        let ell = HeaderParser.parseELL(buffer, offset);
+        if (!ell)
+          break;
+
+        headers.ell = ell;
+        headers.payloadOffset = offset = ell.end;
+
+        // Rest of the frame is encrypted by extended link layer
+        if (ell.encryption) {
+          headers.encrypted = true;
+          break;
+        }
+        continue;
+      }
+
+      if (type == 'afl' && !headers.afl) {
+        let afl = HeaderParser.parseAFL(buffer, offset);
+        if (!afl)
+          break;
+
+        headers.afl = afl;
+        headers.payloadOffset = offset = afl.end;
+        continue;
+      }
+
+      let tpl = HeaderParser.parseTransport(buffer, offset);
+      if (tpl) {
+        headers.tpl = tpl;
+        headers.payloadOffset = tpl.end;
+        headers.encrypted = !!(tpl.configuration && tpl.configuration.mode);
+      }
+      break;
+    }
+    return headers;
+  }
+
+  /**
+  * Returns header type for CI field.
+  *
+  * @param ci
+  * @return type
+  */
+  static getType(ci) {
+    return HeaderParser.CI_TYPES.hasOwnProperty(ci) ?
+      HeaderParser.CI_TYPES[ci] : 'unknown';
+  }
+
+  /**
+  * Parse extended link layer header (CI 0x8C - 0x8F).
+  *
+  * CI 0x8C: CC, ACC
+  * CI 0x8D: CC, ACC, SN
+  * CI 0x8E: CC, ACC, M2, A2
+  * CI 0x8F: CC, ACC, M2, A2, SN
+  *
+  * SN (session number) contains encryption mode in bits 29-31. With
+  * encryption, payload CRC and rest of the payload are encrypted.
+  *
+  * @param buffer
+  * @param offset
+  * @return header or null if buffer is too short
+  */
+  static parseELL(buffer, offset) {
+    let ci = buffer[offset];
+    let hasAddress = ci == 0x8E || ci == 0x8F;
+    let hasSession = ci == 0x8D || ci == 0x8F;
+    let length = 3 + (hasAddress ? 8 : 0) + (hasSession ? 4 : 0);
+
+    if (offset + length > buffer.length)
+      return null;
+
+    let index = offset + 3;
+    let header = {
+      ci: ci,
+      type: 'ell',
+      offset: offset,
+      end: offset + length,
+      cc: buffer[offset + 1],
+      accessNumber: buffer[offset + 2],
+      address: null,
+      sessionNumber: null,
+      encryption: 0,
+      payloadCRC: null
+    };
+
+    if (hasAddress) {
+      header.address = HeaderParser.parseAddress(
+        buffer.slice(index, index + 8));
+      index += 8;
+    }
+
+    if (hasSession) {
+      header.sessionNumber = buffer.slice(index, index + 4);
+      header.encryption = (buffer.readUInt32LE(index) >>> 29) & 0x07;
+      index += 4;
+
+      // Payload CRC precedes the (possibly encrypted) payload
+      if (index + 2 <= buffer.length)
+        header.payloadCRC = buffer.slice(index, index + 2);
+
+      if (!header.encryption && header.payloadCRC)
+        header.end = index + 2;
+    }
+    return header;
+  }
+
+  /**
+  * Parse authentication and fragmentation layer header (CI 0x90).
+  *
+  * AFL length (1 byte), fragmentation control FCL (2 bytes) and optional
+  * message control MCL (1 byte), key information KI (2 bytes), message
+  * counter MCR (4 bytes), MAC (2 - 16 bytes) and message length ML (2 bytes)
+  * depending on FCL presence bits.
+  *
+  * @param buffer
+  * @param offset
+  * @return header or null if buffer is too short
+  */
+  static parseAFL(buffer, offset) {
+    if (offset + 4 > buffer.length)
+      return null;
+
+    let length = buffer[offset + 1];
+    let end = offset + 2 + length;
+
+    if (end > buffer.length)
+      return null;
+
+    let fcl = buffer.readUInt16LE(offset + 2);
+    let index = offset + 4;
+    let header = {
+      ci: buffer[offset],
+      type: 'afl',
+      offset: offset,
+      end: end,
+      length: length,
+      fragmentControl: fcl,
+      fragmentId: fcl & 0xFF,
+      moreFragments: !!(fcl & 0x4000),
+      messageControl: null,
+      authenticationType: null,
+      keyInformation: null,
+      messageCounter: null,
+      mac: null,
+      messageLength: null
+    };
+
+    // Message control
+    if (fcl & 0x2000) {
+      header.messageControl = buffer[index];
+      header.authenticationType = buffer[index] & 0x0F;
+      index += 1;
+    }
+
+    // Key information
+    if (fcl & 0x0200) {
+      header.keyInformation = buffer.readUInt16LE(index);
+      index += 2;
+    }
+
+    // Message counter
+    if (fcl & 0x0800) {
+      header.messageCounter = buffer.readUInt32LE(index);
+      index += 4;
+    }
+
+    // MAC, length depends on authentication type
+    if (fcl & 0x0400) {
+      let macLength = HeaderParser.getMACLength(header.authenticationType);
+      header.mac = buffer.slice(index, index + macLength);
+      index += macLength;
+    }
+
+    // Message length
+    if (fcl & 0x1000)
+      header.messageLength = buffer.readUInt16LE(index);
+
+    return header;
+  }
+
+  /**
+  * Returns AFL MAC length for authentication type.
+  *
+  * @param authenticationType
+  * @return length in bytes
+  */
+  static getMACLength(authenticationType) {
+    const lengths = { 3: 2, 4: 4, 5: 8, 6: 12, 7: 16 };
+
+    return lengths.hasOwnProperty(authenticationType) ?
+      lengths[authenticationType] : 0;
+  }
+
+  /**
+  * Parse transport layer header.
+  *
+  * CI 0x78: no header
+  * CI 0x79: compact frame, format signature and full frame data CRC
+  * CI 0x7A: short header, ACC, ST, CW
+  * CI 0x72: long header, ID, M, version, device type, ACC, ST, CW
+  * CI 0x5A and 0x5B: short and long header of frames sent to meter
+  *
+  * With security mode 7 configuration word is followed by configuration
+  * field extension.
+  *
+  * @param buffer
+  * @param offset
+  * @return header or null if buffer is too short
+  */
+  static parseTransport(buffer, offset) {
+    let ci = buffer[offset];
+    let type = HeaderParser.getType(ci);
+    let index = offset + 1;
+    let header = {
+      ci: ci,
+      type: type,
+      offset: offset,
+      end: index,
+      accessNumber: null,
+      status: null,
+      configuration: null,
+      secondaryAddress: null
+    };
+
+    switch (type) {
+      case 'compact':
+        if (index + 4 > buffer.length)
+          return null;
+
+        header.formatSignature = buffer.readUInt16LE(index);
+        header.dataCRC = buffer.readUInt16LE(index + 2);
+        header.end = index + 4;
+        return header;
+
+      case 'long':
+        if (index + 8 > buffer.length)
+          return null;
+
+        header.secondaryAddress = HeaderParser.parseSecondaryAddress(
+          buffer.slice(index, index + 8));
+        index += 8;
+
+      // falls through
+      case 'short':
+        if (index + 4 > buffer.length)
+          return null;
+
+        header.accessNumber = buffer[index];
+        header.status = buffer[index + 1];
+        header.configuration = HeaderParser.parseConfiguration(
+          buffer.readUInt16LE(index + 2));
+        index += 4;
+
+        if (header.configuration.mode == 7 && index < buffer.length) {
+          let extension = buffer[index++];
+          header.configuration.extension = extension;
+          header.configuration.keyDerivation = (extension & 0x30) >> 4;
+          header.configuration.keyVersion = extension & 0x0F;
+        }
+        header.end = index;
+        return header;
+    }
+    return header;
+  }
+
+  /**
+  * Decode configuration word.
+  *
+  * @param cw
+  *   16 bit configuration word
+  * @return configuration
+  */
+  static parseConfiguration(cw) {
+    return {
+      raw: cw,
+      bidirectional: !!(cw & 0x8000),
+      accessibility: !!(cw & 0x4000),
+      synchronous: !!(cw & 0x2000),
+      mode: (cw >> 8) & 0x1F,
+      encryptedBlocks: (cw >> 4) & 0x0F,
+      contentType: (cw >> 2) & 0x03,
+      hopCount: cw & 0x03
+    };
+  }
+
+  /**
+  * Parse address in link layer order: M (2 bytes), ID (4 bytes), version and
+  * device type.
+  *
+  * @param buffer
+  * @return address
+  */
+  static parseAddress(buffer) {
+    return {
+      manufacturer: buffer.slice(0, 2),
+      id: HeaderParser.formatId(buffer.slice(2, 6)),
+      version: buffer[6],
+      deviceType: buffer[7]
+    };
+  }
+
+  /**
+  * Parse secondary address of long header: ID (4 bytes), M (2 bytes),
+  * version and device type.
+  *
+  * @param buffer
+  * @return address
+  */
+  static parseSecondaryAddress(buffer) {
+    return {
+      manufacturer: buffer.slice(4, 6),
+      id: HeaderParser.formatId(buffer.slice(0, 4)),
+      version: buffer[6],
+      deviceType: buffer[7]
+    };
+  }
+
+  /**
+  * Format little endian BCD identification number.
+  *
+  * @param buffer
+  * @return id string, like '12345678'
+  */
+  static formatId(buffer) {
+    return Buffer.from(buffer).reverse().toString('hex');
+  }
+}
+
+/**
+* Header types by CI field.
+*/
+HeaderParser.CI_TYPES = {
+  0x5A: 'short',
+  0x5B: 'long',
+  0x72: 'long',
+  0x78: 'none',
+  0x79: 'compact',
+  0x7A: 'short',
+  0x8C: 'ell',
+  0x8D: 'ell',
+  0x8E: 'ell',
+  0x8F: 'ell',
+  0x90: 'afl'
+};
+
+export default HeaderParser;
@@ -0,0 +1,213 @@
+import CRC from './../misc/crc'
+
+/**
+* Wireless M-Bus data link layer frame decoder (EN 13757-4).
+*
+* Frame format A
+*   Block 1: L, C, M and A fields (10 bytes) + CRC
+*   Block 2..n: 16 bytes of data + CRC, last block may be shorter.
+*   L-field excludes CRC bytes.
+*
+* Frame format B
+*   Block 1: L, C, M and A fields (10 bytes), no CRC
+*   Block 2: data up to frame byte 126 + CRC, CRC covers block 1 and block 2.
+*   Block 3: rest of the data + CRC, present only with long frames.
+*   L-field includes CRC bytes.
+*
+* CRCs are transmitted most significant byte first.
+*/
+class LinkLayer {
+
+  /**
+  * Decode raw frame, validate and strip CRCs.
+  *
+  * @param buffer
+  *   Raw frame starting from L-field.
+  * @param options with following keys:
+  *   - format
+  *     'A', 'B', 'none' or 'auto' (default). Automatic detection uses frame
+  *     length and CRCs. If neither format matches, frame is expected to be
+  *     delivered without CRCs, like Amber and IMST sticks do by default.
+  *     Format 'reassembled' is used with CRC free frames reassembled from
+  *     fragments, which may be longer than L-field allows.
+  * @return frame with following keys:
+  *   - format
+  *     Detected frame format 'A', 'B' or 'none'
+  *   - data
+  *     CRC free frame, L-field updated to match the stripped length
+  *   - blocks
+  *     List of blocks with start, length, crc and valid keys
+  *   - valid
+  *     False if any of the block CRCs didn't match
+  */
+  static decode(buffer, options = {}) {
+    let format = options.hasOwnProperty('format') ? options.format : 'auto';
+
+    if (!buffer || buffer.length < 1)
+      return LinkLayer.decodeWithoutCRC(Buffer.alloc(0));
+
+    switch (format) {
+      case 'A':
+        return LinkLayer.decodeFormatA(buffer);
+      case 'B':
+        return LinkLayer.decodeFormatB(buffer);
+      case 'none':
+        return LinkLayer.decodeWithoutCRC(buffer);
+      case 'reassembled':
+        return LinkLayer.decodeWithoutCRC(buffer, false);
+    }
+
+    // Automatic detection, prefer frames with valid CRCs
+    let lengthA = LinkLayer.getFormatALength(buffer[0]);
+
+    if (buffer.length >= lengthA) {
+      let frame = LinkLayer.decodeFormatA(buffer);
+      if (frame.valid || buffer.length == lengthA)
+        return frame;
+    }
+
+    if (buffer.length >= buffer[0] + 1 && buffer[0] >= 12) {
+      let frame = LinkLayer.decodeFormatB(buffer);
+      if (frame.valid)
+        return frame;
+    }
+    return LinkLayer.decodeWithoutCRC(buffer);
+  }
+
+  /**
+  * Returns raw length of format A frame.
+  *
+  * @param lField
+  * @return length in bytes, including L-field and CRCs
+  */
+  static getFormatALength(lField) {
+    let dataBlocks = lField > 9 ? Math.ceil((lField - 9) / 16) : 0;
+    return lField + 1 + 2 * (1 + dataBlocks);
+  }
+
+  /**
+  * Decode frame format A.
+  *
+  * @param buffer
+  * @return frame
+  */
+  static decodeFormatA(buffer) {
+    let remaining = buffer[0] + 1;
+    let blockLengths = [Math.min(10, remaining)];
+    remaining -= blockLengths[0];
+
+    while (remaining > 0) {
+      blockLengths.push(Math.min(16, remaining));
+      remaining -= 16;
+    }
+
+    let index = 0;
+    let blocks = [];
+    let parts = [];
+
+    blockLengths.forEach(length => {
+      let block = LinkLayer.checkBlock(buffer, index, index, length);
+      blocks.push(block);
+      parts.push(buffer.slice(index, index + length));
+      index += length + 2;
+    });
+    return LinkLayer.buildFrame('A', parts, blocks);
+  }
+
+  /**
+  * Decode frame format B.
+  *
+  * @param buffer
+  * @return frame
+  */
+  static decodeFormatB(buffer) {
+    let length = Math.min(buffer[0] + 1, buffer.length);
+    let blocks = [];
+    let parts = [];
+
+    // Block 1 and block 2 share CRC, which ends at frame byte 127 at latest
+    let block2End = Math.min(length, 128) - 2;
+    blocks.push(LinkLayer.checkBlock(buffer, 0, 10, block2End - 10));
+    parts.push(buffer.slice(0, block2End));
+
+    // Optional block 3
+    if (length > 128) {
+      let block3End = length - 2;
+      blocks.push(LinkLayer.checkBlock(buffer, 128, 128, block3End - 128));
+      parts.push(buffer.slice(128, block3End));
+    }
+    return LinkLayer.buildFrame('B', parts, blocks);
+  }
+
+  /**
+  * Handle frame, which doesn't contain CRCs. Data beyond L-field is ignored.
+  *
+  * @param buffer
+  * @param truncate
+  *   Set false to use whole buffer regardless of L-field.
+  * @return frame
+  */
+  static decodeWithoutCRC(buffer, truncate = true) {
+    let length = buffer.length && truncate ?
+      Math.min(buffer[0] + 1, buffer.length) : buffer.length;
+
+    return {
+      format: 'none',
+      data: buffer.slice(0, length),
+      blocks: [],
+      valid: true
+    };
+  }
+
+  /**
+  * Validate block CRC. CRC is calculated from given start index and is
+  * located right after block data.
+  *
+  * @param buffer
+  * @param crcStart
+  *   Index where CRC calculation starts
+  * @param dataStart
+  *   Index of block data start
+  * @param length
+  *   Block data length
+  * @return block
+  */
+  static checkBlock(buffer, crcStart, dataStart, length) {
+    let crcIndex = dataStart + length;
+    let crc = crcIndex + 2 <= buffer.length ?
+      buffer.readUInt16BE(crcIndex) : null;
+
+    return {
+      start: dataStart,
+      length: length,
+      crc: crc,
+      valid: crc !== null &&
+        CRC.crc16EN13757(buffer.slice(crcStart, crcIndex)) == crc
+    };
+  }
+
+  /**
+  * Build frame result from CRC free parts.
+  *
+  * @param format
+  * @param parts
+  * @param blocks
+  * @return frame
+  */
+  static buildFrame(format, parts, blocks) {
+    let data = Buffer.concat(parts);
+
+    // L-field of stripped frame excludes CRCs
+    if (data.length)
+      data[0] = data.length - 1;
+
+    return {
+      format: format,
+      data: data,
+      blocks: blocks,
+      valid: blocks.every(block => block.valid)
+    };
+  }
+}
+
+export default LinkLayer;
@@ -0,0 +1,241 @@
+/**
+* Wired M-Bus data link layer frame decoder and encoder (EN 13757-2).
+*
+* Single character
+*   E5
+* Short frame
+*   10, C, A, CS, 16
+* Control frame
+*   68, L = 3, L = 3, 68, C, A, CI, CS, 16
+* Long frame
+*   68, L, L, 68, C, A, CI, user data, CS, 16
+*
+* L-field counts bytes from C-field to last user data byte. Checksum CS is
+* arithmetic sum (modulo 256) of the same bytes.
+*/
+class MBusLinkLayer {
+
+  /**
+  * Decode raw frame and verify checksum and stop character.
+  *
+  * @param buffer
+  *   Raw frame starting from start character.
+  * @return frame with following keys:
+  *   - type
+  *     'ack', 'short', 'control', 'long' or 'invalid'
+  *   - c, address, ci
+  *     C-field, primary address and CI field, null if frame doesn't have
+  *     them
+  *   - data
+  *     Application data starting from CI field, empty for frames without CI
+  *   - length
+  *     Raw frame length
+  *   - valid
+  *     False if frame is truncated, checksum doesn't match or stop character
+  *     is missing
+  */
+  static decode(buffer) {
+    let frame = {
+      type: 'invalid',
+      c: null,
+      address: null,
+      ci: null,
+      data: Buffer.alloc(0),
+      length: 0,
+      valid: false
+    };
+
+    if (!buffer || buffer.length < 1)
+      return frame;
+
+    let length = MBusLinkLayer.getFrameLength(buffer);
+
+    if (length <= 0)
+      return frame;
+
+    frame.length = length;
+
+    switch (buffer[0]) {
+      case MBusLinkLayer.ACK:
+        frame.type = 'ack';
+        frame.valid = true;
+        return frame;
+
+      case MBusLinkLayer.SHORT_START:
+        frame.type = 'short';
+        frame.c = buffer[1];
+        frame.address = buffer[2];
+        frame.valid = buffer[4] == MBusLinkLayer.STOP &&
+          MBusLinkLayer.checksum(buffer.slice(1, 3)) == buffer[3];
+        return frame;
+    }
+
+    let lField = buffer[1];
+    let end = 4 + lField;
+
+    frame.type = lField == 3 ? 'control' : 'long';
+    frame.c = buffer[4];
+    frame.address = buffer[5];
+    frame.ci = buffer[6];
+    frame.data = buffer.slice(6, end);
+    frame.valid = buffer[2] == lField &&
+      buffer[3] == MBusLinkLayer.LONG_START &&
+      buffer[end + 1] == MBusLinkLayer.STOP &&
+      MBusLinkLayer.checksum(buffer.slice(4, end)) == buffer[end];
+
+    return frame;
+  }
+
+  /**
+  * Returns length of frame at beginning of buffer. Used to split byte
+  * streams to frames.
+  *
+  * @param buffer
+  * @return length in bytes, 0 if frame is not complete yet or -1 if buffer
+  *   doesn't start with frame start character
+  */
+  static getFrameLength(buffer) {
+    if (!buffer || buffer.length < 1)
+      return 0;
+
+    let length = -1;
+
+    switch (buffer[0]) {
+      case MBusLinkLayer.ACK:
+        length = 1;
+        break;
+
+      case MBusLinkLayer.SHORT_START:
+        length = 5;
+        break;
+
+      case MBusLinkLayer.LONG_START:
+        if (buffer.length < 2)
+          return 0;
+
+        // Control frame has at least C, A and CI fields
+        if (buffer[1] < 3)
+          return -1;
+
+        length = buffer[1] + 6;
+        break;
+    }
+    return length > buffer.length ? 0 : length;
+  }
+
+  /**
+  * Build short frame.
+  *
+  * @param c
+  *   C-field, see MBusLinkLayer.C_FIELDS
+  * @param address
+  *   Primary address
+  * @return buffer
+  */
+  static encodeShort(c, address) {
+    let frame = Buffer.from([MBusLinkLayer.SHORT_START, c, address, 0,
+      MBusLinkLayer.STOP]);
+
+    frame[3] = MBusLinkLayer.checksum(frame.slice(1, 3));
+    return frame;
+  }
+
+  /**
+  * Build long frame, or control frame if data is empty.
+  *
+  * @param c
+  *   C-field, see MBusLinkLayer.C_FIELDS
+  * @param address
+  *   Primary address
+  * @param ci
+  *   CI field
+  * @param data
+  *   User data buffer following CI field
+  * @return buffer
+  */
+  static encodeLong(c, address, ci, data = Buffer.alloc(0)) {
+    let body = Buffer.concat([Buffer.from([c, address, ci]), data]);
+    let lField = body.length;
+
+    return Buffer.concat([
+      Buffer.from([MBusLinkLayer.LONG_START, lField, lField,
+        MBusLinkLayer.LONG_START]),
+      body,
+      Buffer.from([MBusLinkLayer.checksum(body), MBusLinkLayer.STOP])
+    ]);
+  }
+
+  /**
+  * Calculate frame checksum.
+  *
+  * @param buffer
+  * @return checksum
+  */
+  static checksum(buffer) {
+    let sum = 0;
+
+    for (let i = 0; i < buffer.length; i++)
+      sum = (sum + buffer[i]) & 0xFF;
+
+    return sum;
+  }
+}
+
+/**
+* Single character acknowledgement.
+*/
+MBusLinkLayer.ACK = 0xE5;
+
+/**
+* Start and stop characters.
+*/
+MBusLinkLayer.SHORT_START = 0x10;
+MBusLinkLayer.LONG_START = 0x68;
+MBusLinkLayer.STOP = 0x16;
+
+/**
+* C-fields of master requests and slave responses. REQ_UD1, REQ_UD2 and
+* SND_UD are sent with frame count bit (0x20) toggled, see FCB.
+*/
+MBusLinkLayer.C_FIELDS = {
+  SND_NKE: 0x40,
+  SND_UD: 0x53,
+  REQ_UD1: 0x5A,
+  REQ_UD2: 0x5B,
+  RSP_UD: 0x08
+};
+
+/**
+* Frame count bit of C-field.
+*/
+MBusLinkLayer.FCB = 0x20;
+
+/**
+* CI fields of wired M-Bus application layer.
+*/
+MBusLinkLayer.CI_FIELDS = {
+  // Data send, master to slave
+  DATA_SEND: 0x51,
+  // Selection of slave by secondary address
+  SELECTION: 0x52,
+  // Application reset
+  APPLICATION_RESET: 0x50,
+  // Variable data response, long header
+  VARIABLE_DATA: 0x72
+};
+
+/**
+* Primary addresses with special meaning.
+*/
+MBusLinkLayer.ADDRESSES = {
+  // Unconfigured slaves
+  UNCONFIGURED: 0x00,
+  // Slave selected by secondary address
+  NETWORK_LAYER: 0xFD,
+  // Broadcast, all slaves reply
+  BROADCAST_REPLY: 0xFE,
+  // Broadcast, no slave replies
+  BROADCAST: 0xFF
+};
+
+export default MBusLinkLayer;
@@ -1,12 +1,26 @@
 import Telegram from './telegram'
+import MBusMeter from './../meter/mbus-meter'
 
 /**
-* M-Bus telegram object.
+* Wired M-Bus telegram object. Packet contains single wired frame, see
+* MBusLinkLayer.
 */
 class MBusTelegram extends Telegram {
+
   /**
-  * M-Bus may be supported in future.
+  * Construct telegram with buffer data.
+  *
+  * @param packet
+  *   Data packet for telegram. Packet contains raw buffer and other options.
+  * @param options with following keys
   */
+  constructor(packet = null, options = {}) {
+    // Apply default m-bus meter if not provided
+    if (!options.hasOwnProperty('meter'))
+      options.meter = MBusMeter.getInstance();
+
+    super(packet, options);
+  }
 }
 
-export default MBusTelegram;
\ No newline at end of file
+export default MBusTelegram;
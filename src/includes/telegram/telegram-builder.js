@@ -0,0 +1,405 @@
+import DataPacket from './../buffer/data-packet'
+import DataTypes from './data-types'
+import CRC from './../misc/crc'
+import AES from './../crypto/aes'
+import Meter from './../meter/meter'
+
+/**
+* Builds wireless M-Bus frames from meter identity, header fields and data
+* records. Built frames are accepted by readers and meters like received
+* frames, which makes builder useful for tests and simulators:
+*
+*   let packet = new TelegramBuilder({
+*     manufacturer: 'KAM',
+*     id: '12345678',
+*     deviceType: 0x16,
+*     ci: 0x7A,
+*     encryption: 'mode5',
+*     key: '000102030405060708090a0b0c0d0e0f'
+*   })
+*     .addRecord({ dif: 0x04, vif: 0x13, value: 1234 })
+*     .build();
+*
+* Frame is composed from link layer (L, C, M and A fields), optional
+* extended link layer (ELL), transport layer header selected by CI field and
+* data records.
+*/
+class TelegramBuilder {
+
+  /**
+  * Construct telegram builder.
+  *
+  * @param options with following keys:
+  *   - manufacturer
+  *     Three letter manufacturer code, like 'KAM', or M-field as number.
+  *   - id
+  *     Identification number as 8 digit string, defaults to '00000000'.
+  *   - version
+  *   - deviceType
+  *   - c
+  *     C-field, defaults to 0x44 (SND_NR).
+  *   - ci
+  *     Transport layer CI field: 0x78 (no header, default), 0x7A (short
+  *     header) or 0x72 (long header). Frames sent to meter use 0x5A (short
+  *     header) or 0x5B (long header).
+  *   - accessNumber
+  *   - status
+  *     Transport layer access number and status.
+  *   - ell
+  *     Object with cc and optional sessionNumber keys to add extended link
+  *     layer (CI 0x8C, or 0x8D with session number) before transport layer.
+  *     Payload CRC is added when session number is present.
+  *   - encryption
+  *     'none' (default), 'ctr' for AES-CTR encrypted extended link layer or
+  *     'mode5' for security mode 5 (AES-CBC) of transport layer.
+  *   - key
+  *     AES key as hex string or buffer.
+  *   - frameFormat
+  *     'none' (default) for frames without CRCs, 'A' or 'B'.
+  *   - timestamp
+  *   - tag
+  *     Data packet timestamp and tag.
+  */
+  constructor(options = {}) {
+    this._manufacturer = options.hasOwnProperty('manufacturer') ?
+      options.manufacturer : 0;
+    this._id = options.hasOwnProperty('id') ? options.id : '00000000';
+    this._version = options.hasOwnProperty('version') ? options.version : 0;
+    this._deviceType = options.hasOwnProperty('deviceType') ?
+      options.deviceType : 0;
+    this._c = options.hasOwnProperty('c') ? options.c : 0x44;
+    this._ci = options.hasOwnProperty('ci') ? options.ci : 0x78;
+    this._accessNumber = options.hasOwnProperty('accessNumber') ?
+      options.accessNumber : 0;
+    this._status = options.hasOwnProperty('status') ? options.status : 0;
+    this._ell = options.hasOwnProperty('ell') ? options.ell : null;
+    this._encryption = options.hasOwnProperty('encryption') ?
+      options.encryption : 'none';
+    this._key = options.hasOwnProperty('key') ? options.key : null;
+    this._frameFormat = options.hasOwnProperty('frameFormat') ?
+      options.frameFormat : 'none';
+    this._timestamp = options.hasOwnProperty('timestamp') ?
+      options.timestamp : new Date().getTime();
+    this._tag = options.hasOwnProperty('tag') ? options.tag : null;
+
+    this._records = [];
+  }
+
+  /**
+  * Add data record.
+  *
+  * @param record with following keys:
+  *   - dif
+  *   - dife
+  *     Array of DIFE bytes
+  *   - vif
+  *     Omitted with manufacturer specific data (DIF 0x0F and 0x1F)
+  *   - vife
+  *     Array of VIFE bytes
+  *   - value
+  *     Numeric value encoded with DIF data field, see DataTypes.encode()
+  *   - data
+  *     Raw record data as hex string or buffer, used instead of value
+  * @return builder
+  */
+  addRecord(record) {
+    this._records.push(record);
+    return this;
+  }
+
+  /**
+  * Build data packet.
+  *
+  * @return packet or null if frame can't be built
+  */
+  build() {
+    let frame = this.buildFrame();
+
+    if (!frame)
+      return null;
+
+    // Format B L-field includes CRCs
+    if (this._frameFormat == 'B' &&
+        TelegramBuilder.getFormatBLength(frame.length) > 256)
+      return null;
+
+    return new DataPacket(TelegramBuilder.addCRCs(frame, this._frameFormat), {
+      timestamp: this._timestamp,
+      tag: this._tag
+    });
+  }
+
+  /**
+  * Build CRC free frame.
+  *
+  * @return buffer or null if records can't be encoded, encryption key is
+  *   missing or frame is too long
+  */
+  buildFrame() {
+    let records = this.buildRecords();
+    if (!records)
+      return null;
+
+    let data = this.buildTransportLayer(records);
+    if (data && this._ell)
+      data = this.buildExtendedLinkLayer(data);
+
+    if (!data || data.length + 10 > 256)
+      return null;
+
+    let header = Buffer.alloc(2);
+    header[0] = data.length + 9;
+    header[1] = this._c;
+
+    return Buffer.concat([header, this.getAddress(), data]);
+  }
+
+  /**
+  * Returns address in link layer order: M, ID, version and device type.
+  *
+  * @return buffer
+  */
+  getAddress() {
+    let address = Buffer.alloc(8);
+
+    address.writeUInt16LE(
+      TelegramBuilder.encodeManufacturer(this._manufacturer), 0);
+    Buffer.from(this._id, 'hex').reverse().copy(address, 2);
+    address[6] = this._version;
+    address[7] = this._deviceType;
+    return address;
+  }
+
+  /**
+  * Encode data records.
+  *
+  * @return buffer or null if record value can't be encoded
+  */
+  buildRecords() {
+    let buffers = [];
+
+    for (let i = 0; i < this._records.length; i++) {
+      let record = TelegramBuilder.encodeRecord(this._records[i]);
+      if (!record)
+        return null;
+
+      buffers.push(record);
+    }
+    return Buffer.concat(buffers);
+  }
+
+  /**
+  * Build transport layer: CI field, header and payload. Payload is encrypted
+  * with security mode 5, if requested.
+  *
+  * @param records
+  * @return buffer or null if encryption key is missing
+  */
+  buildTransportLayer(records) {
+    let ci = Buffer.from([this._ci]);
+
+    if (TelegramBuilder.HEADERS.indexOf(this._ci) < 0)
+      return Buffer.concat([ci, records]);
+
+    let header = Buffer.alloc(4);
+    let payload = records;
+    let cw = 0;
+
+    header[0] = this._accessNumber;
+    header[1] = this._status;
+
+    if (this._encryption == 'mode5') {
+      let key = this.getKey();
+      if (!key)
+        return null;
+
+      // Encrypted blocks start with 2F2F and are padded with 2F fill bytes
+      let length = Math.ceil((records.length + 2) / 16) * 16;
+      let plain = Buffer.alloc(length, 0x2F);
+      records.copy(plain, 2);
+
+      payload = AES.encryptCBC(plain, key, this.getMode5IV());
+      cw = (5 << 8) | ((length / 16) << 4);
+    }
+    header.writeUInt16LE(cw, 2);
+
+    if (this._ci == 0x7A || this._ci == 0x5A)
+      return Buffer.concat([ci, header, payload]);
+
+    // Long header repeats meter address as ID, M, version and device type
+    let address = this.getAddress();
+    let secondary = Buffer.concat([
+      address.slice(2, 6), address.slice(0, 2), address.slice(6, 8)]);
+
+    return Buffer.concat([ci, secondary, header, payload]);
+  }
+
+  /**
+  * Build extended link layer. With session number, payload CRC is added and
+  * payload is encrypted with AES-CTR, if requested.
+  *
+  * @param data
+  *   Transport layer
+  * @return buffer or null if encryption key is missing
+  */
+  buildExtendedLinkLayer(data) {
+    let cc = this._ell.hasOwnProperty('cc') ? this._ell.cc : 0;
+    let hasSession = this._ell.hasOwnProperty('sessionNumber');
+
+    if (!hasSession && this._encryption == 'ctr')
+      return null;
+
+    let header = Buffer.from([hasSession ? 0x8D : 0x8C, cc,
+      this._accessNumber]);
+
+    if (!hasSession)
+      return Buffer.concat([header, data]);
+
+    // Encryption mode is stored to bits 29 - 31 of session number
+    let sessionNumber = this._ell.sessionNumber & 0x1FFFFFFF;
+    if (this._encryption == 'ctr')
+      sessionNumber |= 1 << 29;
+
+    let sn = Buffer.alloc(4);
+    sn.writeUInt32LE(sessionNumber >>> 0, 0);
+
+    let plcrc = Buffer.alloc(2);
+    plcrc.writeUInt16LE(CRC.crc16EN13757(data), 0);
+
+    let payload = Buffer.concat([plcrc, data]);
+
+    if (this._encryption == 'ctr') {
+      let key = this.getKey();
+      if (!key)
+        return null;
+
+      // Initialization vector: M, A, CC, SN, FN and BC
+      let iv = Buffer.concat([this.getAddress(), Buffer.from([cc]), sn,
+        Buffer.alloc(3)]);
+      payload = AES.encryptCTR(payload, key, iv);
+    }
+    return Buffer.concat([header, sn, payload]);
+  }
+
+  /**
+  * Returns security mode 5 initialization vector: address and access number
+  * repeated 8 times.
+  *
+  * @return iv buffer
+  */
+  getMode5IV() {
+    return Buffer.concat([this.getAddress(),
+      Buffer.alloc(8, this._accessNumber)]);
+  }
+
+  /**
+  * Returns AES key as buffer.
+  *
+  * @return key or null
+  */
+  getKey() {
+    if (!this._key)
+      return null;
+
+    return Buffer.isBuffer(this._key) ?
+      this._key : Buffer.from(this._key, 'hex');
+  }
+
+  /**
+  * Encode data record.
+  *
+  * @param record
+  *   See addRecord()
+  * @return buffer or null if value can't be encoded
+  */
+  static encodeRecord(record) {
+    let dif = record.hasOwnProperty('dif') ? record.dif : 0;
+    let header = [dif].concat(record.dife || []);
+    let data;
+
+    if (record.hasOwnProperty('vif') && record.vif !== null)
+      header = header.concat([record.vif], record.vife || []);
+
+    if (record.hasOwnProperty('data'))
+      data = Buffer.isBuffer(record.data) ?
+        record.data : Buffer.from(record.data, 'hex');
+    else
+      data = DataTypes.encode(dif, record.value);
+
+    return data ? Buffer.concat([Buffer.from(header), data]) : null;
+  }
+
+  /**
+  * Encode three letter manufacturer code to M-field value.
+  *
+  * @param manufacturer
+  *   Code like 'KAM' or M-field as number
+  * @return M-field value
+  */
+  static encodeManufacturer(manufacturer) {
+    if (typeof manufacturer === 'number')
+      return manufacturer;
+
+    let id = Meter.buildManufacturerId(manufacturer);
+    return id ? id.readUInt16BE(0) : 0;
+  }
+
+  /**
+  * Add link layer CRCs to CRC free frame.
+  *
+  * @param frame
+  * @param format
+  *   'A', 'B' or 'none'
+  * @return buffer
+  */
+  static addCRCs(frame, format) {
+    let parts = [];
+    let addBlock = (start, end, crcStart) => {
+      let crc = Buffer.alloc(2);
+      crc.writeUInt16BE(CRC.crc16EN13757(frame.slice(crcStart, end)), 0);
+      parts.push(frame.slice(start, end), crc);
+    };
+
+    switch (format) {
+      case 'A':
+        addBlock(0, 10, 0);
+
+        for (let index = 10; index < frame.length; index += 16)
+          addBlock(index, Math.min(index + 16, frame.length), index);
+
+        return Buffer.concat(parts);
+
+      case 'B':
+        // L-field includes CRCs, second block ends at frame byte 125
+        frame = Buffer.from(frame);
+        frame[0] = TelegramBuilder.getFormatBLength(frame.length) - 1;
+
+        addBlock(0, Math.min(frame.length, 126), 0);
+
+        if (frame.length > 126)
+          addBlock(126, frame.length, 126);
+
+        return Buffer.concat(parts);
+    }
+    return frame;
+  }
+
+  /**
+  * Returns raw length of format B frame.
+  *
+  * @param length
+  *   Length of CRC free frame
+  * @return length in bytes, including L-field and CRCs
+  */
+  static getFormatBLength(length) {
+    return length + (length > 126 ? 4 : 2);
+  }
+}
+
+/**
+* CI fields of transport layers with header: short and long header of meter
+* and of frames sent to meter.
+*/
+TelegramBuilder.HEADERS = [0x5A, 0x5B, 0x72, 0x7A];
+
+export default TelegramBuilder;
@@ -1,3 +1,6 @@
+import DataPacket from './../buffer/data-packet'
+import MeterId from './../meter/meter-id'
+
 /**
 * Telegram object.
 */
@@ -15,6 +18,19 @@ class Telegram {
 
     // Telegram data values, check out Maters.
     this._values = new Map();
+
+    // Decoded application layer data records
+    this._records = [];
+
+    // Decoded link layer frame
+    this._frame = null;
+
+    // Decoded ELL, AFL and TPL headers
+    this._headers = null;
+
+    // Decrypted application payload and decryption status
+    this._payload = null;
+    this._decryption = null;
   }
 
   /**
@@ -61,6 +77,161 @@ class Telegram {
     return this._values.has(key) ? this._values.get(key) : null;
   }
 
+  /**
+  * Set decoded link layer frame.
+  *
+  * @param frame
+  *   Frame object, see LinkLayer.decode()
+  */
+  setFrame(frame) {
+    this._frame = frame;
+  }
+
+  /**
+  * Get decoded link layer frame.
+  *
+  * @return frame or null if telegram is not processed
+  */
+  getFrame() {
+    return this._frame;
+  }
+
+  /**
+  * Set decoded headers.
+  *
+  * @param headers
+  *   Headers object, see HeaderParser.parse()
+  */
+  setHeaders(headers) {
+    this._headers = headers;
+  }
+
+  /**
+  * Get decoded headers.
+  *
+  * @return headers or null if telegram is not processed
+  */
+  getHeaders() {
+    return this._headers;
+  }
+
+  /**
+  * Set single decoded header.
+  *
+  * @param name
+  *   Header name: 'ell', 'afl' or 'tpl'
+  * @param header
+  */
+  setHeader(name, header) {
+    if (!this._headers)
+      this._headers = {};
+
+    this._headers[name] = header;
+  }
+
+  /**
+  * Get single decoded header.
+  *
+  * @param name
+  *   Header name: 'ell', 'afl' or 'tpl'
+  * @return header or null
+  */
+  getHeader(name = 'tpl') {
+    return this._headers && this._headers[name] ? this._headers[name] : null;
+  }
+
+  /**
+  * Set decrypted application payload.
+  *
+  * @param payload
+  *   Buffer starting from first data record
+  */
+  setPayload(payload) {
+    this._payload = payload;
+  }
+
+  /**
+  * Get decrypted application payload.
+  *
+  * @return payload or null if telegram is not decrypted
+  */
+  getPayload() {
+    return this._payload;
+  }
+
+  /**
+  * Set decryption status.
+  *
+  * @param decryption
+  *   Object with mode, success and reason keys
+  */
+  setDecryption(decryption) {
+    this._decryption = decryption;
+  }
+
+  /**
+  * Get decryption status.
+  *
+  * @return decryption or null if telegram payload is not encrypted
+  */
+  getDecryption() {
+    return this._decryption;
+  }
+
+  /**
+  * Set decoded data records.
+  *
+  * @param records
+  *   Array of DataRecord objects
+  */
+  setRecords(records = []) {
+    this._records = records;
+  }
+
+  /**
+  * Get decoded data records in payload order.
+  *
+  * @return records
+  */
+  getRecords() {
+    return this._records;
+  }
+
+  /**
+  * Find first data record matching given criteria.
+  *
+  * @param criteria
+  *   See DataRecord.matches()
+  * @return record or null
+  */
+  findRecord(criteria = {}) {
+    let record = this._records.find(record => record.matches(criteria));
+    return record ? record : null;
+  }
+
+  /**
+  * Get decoded value of first data record matching given criteria.
+  *
+  * @param criteria
+  *   See DataRecord.matches()
+  * @return value, see DataRecord.getValue(), or null
+  */
+  getRecordValue(criteria = {}) {
+    let record = this.findRecord(criteria);
+    return record ? record.getValue() : null;
+  }
+
+  /**
+  * Get normalized physical quantities of decoded data records.
+  *
+  * @return array of quantities, see DataRecord.getQuantity()
+  */
+  getQuantities() {
+    return this._records
+      .map(record => record.getQuantity())
+      .filter(quantity => quantity !== null);
+  }
+
   /**
   * Return telegram raw packet.
   *
@@ -71,6 +242,105 @@ class Telegram {
     return this._packet;
   }
 
+  /**
+  * Returns JSON serializable presentation of telegram. Presentation doesn't
+  * depend on meter specific value keys, so it can be used for exporting and
+  * replaying telegrams, see fromJSON().
+  *
+  * @return object with following keys:
+  *   - meter
+  *     Meter identity: address (M and A fields as hex), manufacturer (three
+  *     letter code, or hex if M-field is invalid), id, version and
+  *     deviceType. Null if telegram is not processed.
+  *   - timestamp, tag
+  *     Data packet timestamp and tag
+  *   - rssi, deviceTimestamp, linkMode
+  *     Receive metadata of data packet, null if not available
+  *   - header
+  *     C and CI fields, access number and status. Fields are null if not
+  *     available.
+  *   - decryption
+  *     Decryption status, see getDecryption()
+  *   - records
+  *     Decoded data records, see DataRecord.toJSON()
+  *   - raw
+  *     Raw frame as hex
+  *   - fragments
+  *     Raw frames of fragments as hex, if frame is reassembled
+  */
+  toJSON() {
+    let packet = this._packet instanceof DataPacket ? this._packet : null;
+    let address = this.getValue('BLOCK1_A');
+    let c = this.getValue('BLOCK1_C');
+    let ci = this.getValue('BLOCK2_CI');
+    let tpl = this.getHeader('tpl');
+    let ell = this.getHeader('ell');
+    let accessNumber = tpl && tpl.accessNumber !== null ?
+      tpl.accessNumber : (ell ? ell.accessNumber : null);
+
+    return {
+      meter: address && address.length == 8 ? {
+        address: address.toString('hex'),
+        manufacturer: MeterId.decodeManufacturer(address.readUInt16LE(0)) ||
+          address.slice(0, 2).toString('hex'),
+        id: Buffer.from(address.slice(2, 6)).reverse().toString('hex'),
+        version: address[6],
+        deviceType: address[7]
+      } : null,
+      timestamp: packet ? packet.getTimestamp() : null,
+      tag: packet ? packet.getTag() : null,
+      rssi: packet ? packet.getRssi() : null,
+      deviceTimestamp: packet ? packet.getDeviceTimestamp() : null,
+      linkMode: packet ? packet.getLinkMode() : null,
+      header: {
+        c: c ? c[0] : null,
+        ci: ci ? ci[0] : null,
+        accessNumber: accessNumber,
+        status: tpl ? tpl.status : null
+      },
+      decryption: this._decryption,
+      records: this._records.map(record => record.toJSON()),
+      raw: packet ? packet.getBuffer().toString('hex') : null,
+      fragments: packet ? packet.getFragments()
+        .map(fragment => fragment.getBuffer().toString('hex')) : []
+    };
+  }
+
+  /**
+  * Rebuild unprocessed telegram from JSON presentation, see toJSON(). Raw
+  * frame, timestamp, tag, receive metadata and fragments are restored, and
+  * telegram can be processed again with meter.
+  *
+  * @param json
+  *   Object or JSON string
+  * @return telegram or null if JSON doesn't contain raw frame
+  */
+  static fromJSON(json) {
+    let data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!data || typeof data.raw !== 'string')
+      return null;
+
+    let options = {};
+
+    // Timestamps of packets read from log are strings
+    if (data.timestamp !== undefined && data.timestamp !== null)
+      options.timestamp = data.timestamp;
+
+    if (data.tag !== undefined && data.tag !== null)
+      options.tag = data.tag;
+
+    ['rssi', 'deviceTimestamp', 'linkMode'].forEach(key => {
+      if (data[key] !== undefined && data[key] !== null)
+        options[key] = data[key];
+    });
+
+    if (Array.isArray(data.fragments) && data.fragments.length)
+      options.fragments = data.fragments.map(fragment =>
+        new DataPacket(Buffer.from(fragment, 'hex'), options));
+
+    return new this(new DataPacket(Buffer.from(data.raw, 'hex'), options));
+  }
 }
 
 export default Telegram;
\ No newline at end of file
@@ -0,0 +1,335 @@
+/**
+* Value information (VIF/VIFE) tables of EN 13757-3.
+*
+* Each table row is [first code, last code, quantity, unit, exponent], where
+* exponent is the decimal exponent of the first code. Exponent grows by one for
+* each following code in range. Null exponent means that the value is not
+* scaled. Units are normalized, so for example MWh values are reported as Wh
+* with larger exponent.
+*/
+const PRIMARY_TABLE = [
+  [0x00, 0x07, 'Energy', 'Wh', -3],
+  [0x08, 0x0F, 'Energy', 'J', 0],
+  [0x10, 0x17, 'Volume', 'm³', -6],
+  [0x18, 0x1F, 'Mass', 'kg', -3],
+  [0x20, 0x20, 'On time', 's', null],
+  [0x21, 0x21, 'On time', 'min', null],
+  [0x22, 0x22, 'On time', 'h', null],
+  [0x23, 0x23, 'On time', 'd', null],
+  [0x24, 0x24, 'Operating time', 's', null],
+  [0x25, 0x25, 'Operating time', 'min', null],
+  [0x26, 0x26, 'Operating time', 'h', null],
+  [0x27, 0x27, 'Operating time', 'd', null],
+  [0x28, 0x2F, 'Power', 'W', -3],
+  [0x30, 0x37, 'Power', 'J/h', 0],
+  [0x38, 0x3F, 'Volume flow', 'm³/h', -6],
+  [0x40, 0x47, 'Volume flow', 'm³/min', -7],
+  [0x48, 0x4F, 'Volume flow', 'm³/s', -9],
+  [0x50, 0x57, 'Mass flow', 'kg/h', -3],
+  [0x58, 0x5B, 'Flow temperature', '°C', -3],
+  [0x5C, 0x5F, 'Return temperature', '°C', -3],
+  [0x60, 0x63, 'Temperature difference', 'K', -3],
+  [0x64, 0x67, 'External temperature', '°C', -3],
+  [0x68, 0x6B, 'Pressure', 'bar', -3],
+  [0x6C, 0x6C, 'Date', '', null],
+  [0x6D, 0x6D, 'Date and time', '', null],
+  [0x6E, 0x6E, 'Units for H.C.A.', '', 0],
+  [0x70, 0x70, 'Averaging duration', 's', null],
+  [0x71, 0x71, 'Averaging duration', 'min', null],
+  [0x72, 0x72, 'Averaging duration', 'h', null],
+  [0x73, 0x73, 'Averaging duration', 'd', null],
+  [0x74, 0x74, 'Actuality duration', 's', null],
+  [0x75, 0x75, 'Actuality duration', 'min', null],
+  [0x76, 0x76, 'Actuality duration', 'h', null],
+  [0x77, 0x77, 'Actuality duration', 'd', null],
+  [0x78, 0x78, 'Fabrication number', '', null],
+  [0x79, 0x79, 'Enhanced identification', '', null],
+  [0x7A, 0x7A, 'Bus address', '', null],
+  [0x7C, 0x7C, 'Plain text', '', null],
+  [0x7E, 0x7E, 'Any', '', null],
+  [0x7F, 0x7F, 'Manufacturer specific', '', null]
+];
+
+/**
+* First extension table, VIF 0xFB.
+*/
+const EXTENSION_TABLE_FB = [
+  [0x00, 0x01, 'Energy', 'Wh', 5],
+  [0x02, 0x03, 'Reactive energy', 'VARh', 3],
+  [0x04, 0x05, 'Apparent energy', 'VAh', 3],
+  [0x08, 0x09, 'Energy', 'J', 8],
+  [0x0C, 0x0F, 'Energy', 'cal', 5],
+  [0x10, 0x11, 'Volume', 'm³', 2],
+  [0x14, 0x17, 'Reactive power', 'VAR', 0],
+  [0x18, 0x19, 'Mass', 'kg', 5],
+  [0x1A, 0x1B, 'Relative humidity', '%', -1],
+  [0x20, 0x20, 'Volume', 'ft³', null],
+  [0x21, 0x21, 'Volume', 'ft³', -1],
+  [0x28, 0x29, 'Power', 'W', 5],
+  [0x2A, 0x2A, 'Phase U-U', '°', -1],
+  [0x2B, 0x2B, 'Phase U-I', '°', -1],
+  [0x2C, 0x2F, 'Frequency', 'Hz', -3],
+  [0x30, 0x31, 'Power', 'J/h', 8],
+  [0x34, 0x37, 'Apparent power', 'VA', 0],
+  [0x58, 0x5B, 'Flow temperature', '°F', -3],
+  [0x5C, 0x5F, 'Return temperature', '°F', -3],
+  [0x60, 0x63, 'Temperature difference', '°F', -3],
+  [0x64, 0x67, 'External temperature', '°F', -3],
+  [0x70, 0x73, 'Cold / warm temperature limit', '°F', -3],
+  [0x74, 0x77, 'Cold / warm temperature limit', '°C', -3],
+  [0x78, 0x7F, 'Cumulative count max power', 'W', -3]
+];
+
+/**
+* Second extension table, VIF 0xFD.
+*/
+const EXTENSION_TABLE_FD = [
+  [0x00, 0x03, 'Credit', 'currency', -3],
+  [0x04, 0x07, 'Debit', 'currency', -3],
+  [0x08, 0x08, 'Access number', '', null],
+  [0x09, 0x09, 'Medium', '', null],
+  [0x0A, 0x0A, 'Manufacturer', '', null],
+  [0x0B, 0x0B, 'Parameter set identification', '', null],
+  [0x0C, 0x0C, 'Model / version', '', null],
+  [0x0D, 0x0D, 'Hardware version', '', null],
+  [0x0E, 0x0E, 'Firmware version', '', null],
+  [0x0F, 0x0F, 'Software version', '', null],
+  [0x10, 0x10, 'Customer location', '', null],
+  [0x11, 0x11, 'Customer', '', null],
+  [0x12, 0x12, 'Access code user', '', null],
+  [0x13, 0x13, 'Access code operator', '', null],
+  [0x14, 0x14, 'Access code system operator', '', null],
+  [0x15, 0x15, 'Access code developer', '', null],
+  [0x16, 0x16, 'Password', '', null],
+  [0x17, 0x17, 'Error flags', '', null],
+  [0x18, 0x18, 'Error mask', '', null],
+  [0x1A, 0x1A, 'Digital output', '', null],
+  [0x1B, 0x1B, 'Digital input', '', null],
+  [0x1C, 0x1C, 'Baud rate', 'Bd', null],
+  [0x1D, 0x1D, 'Response delay time', 'bittimes', null],
+  [0x1E, 0x1E, 'Retry', '', null],
+  [0x1F, 0x1F, 'Remote control', '', null],
+  [0x20, 0x20, 'First storage number for cyclic storage', '', null],
+  [0x21, 0x21, 'Last storage number for cyclic storage', '', null],
+  [0x22, 0x22, 'Size of storage block', '', null],
+  [0x24, 0x24, 'Storage interval', 's', null],
+  [0x25, 0x25, 'Storage interval', 'min', null],
+  [0x26, 0x26, 'Storage interval', 'h', null],
+  [0x27, 0x27, 'Storage interval', 'd', null],
+  [0x28, 0x28, 'Storage interval', 'months', null],
+  [0x29, 0x29, 'Storage interval', 'years', null],
+  [0x2A, 0x2A, 'Operator specific data', '', null],
+  [0x2B, 0x2B, 'Time point', 's', null],
+  [0x2C, 0x2C, 'Duration since last readout', 's', null],
+  [0x2D, 0x2D, 'Duration since last readout', 'min', null],
+  [0x2E, 0x2E, 'Duration since last readout', 'h', null],
+  [0x2F, 0x2F, 'Duration since last readout', 'd', null],
+  [0x30, 0x30, 'Start of tariff', '', null],
+  [0x31, 0x31, 'Duration of tariff', 'min', null],
+  [0x32, 0x32, 'Duration of tariff', 'h', null],
+  [0x33, 0x33, 'Duration of tariff', 'd', null],
+  [0x34, 0x34, 'Period of tariff', 's', null],
+  [0x35, 0x35, 'Period of tariff', 'min', null],
+  [0x36, 0x36, 'Period of tariff', 'h', null],
+  [0x37, 0x37, 'Period of tariff', 'd', null],
+  [0x38, 0x38, 'Period of tariff', 'months', null],
+  [0x39, 0x39, 'Period of tariff', 'years', null],
+  [0x3A, 0x3A, 'Dimensionless', '', null],
+  [0x3B, 0x3B, 'Data container for wireless M-Bus protocol', '', null],
+  [0x3C, 0x3C, 'Period of nominal data transmissions', 's', null],
+  [0x3D, 0x3D, 'Period of nominal data transmissions', 'min', null],
+  [0x3E, 0x3E, 'Period of nominal data transmissions', 'h', null],
+  [0x3F, 0x3F, 'Period of nominal data transmissions', 'd', null],
+  [0x40, 0x4F, 'Voltage', 'V', -9],
+  [0x50, 0x5F, 'Current', 'A', -12],
+  [0x60, 0x60, 'Reset counter', '', null],
+  [0x61, 0x61, 'Cumulation counter', '', null],
+  [0x62, 0x62, 'Control signal', '', null],
+  [0x63, 0x63, 'Day of week', '', null],
+  [0x64, 0x64, 'Week number', '', null],
+  [0x65, 0x65, 'Time point of day change', '', null],
+  [0x66, 0x66, 'State of parameter activation', '', null],
+  [0x67, 0x67, 'Special supplier information', '', null],
+  [0x68, 0x68, 'Duration since last cumulation', 'h', null],
+  [0x69, 0x69, 'Duration since last cumulation', 'd', null],
+  [0x6A, 0x6A, 'Duration since last cumulation', 'months', null],
+  [0x6B, 0x6B, 'Duration since last cumulation', 'years', null],
+  [0x6C, 0x6C, 'Operating time battery', 'h', null],
+  [0x6D, 0x6D, 'Operating time battery', 'd', null],
+  [0x6E, 0x6E, 'Operating time battery', 'months', null],
+  [0x6F, 0x6F, 'Operating time battery', 'years', null],
+  [0x70, 0x70, 'Date and time of battery change', '', null],
+  [0x71, 0x71, 'RSSI', 'dBm', null],
+  [0x72, 0x72, 'Daylight saving', '', null],
+  [0x73, 0x73, 'Listening window management', '', null],
+  [0x74, 0x74, 'Remaining battery life time', 'd', null],
+  [0x75, 0x75, 'Number of times the meter was stopped', '', null],
+  [0x76, 0x76, 'Data container for manufacturer specific protocol', '', null]
+];
+
+/**
+* Combinable (orthogonal) VIFE codes.
+*/
+const COMBINABLE_TABLE = [
+  [0x00, 0x1F, 'Record error'],
+  [0x20, 0x20, 'per second'],
+  [0x21, 0x21, 'per minute'],
+  [0x22, 0x22, 'per hour'],
+  [0x23, 0x23, 'per day'],
+  [0x24, 0x24, 'per week'],
+  [0x25, 0x25, 'per month'],
+  [0x26, 0x26, 'per year'],
+  [0x27, 0x27, 'per revolution / measurement'],
+  [0x28, 0x29, 'increment per input pulse'],
+  [0x2A, 0x2B, 'increment per output pulse'],
+  [0x2C, 0x2C, 'per litre'],
+  [0x2D, 0x2D, 'per m³'],
+  [0x2E, 0x2E, 'per kg'],
+  [0x2F, 0x2F, 'per K'],
+  [0x30, 0x30, 'per kWh'],
+  [0x31, 0x31, 'per GJ'],
+  [0x32, 0x32, 'per kW'],
+  [0x33, 0x33, 'per K*l'],
+  [0x34, 0x34, 'per V'],
+  [0x35, 0x35, 'per A'],
+  [0x36, 0x36, 'multiplied by s'],
+  [0x37, 0x37, 'multiplied by s/V'],
+  [0x38, 0x38, 'multiplied by s/A'],
+  [0x39, 0x39, 'start date(/time) of'],
+  [0x3A, 0x3A, 'uncorrected unit'],
+  [0x3B, 0x3B, 'accumulation only if positive contributions'],
+  [0x3C, 0x3C, 'accumulation of abs value only if negative contributions'],
+  [0x40, 0x40, 'lower limit value'],
+  [0x41, 0x41, 'number of exceeds of lower limit'],
+  [0x42, 0x43, 'date of begin of first / last lower limit exceed'],
+  [0x44, 0x47, 'date of end of first / last lower limit exceed'],
+  [0x48, 0x48, 'upper limit value'],
+  [0x49, 0x49, 'number of exceeds of upper limit'],
+  [0x4A, 0x4B, 'date of begin of first / last upper limit exceed'],
+  [0x4C, 0x4F, 'date of end of first / last upper limit exceed'],
+  [0x50, 0x5F, 'duration of limit exceed'],
+  [0x60, 0x6F, 'duration of'],
+  [0x70, 0x77, 'multiplicative correction factor'],
+  [0x78, 0x7B, 'additive correction constant'],
+  [0x7D, 0x7D, 'multiplicative correction factor 1000'],
+  [0x7E, 0x7E, 'future value'],
+  [0x7F, 0x7F, 'manufacturer specific']
+];
+
+/**
+* Value information lookup.
+*/
+class ValueInformation {
+
+  /**
+  * Lookup value information for VIF and VIFE chain.
+  *
+  * @param vif
+  * @param vife
+  *   Array of VIFE bytes
+  * @return value information with following keys or null if VIF is unknown:
+  *   - quantity
+  *   - unit
+  *   - exponent
+  *     Decimal exponent or null if value is not scaled.
+  *   - modifiers
+  *     Labels of combinable VIFE codes.
+  */
+  static lookup(vif, vife = []) {
+    if (vif === null || vif === undefined)
+      return null;
+
+    let extensions = vife.slice(0);
+    let row = null;
+
+    if (vif == ValueInformation.VIF_EXTENSION_FB) {
+      row = ValueInformation.findRow(EXTENSION_TABLE_FB, extensions.shift());
+    } else if (vif == ValueInformation.VIF_EXTENSION_FD) {
+      row = ValueInformation.findRow(EXTENSION_TABLE_FD, extensions.shift());
+    } else {
+      row = ValueInformation.findRow(PRIMARY_TABLE, vif);
+    }
+
+    if (!row)
+      return null;
+
+    let info = {
+      quantity: row.quantity,
+      unit: row.unit,
+      exponent: row.exponent,
+      modifiers: []
+    };
+
+    // Combinable VIFE codes, manufacturer specific VIFE ends the chain
+    for (let i = 0; i < extensions.length; i++) {
+      let code = extensions[i] & 0x7F;
+      let combinable = ValueInformation.findRow(COMBINABLE_TABLE, code);
+
+      if (!combinable)
+        continue;
+
+      info.modifiers.push(combinable.quantity);
+
+      if (code >= 0x70 && code <= 0x77 && info.exponent !== null)
+        info.exponent += (code & 0x07) - 6;
+
+      if (code == 0x7D && info.exponent !== null)
+        info.exponent += 3;
+
+      if (code == 0x7F)
+        break;
+    }
+    return info;
+  }
+
+  /**
+  * Find table row for given code.
+  *
+  * @param table
+  * @param code
+  * @return row or null
+  */
+  static findRow(table, code) {
+    if (code === undefined)
+      return null;
+
+    code = code & 0x7F;
+
+    for (let i = 0; i < table.length; i++) {
+      let row = table[i];
+
+      if (code < row[0] || code > row[1])
+        continue;
+
+      return {
+        quantity: row[2],
+        unit: row[3],
+        exponent: row[4] === null || row[4] === undefined ?
+          null : row[4] + code - row[0]
+      };
+    }
+    return null;
+  }
+
+  /**
+  * Scale value with decimal exponent.
+  *
+  * @param value
+  * @param exponent
+  * @return scaled value
+  */
+  static scale(value, exponent) {
+    if (typeof value !== 'number' || !exponent)
+      return value;
+
+    // Division gives better rounding for negative exponents
+    return exponent < 0 ?
+      value / Math.pow(10, -exponent) :
+      value * Math.pow(10, exponent);
+  }
+}
+
+ValueInformation.VIF_EXTENSION_FB = 0xFB;
+ValueInformation.VIF_EXTENSION_FD = 0xFD;
+
+export default ValueInformation;
@@ -19,6 +19,9 @@ export { _Reader as Reader };
 import _MBUSReader from './includes/reader/mbus-reader';
 export { _MBUSReader as MBUSReader };
 
+import _MBusScanner from './includes/reader/mbus-scanner';
+export { _MBusScanner as MBusScanner };
+
 import _WirelessMBUSReader from './includes/reader/wmbus-reader';
 export { _WirelessMBUSReader as WirelessMBUSReader };
 
@@ -31,6 +34,72 @@ export { _Telegram as Telegram };
 import _DataBuffer from './includes/buffer/data-buffer';
 export { _DataBuffer as DataBuffer };
 
+import _FragmentBuffer from './includes/buffer/fragment-buffer';
+export { _FragmentBuffer as FragmentBuffer };
+
+import _DuplicateFilter from './includes/buffer/duplicate-filter';
+export { _DuplicateFilter as DuplicateFilter };
+
+import _DataRecord from './includes/telegram/data-record';
+export { _DataRecord as DataRecord };
+
+import _DataRecordParser from './includes/telegram/data-record-parser';
+export { _DataRecordParser as DataRecordParser };
+
+import _ValueInformation from './includes/telegram/value-information';
+export { _ValueInformation as ValueInformation };
+
+import _DataTypes from './includes/telegram/data-types';
+export { _DataTypes as DataTypes };
+
+import _LinkLayer from './includes/telegram/link-layer';
+export { _LinkLayer as LinkLayer };
+
+import _MBusLinkLayer from './includes/telegram/mbus-link-layer';
+export { _MBusLinkLayer as MBusLinkLayer };
+
+import _HeaderParser from './includes/telegram/header-parser';
+export { _HeaderParser as HeaderParser };
+
+import _FormatCache from './includes/telegram/format-cache';
+export { _FormatCache as FormatCache };
+
+import _TelegramBuilder from './includes/telegram/telegram-builder';
+export { _TelegramBuilder as TelegramBuilder };
+
+import _ManufacturerRegistry from './includes/meter/manufacturer-registry';
+export { _ManufacturerRegistry as ManufacturerRegistry };
+
+import _DeviceTypeRegistry from './includes/meter/device-type-registry';
+export { _DeviceTypeRegistry as DeviceTypeRegistry };
+
+import _MeterId from './includes/meter/meter-id';
+export { _MeterId as MeterId };
+
+import _CMAC from './includes/crypto/cmac';
+export { _CMAC as CMAC };
+
+import _AES from './includes/crypto/aes';
+export { _AES as AES };
+
+import _KDF from './includes/crypto/kdf';
+export { _KDF as KDF };
+
+import _KeyProvider from './includes/crypto/key-provider';
+export { _KeyProvider as KeyProvider };
+
+import _JSONKeyProvider from './includes/crypto/json-key-provider';
+export { _JSONKeyProvider as JSONKeyProvider };
+
+import _EnvironmentKeyProvider from './includes/crypto/environment-key-provider';
+export { _EnvironmentKeyProvider as EnvironmentKeyProvider };
+
+import _EncryptedFileKeyProvider from './includes/crypto/encrypted-file-key-provider';
+export { _EncryptedFileKeyProvider as EncryptedFileKeyProvider };
+
+import _CallbackKeyProvider from './includes/crypto/callback-key-provider';
+export { _CallbackKeyProvider as CallbackKeyProvider };
+
 /**
 * Products
 */
@@ -29,168 +29,15 @@ class Hummie1Meter extends WirelessMBusMeter {
   }
 
   /**
-  * Method returns meter information.
-  *
-  * @param telegram
-  * @return meter information
-  */
-  describeMeter(telegram) {
-    return this.describeMeterData(this.getMeterData(telegram));
-  }
-
-  /**
-  * Metod returns label for meter data
-  *
-  * @param meterData
-  * @return label
-  */
-  describeMeterData(meterData = false) {
-    if (!meterData)
-      return 'unknown';
-    const types = {
-        '1b': 'Temperature'
-    }
-
-    let meterType = types.hasOwnProperty(meterData['deviceType']) ?
-      types[meterData['deviceType']] : "unknown";
-    return `${meterData['label']} (${meterType})`;
-  }
-
-  /**
-  * Describe device type.
+  * Extract meter application payload.
   *
   * @param telegram
-  * @return label
-  */
-  getDeviceType(telegram) {
-    let meterData = this.getMeterData(telegram);
-    return meterData ? meterData['deviceType'] : 'unknown';
-  }
-
-  /**
-  * Returns extended data link layer map.
-  *
-  * Block 2 (Extended Data Link Layer)
-  * CI (1 byte) CC(1 byte)   ACC(1 byte)  SN(4 bytes)  CRC(2  bytes)
-  *
-  * CI-FIELD (1 byte)
-  *   Application header, indicates application data payload type.
-  *
-  * DATA-field
-  *
-  * CC-FIELD (1 byte)
-  * CC is a communication control field and is coded using the following bitmask
-  * Bit 7  |  Bit 6  |  Bit 5  |  Bit 4  |  Bit 3  |  Bit 2  |  Bit 1
-  * B-field| D-field | S-field | H-field | P-field | A-field | Reserved
-  * 
-  * B-field,  when  set  to  1,  indicates  that the  sending  device  implements  bidirectional communication
-  * D-field controls  the  response  delay  of  the  responding  device,  indicating  whether  a fast (D-field set) or slow (D-field cleared) response delay should be used
-  * S-field, when set to 1, indicates a synchronized frame
-  * H-field, when set to 1, indicates that the frame has been relayed by a repeater
-  * P-field, when set to 1, indicates a high priority frame
-  * A-field (Accessibility) is used in conjunction with the B-field to specify when a meter enables radio reception after a frame transmission
-  * R-field (Repeated  Access) is  used  by  single  hop  repeaters  according  to  the  rules  in the EN 13757-5 specification
-  *
-  * ACC (1 byte)
-  *   Access counter number, runs from 00 to ff.
-  *
-  * @return mapping
-  *   Object with mapping details
-  */
-  getELLMap() {
-    return {
-      'BLOCK2_CI': {
-        start: 10,
-        length: 1
-        },
-      'BLOCK2_CC': {
-        start: 11,
-        length: 1
-        },
-      'BLOCK2_ACC': {
-        start: 12,
-        length: 1
-      },
-      'BLOCK2_ELL_DATA': {
-          start: 18,
-          length: 24
-        }
-      };
-  }
-
-  /**
-  * Extract meter Application Header from details.
-  *
-  * @param telegram
-  * @return ci field
+  * @return payload buffer
   */
-  getCIField(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_CI') ?
-      values.get('BLOCK2_CI') : null;
+  getELLData(telegram) {
+    return this.getApplicationData(telegram);
   }
 
-  /**
-  * Extract meter CC details.
-  *
-  * @param telegram
-  * @return ci field
-  */
-  getCCField(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_CC') ?
-      values.get('BLOCK2_CC') : null;
-  }
-
-  /**
-  * Extract meter Access Counter Number.
-  *
-  * @param telegram
-  * @return ACN
-  */
-  getACCField(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_ACC') ?
-      values.get('BLOCK2_ACC') : null;
-  }
-
-  /**
-  * Extract meter SN field.
-  *
-  * @param telegram
-  * @return SN field
-  */
-  getSNField(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_SN') ?
-      values.get('BLOCK2_SN') : null;
-  }
-
-  /**
-  * Extract meter ELL CRC field.
-  *
-  * @param telegram
-  * @return telegram
-  */
-  getELLCRC(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_CRC') ?
-      values.get('BLOCK2_CRC') : null;
-  }
-
-  /**
-  * Extract meter
-  *
-  * @param telegram
-  * @return telegram
-  */
-    getELLData(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_ELL_DATA') ?
-      values.get('BLOCK2_ELL_DATA') : null;
-  }
-
-
   /**
   * Process telegram values
   *
@@ -199,6 +46,8 @@ class Hummie1Meter extends WirelessMBusMeter {
   processTelegramValues(telegram) {
     // Retrieve if this is short frame or long frame
     let data = this.getELLData(telegram);
+    if (!data)
+      return null;
 
     // Get frame type
     let fV = this.fetchData(data, {
@@ -271,32 +120,44 @@ class Hummie1Meter extends WirelessMBusMeter {
 
 
 
-    /**
-    * Returns meter value.
-    *
-    * @param telegram
-    * @return meter value
-    *   Reverse buffer converted to number value.
-    */
-    getMeterValue_temp(telegram) {
-        let values = telegram.getValues();
-        return values.has('DATA_RECORD_1_VALUE') ?
-            values.get('DATA_RECORD_1_VALUE').readInt16LE() /10 : null;
-    }
-
-    getMeterValue_hum(telegram) {
-        let values = telegram.getValues();
-        return values.has('DATA_RECORD_2_VALUE') ?
-            values.get('DATA_RECORD_2_VALUE').readUInt8() : null;
-    }
-
-    getMeterValue_batt(telegram) {
-        let values = telegram.getValues();
-        return values.has('DATA_RECORD_3_VALUE') ?
-            values.get('DATA_RECORD_3_VALUE').readUInt8()/10 : null;
-    }
+  /**
+  * Returns temperature in °C.
+  *
+  * @param telegram
+  * @return temperature
+  */
+  getMeterValue_temp(telegram) {
+    let quantity = this.getRecordQuantity(telegram, {
+      quantity: 'External temperature'
+    });
+    return quantity ? quantity.value : null;
+  }
 
+  /**
+  * Returns relative humidity in %.
+  *
+  * @param telegram
+  * @return humidity
+  */
+  getMeterValue_hum(telegram) {
+    let quantity = this.getRecordQuantity(telegram, {
+      quantity: 'Relative humidity'
+    });
+    return quantity ? quantity.value : null;
+  }
 
+  /**
+  * Returns battery voltage in V.
+  *
+  * @param telegram
+  * @return voltage
+  */
+  getMeterValue_batt(telegram) {
+    let quantity = this.getRecordQuantity(telegram, {
+      quantity: 'Voltage'
+    });
+    return quantity ? quantity.value : null;
+  }
 
   /**
   * Returns singleton instance of meter.
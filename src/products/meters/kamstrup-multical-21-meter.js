@@ -1,5 +1,10 @@
 import WirelessMBusMeter from "./../../includes/meter/wmbus-meter"
-import crypto from 'crypto'
+import ValueInformation from "./../../includes/telegram/value-information"
+import DataTypes from "./../../includes/telegram/data-types"
+import HeaderParser from "./../../includes/telegram/header-parser"
+import AES from "./../../includes/crypto/aes"
+import CRC from "./../../includes/misc/crc"
+import FormatCache from "./../../includes/telegram/format-cache"
 
 // Static instance
 var instance = null;
@@ -20,17 +25,33 @@ var instance = null;
 */
 class KamstrupMultical21Meter extends WirelessMBusMeter {
 
+  constructor() {
+    super();
+
+    // Compact frames of known firmware layouts can be decoded right away
+    this._formatCache = new FormatCache(KamstrupMultical21Meter.FORMATS);
+
+    // Alarm flags of last telegram by meter address
+    this._alarmStates = new Map();
+
+    // Compact frames decoded after their full frame update alarms as well
+    this.on('telegram', telegram => this.updateAlarms(telegram));
+  }
+
   /**
   * Process telegram by fetching meter values from raw data packet.
   *
   * @param telegram
   *   Telegram to be processed.
   * @param options
-  *   aes - AES key if needed
+  *   aes - AES key, defaults to key of key provider or meter data
   *
   * @return boolean succeed
+  *   False also if telegram couldn't be decrypted, see
+  *   Telegram.getDecryption() for the reason.
   */
   processTelegramData(telegram, options = {}) {
+    const errors = WirelessMBusMeter.DECRYPTION_ERRORS;
 
     if (!super.processTelegramData(telegram, options)) {
       return false;
@@ -39,200 +60,136 @@ class KamstrupMultical21Meter extends WirelessMBusMeter {
     telegram.setValue('BLOCKX_FN', Buffer.alloc(2,'0000', "hex"));
     telegram.setValue('BLOCKX_BC', Buffer.alloc(1,'00', "hex"));
 
-    // If AES key is not provided directly, try to load it from meter data
-    if (!options.hasOwnProperty('aes')) {
-      let meterData = this.getMeterData(telegram);
+    let ell = telegram.getHeader('ell');
+    let mode = ell ? ell.encryption : 0;
+    let decrypted = this.decryptTelegram(telegram, options);
 
-      if (meterData && meterData.hasOwnProperty('aes'))
-        options['aes'] = meterData['aes'];
+    if (!decrypted) {
+      this.fetchMissingKey(telegram);
+      return this.setDecryptionStatus(telegram, mode, errors.MISSING_KEY);
     }
 
-    if (options.hasOwnProperty('aes')) {
-      telegram.setValue('BLOCK2_DECRYPTED_ELL_DATA',
-        this.decryptTelegram(telegram, options));
+    // Wrong key or corrupted payload doesn't match payload CRC
+    if (!this.verifyPayloadCRC(decrypted))
+      return this.setDecryptionStatus(telegram, mode,
+        errors.DECRYPTION_FAILED);
 
-      // Fetch meter information
-      telegram.setValues(this.processTelegramValues(telegram, options));
-      //console.log('---');
-      //console.log(telegram.getPacket().getBuffer().toString('hex'));
-      //console.log(this.getDecryptedELLData(telegram).toString('hex'));
-      //console.log('-**-');
-    }
+    this.setDecryptionStatus(telegram, mode);
+    telegram.setValue('BLOCK2_DECRYPTED_ELL_DATA', decrypted);
+
+    // Transport layer follows the payload CRC
+    telegram.setHeader('tpl', HeaderParser.parseTransport(decrypted, 2));
+
+    // Fetch meter information
+    telegram.setValues(this.processTelegramValues(telegram, options));
+
+    // Full frames carry complete data record structure, compact frames are
+    // decoded with format learned from full frames
+    let data = this.getApplicationData(telegram);
+    if (data && !this.processDataRecords(telegram, data))
+      return false;
+
+    this.updateAlarms(telegram);
     return true;
   }
 
   /**
-  * Method returns meter information.
+  * Verify payload CRC (BLOCK3_PLCRC) of decrypted ELL data.
   *
-  * @param telegram
-  * @return meter information
+  * @param data
+  *   Decrypted ELL data
+  * @return boolean is valid
   */
-  describeMeter(telegram) {
-    return this.describeMeterData(this.getMeterData(telegram));
+  verifyPayloadCRC(data) {
+    return this.getPayloadEnd(data) > 0;
   }
 
   /**
-  * Metod returns label for meter data
+  * Returns end index of payload covered by payload CRC. CRC is stored least
+  * significant byte first and covers rest of the payload.
   *
-  * @param meterData
-  * @return label
+  * @param data
+  *   Decrypted ELL data
+  * @return index or -1 if payload CRC doesn't match
   */
-  describeMeterData(meterData = false) {
-    if (!meterData)
-      return 'unknown';
+  getPayloadEnd(data) {
+    if (!data || data.length < 3)
+      return -1;
 
-    const types = {
-      '06': 'VolumeHeat',
-      '16': 'VolumeCold'
-    }
+    let crc = data.readUInt16LE(0);
 
-    let meterType = types.hasOwnProperty(meterData['deviceType']) ?
-      types[meterData['deviceType']] : "unknown";
-    return `${meterData['label']} (${meterType})`;
-  }
+    if (CRC.crc16EN13757(data.slice(2)) == crc)
+      return data.length;
 
-  /**
-  * Describe device type.
-  *
-  * @param telegram
-  * @return label
-  */
-  getDeviceType(telegram) {
-    let meterData = this.getMeterData(telegram);
-    return meterData ? meterData['deviceType'] : 'unknown';
-  }
+    // Frame format B CRC is sometimes left after the encrypted payload
+    if (data.length > 4 && CRC.crc16EN13757(data.slice(2, -2)) == crc)
+      return data.length - 2;
 
-  /**
-  * Returns extended data link layer map.
-  *
-  * Block 2 (Extended Data Link Layer)
-  * CI (1 byte) CC(1 byte)   ACC(1 byte)  SN(4 bytes)  CRC(2  bytes)
-  *
-  * CI-FIELD (1 byte)
-  *   Application header, indicates application data payload type.
-  *
-  * DATA-field
-  *
-  * CC-FIELD (1 byte)
-  * CC is a communication control field and is coded using the following bitmask
-  * Bit 7  |  Bit 6  |  Bit 5  |  Bit 4  |  Bit 3  |  Bit 2  |  Bit 1
-  * B-field| D-field | S-field | H-field | P-field | A-field | Reserved
-  * 
-  * B-field,  when  set  to  1,  indicates  that the  sending  device  implements  bidirectional communication
-  * D-field controls  the  response  delay  of  the  responding  device,  indicating  whether  a fast (D-field set) or slow (D-field cleared) response delay should be used
-  * S-field, when set to 1, indicates a synchronized frame
-  * H-field, when set to 1, indicates that the frame has been relayed by a repeater
-  * P-field, when set to 1, indicates a high priority frame
-  * A-field (Accessibility) is used in conjunction with the B-field to specify when a meter enables radio reception after a frame transmission
-  * R-field (Repeated  Access) is  used  by  single  hop  repeaters  according  to  the  rules  in the EN 13757-5 specification
-  *
-  * ACC (1 byte)
-  *   Access counter number, runs from 00 to ff.
-  *
-  * SN-FIELD (4 bytes)
-  *   Encryption mode, time field, session counter
-  *
-  * CRC-FIELD (2 bytes)
-  *   Cyclic Redundancy Check for data.
-  *
-  * @return mapping
-  *   Object with mapping details
-  */
-  getELLMap() {
-    return {
-      'BLOCK2_CI': {
-        start: 10,
-        length: 1
-        },
-      'BLOCK2_CC': {
-        start: 11,
-        length: 1
-        },
-      'BLOCK2_ACC': {
-        start: 12,
-        length: 1
-        },
-      'BLOCK2_SN': {
-        start: 13,
-        length: 4
-        },
-      'BLOCK2_CRC': {
-        start: 17,
-        length: 2
-        }
-      };
+    return -1;
   }
 
   /**
-  * Extract meter Application Header from details.
+  * Extract meter
   *
   * @param telegram
-  * @return ci field
+  * @return telegram
   */
-  getCIField(telegram) {
+  getDecryptedELLData(telegram) {
     let values = telegram.getValues();
-    return values.has('BLOCK2_CI') ?
-      values.get('BLOCK2_CI') : null;
+    return values.has('BLOCK2_DECRYPTED_ELL_DATA') ?
+      values.get('BLOCK2_DECRYPTED_ELL_DATA') : null;
   }
 
   /**
-  * Extract meter CC details.
+  * Returns application payload of decrypted frame. Payload of compact frame
+  * follows format signature and full frame data CRC, and contains only
+  * record data.
   *
-  * @param telegram
-  * @return ci field
+  * @param telegram
+  * @return buffer or null
   */
-  getCCField(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_CC') ?
-      values.get('BLOCK2_CC') : null;
-  }
+  getApplicationData(telegram) {
+    let data = this.getDecryptedELLData(telegram);
+    let end = this.getPayloadEnd(data);
 
-  /**
-  * Extract meter Access Counter Number.
-  *
-  * @param telegram
-  * @return ACN
-  */
-  getACCField(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_ACC') ?
-      values.get('BLOCK2_ACC') : null;
-  }
+    if (end < 3)
+      return null;
 
-  /**
-  * Extract meter SN field.
-  *
-  * @param telegram
-  * @return SN field
-  */
-  getSNField(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_SN') ?
-      values.get('BLOCK2_SN') : null;
+    switch (data[2]) {
+      case 0x78:
+        return data.slice(3, end);
+      case 0x79:
+        return end >= 7 ? data.slice(7, end) : null;
+    }
+    return null;
   }
 
   /**
-  * Extract meter ELL CRC field.
+  * Apply decoded data records to telegram and map info codes, volume and
+  * target volume records to meter values. Volume resolution depends on meter
+  * configuration, so VIF of volume record is stored as well.
   *
-  * @param telegram
-  * @return telegram
+  * @param telegram
+  * @param records
   */
-  getELLCRC(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_CRC') ?
-      values.get('BLOCK2_CRC') : null;
-  }
+  setTelegramRecords(telegram, records) {
+    super.setTelegramRecords(telegram, records);
+
+    const values = {
+      DATA_RECORD_1_VALUE: { vif: 0xFF, vife: 0x20 },
+      DATA_RECORD_2_VALUE: { quantity: 'Volume', storageNumber: 0 },
+      DATA_RECORD_3_VALUE: { quantity: 'Volume', storageNumber: 1 }
+    };
+
+    Object.keys(values).forEach(key => {
+      let record = telegram.findRecord(values[key]);
+      if (record)
+        telegram.setValue(key, record.getData());
+    });
 
-  /**
-  * Extract meter
-  *
-  * @param telegram
-  * @return telegram
-  */
-  getDecryptedELLData(telegram) {
-    let values = telegram.getValues();
-    return values.has('BLOCK2_DECRYPTED_ELL_DATA') ?
-      values.get('BLOCK2_DECRYPTED_ELL_DATA') : null;
+    let volume = telegram.findRecord(values.DATA_RECORD_2_VALUE);
+    if (volume)
+      telegram.setValue('DATA_RECORD_2_VIF', Buffer.from([volume.getVIF()]));
   }
 
   /**
@@ -262,37 +219,19 @@ class KamstrupMultical21Meter extends WirelessMBusMeter {
   *
   * @param telegram
   * @param options with following key values:
-  *   key - AES key for this telegram meter
+  *   aes - AES key for this telegram meter, see getAESKey()
+  * @return decrypted data or false if key is not available
   */
   decryptTelegram(telegram, options = {}) {
-    if (!options.hasOwnProperty('aes'))
+    let AESKey = this.getAESKey(telegram, options);
+    if (!AESKey)
       return false;
 
-    let AESKey = Buffer.alloc(options['aes'].length/2, options['aes'], 'hex');
-
     let encryptedData = this.getEncryptedELLData(telegram)
       .get('BLOCK2_ENCRYPTED_ELL_DATA');
 
     let initializationVector = this.getIV(telegram);
-    return this.decryptBuffer(encryptedData, AESKey, initializationVector);
-  }
-
-  /**
-  * Decrypt given buffer using AES.
-  * TODO: Move this to own module?
-  *
-  * @param buffer
-  *   Encrypted buffer
-  * @param key
-  *   AES key
-  * @param iv
-  *   Initialize vector
-  * @return decrypted data
-  */
-  decryptBuffer(buffer, key, iv, algorithm = 'aes-128-ctr') {
-    let decipher = crypto.createDecipheriv(algorithm, key, iv);
-    decipher.setAutoPadding(false);
-    return Buffer.concat([decipher.update(buffer), decipher.final()]);
+    return AES.decryptCTR(encryptedData, AESKey, initializationVector);
   }
 
   /**
@@ -302,11 +241,11 @@ class KamstrupMultical21Meter extends WirelessMBusMeter {
   * @return data buffer
   */
   getEncryptedELLData(telegram) {
-    let packet = telegram.getPacket();
+    let data = this.getFrameData(telegram);
     let startIndex = 17;
-    let length = packet.getBuffer().length - startIndex;
+    let length = data.length - startIndex;
 
-    return this.fetchData(packet, {
+    return this.fetchData(data, {
       BLOCK2_ENCRYPTED_ELL_DATA: {
         start: startIndex,
         length: length
@@ -354,25 +293,11 @@ class KamstrupMultical21Meter extends WirelessMBusMeter {
           'BLOCK3_EXTRA_CRC': {
             start: 3,
             length: 4
-            },
-          'DATA_RECORD_1_VALUE': {
-            start: 7,
-            length: 2
-            },
-          'DATA_RECORD_2_VALUE': {
-            start: 9,
-            length: 4
-            },
-          'DATA_RECORD_3_VALUE': {
-            start: 13,
-            length: 4
             }
           });
         break;
 
       case '78':
-        // TODO: Add symbol table to support short frames...
-
         // This telegram is full frame
         return this.fetchData(data, {
           'BLOCK3_PLCRC': {
@@ -438,7 +363,44 @@ class KamstrupMultical21Meter extends WirelessMBusMeter {
   getMeterValue(telegram) {
     let values = telegram.getValues();
     return values.has('DATA_RECORD_2_VALUE') ?
-      this.parseMeterValue(values.get('DATA_RECORD_2_VALUE').readUInt32LE()) : null;
+      this.decodeVolume(values.get('DATA_RECORD_2_VALUE'), telegram) : null;
+  }
+
+  /**
+  * Returns normalized meter value with unit.
+  *
+  * @param telegram
+  * @return quantity or null
+  */
+  getMeterQuantity(telegram) {
+    let value = this.getMeterValue(telegram);
+
+    if (value === null)
+      return null;
+
+    let info = this.getVolumeInformation(telegram);
+
+    return {
+      quantity: info.quantity,
+      unit: info.unit,
+      value: value,
+      exponent: info.exponent
+    };
+  }
+
+  /**
+  * Returns value information of volume records. VIF of volume record is
+  * used, and Multical 21 default volume VIF (litres) if telegram doesn't
+  * have volume record.
+  *
+  * @param telegram
+  * @return value information
+  */
+  getVolumeInformation(telegram = null) {
+    let vif = telegram ? telegram.getValue('DATA_RECORD_2_VIF') : null;
+
+    return ValueInformation.lookup(vif ?
+      vif[0] : KamstrupMultical21Meter.VIF_VOLUME);
   }
 
   /**
@@ -449,7 +411,188 @@ class KamstrupMultical21Meter extends WirelessMBusMeter {
   getMeterTargetValue(telegram) {
     let values = telegram.getValues();
     return values.has('DATA_RECORD_3_VALUE') ?
-      this.parseMeterValue(values.get('DATA_RECORD_3_VALUE').readUInt32LE()) : null;
+      this.decodeVolume(values.get('DATA_RECORD_3_VALUE'), telegram) : null;
+  }
+
+  /**
+  * Returns flow (water) temperature. Depending on variant, full frame has
+  * either minimum flow temperature of the current period or instantaneous
+  * value.
+  *
+  * @param telegram
+  * @return temperature in °C or null
+  */
+  getFlowTemperature(telegram) {
+    return this.getRecordValue(telegram, { quantity: 'Flow temperature' });
+  }
+
+  /**
+  * Returns external (ambient) temperature.
+  *
+  * @param telegram
+  * @return temperature in °C or null
+  */
+  getExternalTemperature(telegram) {
+    return this.getRecordValue(telegram, { quantity: 'External temperature' });
+  }
+
+  /**
+  * Returns minimum flow of the current period.
+  *
+  * @param telegram
+  * @return flow in m³/h or null
+  */
+  getMinimumFlow(telegram) {
+    return this.getRecordValue(telegram, {
+      quantity: 'Volume flow',
+      functionField: 2
+    });
+  }
+
+  /**
+  * Returns maximum flow of the current period.
+  *
+  * @param telegram
+  * @return flow in m³/h or null
+  */
+  getMaximumFlow(telegram) {
+    return this.getRecordValue(telegram, {
+      quantity: 'Volume flow',
+      functionField: 1
+    });
+  }
+
+  /**
+  * Returns target date, the date when target value was stored.
+  *
+  * @param telegram
+  * @return date or null
+  */
+  getTargetDate(telegram) {
+    return this.getRecordValue(telegram, { quantity: 'Date' });
+  }
+
+  /**
+  * Returns hour counter, time the meter has been in operation.
+  *
+  * @param telegram
+  * @return hours or null
+  */
+  getHourCounter(telegram) {
+    const hours = { s: 1 / 3600, min: 1 / 60, h: 1, d: 24 };
+
+    let quantity = this.getRecordQuantity(telegram, { quantity: 'On time' }) ||
+      this.getRecordQuantity(telegram, { quantity: 'Operating time' });
+
+    if (!quantity || typeof quantity.value !== 'number' ||
+        !hours.hasOwnProperty(quantity.unit))
+      return null;
+
+    return quantity.value * hours[quantity.unit];
+  }
+
+  /**
+  * Returns secondary readings of full frame records.
+  *
+  * @param telegram
+  * @return readings
+  */
+  getMeterReadings(telegram) {
+    return {
+      flowTemperature: this.getFlowTemperature(telegram),
+      externalTemperature: this.getExternalTemperature(telegram),
+      minimumFlow: this.getMinimumFlow(telegram),
+      maximumFlow: this.getMaximumFlow(telegram),
+      targetDate: this.getTargetDate(telegram),
+      hourCounter: this.getHourCounter(telegram)
+    };
+  }
+
+  /**
+  * Returns info codes of telegram. Each alarm has active flag and duration
+  * range in hours. Upper limit of longest duration range is null.
+  *
+  * @param telegram
+  * @return info codes with following keys, or null if not available:
+  *   - raw
+  *     16 bit info code field
+  *   - dry, reverse, leak, burst
+  *     Objects with keys active, minHours and maxHours
+  */
+  getInfoCodes(telegram) {
+    let values = telegram.getValues();
+
+    if (!values.has('DATA_RECORD_1_VALUE'))
+      return null;
+
+    let raw = values.get('DATA_RECORD_1_VALUE').readUInt16LE(0);
+    let infoCodes = { raw: raw };
+
+    Object.keys(KamstrupMultical21Meter.INFO_CODES).forEach(name => {
+      let code = KamstrupMultical21Meter.INFO_CODES[name];
+      let duration = KamstrupMultical21Meter.DURATIONS[
+        (raw >> code.durationShift) & 0x07];
+
+      infoCodes[name] = {
+        active: (raw & code.flag) != 0,
+        minHours: duration[0],
+        maxHours: duration[1]
+      };
+    });
+    return infoCodes;
+  }
+
+  /**
+  * Compare alarm flags of telegram with previous telegram of the same meter
+  * and emit events for changed flags:
+  *
+  *   meter.on('alarm-raised', (alarm, telegram) => { ... });
+  *   meter.on('alarm-cleared', (alarm, telegram) => { ... });
+  *
+  * Alarm is one of 'dry', 'reverse', 'leak' or 'burst'. Alarms active in the
+  * first telegram of meter are reported as raised. Telegrams older than
+  * previously handled telegram are ignored.
+  *
+  * @param telegram
+  * @return list of changed alarms
+  */
+  updateAlarms(telegram) {
+    let infoCodes = this.getInfoCodes(telegram);
+
+    if (!infoCodes)
+      return [];
+
+    let address = this.getAddressField(telegram).toString('hex');
+    // Packets read from log have string timestamps
+    let timestamp = Number(this.getTelegramTimestamp(telegram));
+    let previous = this._alarmStates.has(address) ?
+      this._alarmStates.get(address) : null;
+
+    if (previous && timestamp < previous.timestamp)
+      return [];
+
+    let alarms = {};
+    let changed = [];
+
+    Object.keys(KamstrupMultical21Meter.INFO_CODES).forEach(name => {
+      let active = infoCodes[name].active;
+      let wasActive = previous ? previous.alarms[name] : false;
+
+      alarms[name] = active;
+      if (active != wasActive)
+        changed.push(name);
+    });
+
+    this._alarmStates.set(address, {
+      alarms: alarms,
+      timestamp: timestamp
+    });
+
+    changed.forEach(name => {
+      this.emit(alarms[name] ? 'alarm-raised' : 'alarm-cleared', name,
+        telegram);
+    });
+    return changed;
   }
 
     getInfoCodeDry(telegram) {
@@ -570,13 +713,30 @@ class KamstrupMultical21Meter extends WirelessMBusMeter {
 
 
   /**
-  * Parse float value.
+  * Decode 32 bit volume record data to m³.
+  *
+  * @param buffer
+  * @param telegram
+  *   Telegram of volume record, see getVolumeInformation()
+  * @return value or null if value is not available
+  */
+  decodeVolume(buffer, telegram = null) {
+    let decoded = DataTypes.decodeInteger(buffer);
+    return decoded.available ?
+      this.parseMeterValue(decoded.value, telegram) : null;
+  }
+
+  /**
+  * Parse volume value to m³.
   *
   * @param value
+  * @param telegram
+  *   Telegram of volume record, see getVolumeInformation()
   * @return value
   */
-  parseMeterValue(value) {
-    return parseFloat(value) / 1000;
+  parseMeterValue(value, telegram = null) {
+    return ValueInformation.scale(parseFloat(value),
+      this.getVolumeInformation(telegram).exponent);
   }
 
   /**
@@ -590,4 +750,43 @@ class KamstrupMultical21Meter extends WirelessMBusMeter {
   }
 }
 
+KamstrupMultical21Meter.VIF_VOLUME = 0x13;
+
+/**
+* Info code alarm flags and bit positions of their 3 bit duration codes.
+*/
+KamstrupMultical21Meter.INFO_CODES = {
+  dry: { flag: 0x01, durationShift: 4 },
+  reverse: { flag: 0x02, durationShift: 7 },
+  leak: { flag: 0x04, durationShift: 10 },
+  burst: { flag: 0x08, durationShift: 13 }
+};
+
+/**
+* Info code duration ranges in hours by duration code.
+*/
+KamstrupMultical21Meter.DURATIONS = [
+  [0, 0],
+  [1, 8],
+  [9, 24],
+  [25, 72],
+  [73, 168],
+  [169, 336],
+  [337, 504],
+  [505, null]
+];
+
+/**
+* Known compact frame formats by format signature: info codes, volume and
+* target volume, optionally followed by flow and temperature records. Volume
+* resolution is litres or m³ depending on meter configuration.
+*/
+KamstrupMultical21Meter.FORMATS = {
+  0x2168: '02ff2004164416',
+  0xdd34: '02ff2004134413',
+  0xa8ed: '02ff2004134413615b6167',
+  0x61eb: '02ff2004134413a1015b8101e7ff0f',
+  0xc412: '02ff20041392013ba1015b8101e7ff0f'
+};
+
 export default KamstrupMultical21Meter;
\ No newline at end of file
@@ -19,6 +19,18 @@ class ImstReader extends WMBusReader {
     *   source Source file to read data from
     * @param buffer
     *   Data buffer to send data
+    * @param linkMode
+    *   Link mode of module, see ImstReader.LINK_MODES, or raw link mode
+    *   value of the module. Defaults to 'C1'.
+    * @param deviceMode
+    *   Device mode of module, 'other' (default) or 'meter'
+    * @param rssi
+    *   Attach RSSI to received messages, defaults to true
+    * @param timestamp
+    *   Attach timestamp to received messages, defaults to true
+    * @param configTimeout
+    *   Time in milliseconds to wait for configuration response, defaults to
+    *   1000
     */
     constructor(options = {}) {
         super(options);
@@ -29,6 +41,24 @@ class ImstReader extends WMBusReader {
         this._serialPortPath = options.hasOwnProperty('serialPortPath') ?
             options.serialPortPath : false;
 
+        this._linkMode = options.hasOwnProperty('linkMode') ?
+            options.linkMode : 'C1';
+
+        this._deviceMode = options.hasOwnProperty('deviceMode') ?
+            options.deviceMode : 'other';
+
+        this._rssi = options.hasOwnProperty('rssi') ?
+            options.rssi : true;
+
+        this._timestamp = options.hasOwnProperty('timestamp') ?
+            options.timestamp : true;
+
+        this._configTimeout = options.hasOwnProperty('configTimeout') ?
+            options.configTimeout : 1000;
+
+        // Listener waiting for configuration response
+        this._configListener = null;
+
         this._enabled = false;
         this._done = false;
         this._processing = false;
@@ -67,25 +97,226 @@ class ImstReader extends WMBusReader {
             this._enabled = true;
             this.emit("connected");
             console.log('Connection opened');
-            //setup the wbus reader for Link mode: C1 TF-B,  Device mode:Other, Send RSSI:no, Send Timestamp: no
-            var configBuff = Buffer.alloc(12, "A501030800030007b0000000", "hex");
-            serialPort.write(configBuff);
             serialPort.on('data', (data) => {
                 // Push data to telegram stream
                 telegramStream.write(data);
             });
+            // Setup link mode, device mode and attached RSSI and timestamp
+            self.configure().then(confirmed => {
+                if (!confirmed)
+                    console.log(`Unable to configure: ${self._serialPortPath}`);
+            });
         });
 
         telegramStream.on('readable', () => {
             let data = null;
 
             while (null !== (data = telegramStream.read())) {
+                // Device management messages are responses to configuration
+                if ((data[1] & 0x0F) == ImstReader.DEVMGMT_ID) {
+                    self.handleDeviceMessage(data);
+                    continue;
+                }
                 //console.log("Push raw telegram data...");
-                self._buffer.push(new DataPacket(data));
+                self.pushPacket(self.buildPacket(data));
             }
         });
     }
 
+    /**
+    * Write configuration to module with SetConfig request and wait for
+    * response. Only one request may be pending, since response doesn't tell
+    * which request it belongs to.
+    *
+    * @return promise resolved with boolean confirmed, false if another
+    *   request is still pending
+    */
+    configure() {
+        let request = this.buildConfigRequest();
+
+        if (!request || !this._serialPort || this._configListener)
+            return Promise.resolve(false);
+
+        let timer = null;
+        let listener = null;
+
+        let confirmed = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), this._configTimeout);
+            listener = resolve;
+            this._configListener = listener;
+        }).then(result => {
+            clearTimeout(timer);
+            if (this._configListener === listener)
+                this._configListener = null;
+            return result;
+        });
+
+        this._serialPort.write(request);
+        return confirmed;
+    }
+
+    /**
+    * Build SetConfig request of device management endpoint from reader
+    * options. Request is protected with CRC.
+    *
+    * @return message buffer or null if link mode or device mode is unknown
+    */
+    buildConfigRequest() {
+        let linkMode = typeof this._linkMode === 'number' ? this._linkMode :
+            ImstReader.LINK_MODES[this._linkMode];
+        let deviceMode = ImstReader.DEVICE_MODES[this._deviceMode];
+
+        if (linkMode === undefined || deviceMode === undefined)
+            return null;
+
+        let payload = Buffer.from([
+            // Don't save to non-volatile memory
+            0x00,
+            // IIFlag1: device mode and link mode follow
+            0x03,
+            deviceMode,
+            linkMode,
+            // IIFlag2: timestamp, RSSI and RTC control follow
+            0xB0,
+            this._timestamp ? 0x01 : 0x00,
+            this._rssi ? 0x01 : 0x00,
+            0x00
+        ]);
+
+        return ImstReader.buildMessage(ImstReader.DEVMGMT_ID,
+            ImstReader.DEVMGMT_MSG_SET_CONFIG_REQ, payload);
+    }
+
+    /**
+    * Handle message of device management endpoint. Configuration response
+    * is passed to pending configure() request.
+    *
+    * @param message
+    *   Message starting from start byte
+    * @return boolean true if message was configuration response
+    */
+    handleDeviceMessage(message) {
+        if (message.length < 5 ||
+            message[2] != ImstReader.DEVMGMT_MSG_SET_CONFIG_RSP)
+            return false;
+
+        // Status byte is zero if configuration was accepted
+        let confirmed = message[4] == 0x00;
+
+        this.emit('configured', confirmed);
+
+        if (this._configListener)
+            this._configListener(confirmed);
+
+        return true;
+    }
+
+    /**
+    * Build data packet from received HCI message. Timestamp and RSSI are
+    * attached after payload, if enabled in module configuration.
+    *
+    * @param message
+    *   Message starting from start byte, CRC is not required
+    * @return packet
+    */
+    buildPacket(message) {
+        let control = message[1];
+        let offset = message[3] + 4;
+        let options = { linkMode: this._linkMode };
+
+        if (control & ImstReader.CONTROL_TIMESTAMP) {
+            options.deviceTimestamp = message.readUInt32LE(offset);
+            offset += 4;
+        }
+
+        if (control & ImstReader.CONTROL_RSSI)
+            options.rssi = ImstReader.toDbm(message[offset]);
+
+        return new DataPacket(message.slice(3, message[3] + 4), options);
+    }
+
+    /**
+    * Build HCI message with CRC.
+    *
+    * @param endpoint
+    *   Endpoint ID
+    * @param messageId
+    * @param payload
+    * @return message buffer
+    */
+    static buildMessage(endpoint, messageId, payload) {
+        let message = Buffer.concat([
+            Buffer.from([ImstReader.START_BYTE,
+                ImstReader.CONTROL_CRC | endpoint, messageId, payload.length]),
+            payload,
+            Buffer.alloc(2)
+        ]);
+
+        // CRC covers all fields after start byte, low byte is sent first
+        let crc = ImstReader.crc16(message.slice(1, -2));
+        message.writeUInt16LE(crc, message.length - 2);
+        return message;
+    }
+
+    /**
+    * Count CRC16 of HCI message (CRC-16/X.25).
+    *
+    * @param buffer
+    * @return crc
+    */
+    static crc16(buffer) {
+        let crc = 0xFFFF;
+
+        for (let i = 0; i < buffer.length; i++) {
+            crc ^= buffer[i];
+
+            for (let bit = 0; bit < 8; bit++)
+                crc = crc & 0x01 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+        }
+        return ~crc & 0xFFFF;
+    }
+
+    /**
+    * Convert RSSI byte of module to dBm. Module reports RSSI in half dB
+    * steps.
+    *
+    * @param raw
+    * @return RSSI in dBm
+    */
+    static toDbm(raw) {
+        return raw / 2 - ImstReader.RSSI_OFFSET;
+    }
+
+    /**
+    * Returns length of timestamp and RSSI attached to message.
+    *
+    * @param control
+    *   Control field of message
+    * @return length in bytes
+    */
+    static getAttachmentLength(control) {
+        return (control & ImstReader.CONTROL_TIMESTAMP ? 4 : 0) +
+            (control & ImstReader.CONTROL_RSSI ? 1 : 0);
+    }
+
+    /**
+    * Wrap frame to HCI WMBUSMSG_REQ message of radio link endpoint. Module
+    * adds L-field and CRCs, so message payload starts from C-field.
+    *
+    * @param frame
+    *   CRC free frame starting from L-field
+    * @return message buffer
+    */
+    buildDataRequest(frame) {
+        let payload = frame.slice(1);
+
+        return Buffer.concat([
+            Buffer.from([ImstReader.START_BYTE, ImstReader.RADIOLINK_ID,
+                ImstReader.RADIOLINK_MSG_WMBUSMSG_REQ, payload.length]),
+            payload
+        ]);
+    }
+
     /**
      * Disables the source after use
      */
@@ -152,7 +383,8 @@ class TelegramStrem extends Transform {
                         if (i > 0)
                             data = data.slice(i);
                         //check that we have the length byte (enough bytes), if not data will be processed next time
-                        this._frameLength = (data[3] + 4);
+                        this._frameLength = (data[3] + 4) +
+                            ImstReader.getAttachmentLength(data[1]);
 
 
                         break;
@@ -176,7 +408,7 @@ class TelegramStrem extends Transform {
                     if (hasCRC) {
                         // This is valid telegram, register and remove
                         if (self.validateChecksum(telegramData.slice(1, frameLength + 2), telegramData.slice(frameLength, frameLength + 2))) {
-                            this.push(telegramData.slice(3, frameLength));
+                            this.push(telegramData.slice(0, frameLength));
                             data = data.slice(frameLength + 2);
                         } else {
                             //crc didn't match skip the telegram
@@ -185,19 +417,21 @@ class TelegramStrem extends Transform {
 
                     } else {
                         // This is valid telegram, register and remove but without CRC
-                        this.push(telegramData.slice(3));
+                        this.push(telegramData);
                         data = data.slice(frameLength);
                     }
-                    //device management package, these are not used, so dump it
+                    //device management package, like configuration response
                 } else if ((telegramData[1] & 0x0F) == 0x01) {
                     if (hasCRC) {
                         if (self.validateChecksum(telegramData.slice(1, frameLength + 2), telegramData.slice(frameLength, frameLength + 2))) {
+                            this.push(telegramData.slice(0, frameLength));
                             data = data.slice(frameLength + 2);
                         } else {
                             //crc didn't match skip the telegram
                             data = data.slice(1);
                         }
                     } else {
+                        this.push(telegramData);
                         data = data.slice(frameLength);
                     }
 
@@ -235,4 +469,54 @@ class TelegramStrem extends Transform {
 
 }
 
+/**
+* HCI start of frame, radio link endpoint and data request message.
+*/
+ImstReader.START_BYTE = 0xA5;
+ImstReader.RADIOLINK_ID = 0x02;
+ImstReader.RADIOLINK_MSG_WMBUSMSG_REQ = 0x01;
+
+/**
+* Device management endpoint and configuration messages.
+*/
+ImstReader.DEVMGMT_ID = 0x01;
+ImstReader.DEVMGMT_MSG_SET_CONFIG_REQ = 0x03;
+ImstReader.DEVMGMT_MSG_SET_CONFIG_RSP = 0x04;
+
+/**
+* Control field flags of attached timestamp, RSSI and CRC.
+*/
+ImstReader.CONTROL_TIMESTAMP = 0x20;
+ImstReader.CONTROL_RSSI = 0x40;
+ImstReader.CONTROL_CRC = 0x80;
+
+/**
+* Link modes of module, as defined by WM-Bus HCI specification of iM871A.
+* C1 and C2 use frame format B (C1 and C2 with frame format A are 0x06 and
+* 0x08). Module is 868 MHz only, so there is no N mode.
+*/
+ImstReader.LINK_MODES = {
+    'S1': 0x00,
+    'S1-m': 0x01,
+    'S2': 0x02,
+    'T1': 0x03,
+    'T2': 0x04,
+    'R2': 0x05,
+    'C1': 0x07,
+    'C2': 0x09
+};
+
+/**
+* Device modes of module.
+*/
+ImstReader.DEVICE_MODES = {
+    'other': 0x00,
+    'meter': 0x01
+};
+
+/**
+* RSSI offset in dB.
+*/
+ImstReader.RSSI_OFFSET = 130;
+
 export default ImstReader;
\ No newline at end of file
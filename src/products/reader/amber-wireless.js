@@ -20,6 +20,8 @@ class AmberWirelessReader extends WMBusReader {
   *   source Source file to read data from
   * @param buffer
   *   Data buffer to send data
+  * @param linkMode
+  *   Link mode configured to module, like 'C1', attached to data packets
   */
   constructor(options = {}) {
     super(options);
@@ -30,6 +32,9 @@ class AmberWirelessReader extends WMBusReader {
     this._serialPortPath = options.hasOwnProperty('serialPortPath') ?
       options.serialPortPath : false;
 
+    this._linkMode = options.hasOwnProperty('linkMode') ?
+      options.linkMode : null;
+
     this._enabled = false;    
     this._done = false;
     this._processing = false;
@@ -51,6 +56,8 @@ class AmberWirelessReader extends WMBusReader {
       parity: 'none'
     });
 
+    this._serialPort = serialPort;
+
       serialPort.on("error", () => {
           this.emit("error");
       console.log(`Unable to connect serial port: ${self._serialPortPath}`);
@@ -78,11 +85,62 @@ class AmberWirelessReader extends WMBusReader {
 
       while (null !== (data = telegramStream.read())) {
         // console.log("Push raw telegram data...");
-        self._buffer.push(new DataPacket(data));
+        self.pushPacket(self.buildPacket(data));
       }
     });
   }
 
+  /**
+  * Build data packet from received CMD_DATA_IND message. Module appends
+  * RSSI byte to received frame.
+  *
+  * @param message
+  *   Message starting from start byte, including RSSI and checksum
+  * @return packet
+  */
+  buildPacket(message) {
+    return new DataPacket(message.slice(2), {
+      rssi: AmberWirelessReader.toDbm(message[message.length - 2]),
+      linkMode: this._linkMode
+    });
+  }
+
+  /**
+  * Convert RSSI byte of module to dBm. Value is two's complement in half
+  * dB steps with offset of the radio chip (CC1101).
+  *
+  * @param raw
+  * @return RSSI in dBm
+  */
+  static toDbm(raw) {
+    return (raw >= 128 ? raw - 256 : raw) / 2 -
+      AmberWirelessReader.RSSI_OFFSET;
+  }
+
+  /**
+  * Wrap frame to CMD_DATA_REQ command. Module adds L-field and CRCs, so
+  * command payload starts from C-field.
+  *
+  * @param frame
+  *   CRC free frame starting from L-field
+  * @return command buffer
+  */
+  buildDataRequest(frame) {
+    let payload = frame.slice(1);
+    let command = Buffer.concat([
+      Buffer.from([AmberWirelessReader.START_BYTE,
+        AmberWirelessReader.CMD_DATA_REQ, payload.length]),
+      payload,
+      Buffer.alloc(1)
+    ]);
+
+    // Checksum is XOR of all preceding bytes
+    for (let i = 0; i < command.length - 1; i++)
+      command[command.length - 1] ^= command[i];
+
+    return command;
+  }
+
   /**
   * Disables the source after use
   */
@@ -162,7 +220,7 @@ class TelegramStrem extends Transform {
 
         if (self.validateChecksum(telegramData)) {
           // This is valid telegram, register and remove
-          this.push(telegramData.slice(2));
+          this.push(telegramData);
           data = data.slice(frameLength - 4);
         } else {
           // This is not valid telegram, remove leading value
@@ -245,4 +303,15 @@ class TelegramStrem extends Transform {
   }
 }
 
+/**
+* Command frame start byte and data request command.
+*/
+AmberWirelessReader.START_BYTE = 0xFF;
+AmberWirelessReader.CMD_DATA_REQ = 0x00;
+
+/**
+* RSSI offset in dB.
+*/
+AmberWirelessReader.RSSI_OFFSET = 74;
+
 export default AmberWirelessReader;
\ No newline at end of file
@@ -0,0 +1,30 @@
+import CMAC from "./../src/includes/crypto/cmac"
+
+import assert from "assert"
+
+describe('CMAC', () => {
+
+  describe('Test RFC 4493 vectors' , () => {
+    it('It should calculate AES-CMAC', done => {
+      let key = Buffer.from("2b7e151628aed2a6abf7158809cf4f3c", "hex");
+      let message = Buffer.from(
+        "6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51" +
+        "30c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710", "hex");
+
+      const vectors = [
+        [0, "bb1d6929e95937287fa37d129b756746"],
+        [16, "070a16b46b4d4144f79bdd9dd04a287c"],
+        [40, "dfa66747de9ae63030ca32611497c827"],
+        [64, "51f0bebf7e3b9d92fc49741779363cfe"]
+      ];
+
+      for (let i = 0; i < vectors.length; i++) {
+        let mac = CMAC.calculate(key, message.slice(0, vectors[i][0]));
+
+        if (mac.toString('hex') != vectors[i][1])
+          return done(new Error(`Invalid CMAC for ${vectors[i][0]} bytes`));
+      }
+      done();
+    })
+  });
+});
@@ -0,0 +1,87 @@
+import DataRecordParser from "./../src/includes/telegram/data-record-parser"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import Hummie1Meter from "./../src/products/meters/hummie1-meter"
+
+import assert from "assert"
+
+describe('Data record parser', () => {
+
+  describe('Test record parsing' , () => {
+    it('It should parse DIF, DIFE, VIF and VIFE chains', done => {
+      let payload = Buffer.from(
+        "2f2f" +
+        "0413e8030000" +
+        "c4151339300000" +
+        "84401301000000" +
+        "02fd170000" +
+        "0d780434333231" +
+        "0f010203", "hex");
+
+      let records = DataRecordParser.parse(payload);
+
+      if (records.length != 6)
+        return done(new Error("Parser didn't return expected amount of records"));
+
+      if (records[0].getVIF() != 0x13 || records[0].getStorageNumber() != 0 ||
+          records[0].getData().readUInt32LE() != 1000)
+        return done(new Error("Invalid first record"));
+
+      if (records[1].getStorageNumber() != 11 || records[1].getTariff() != 1 ||
+          records[1].getSubunit() != 0)
+        return done(new Error("Invalid DIFE chain decoding"));
+
+      if (records[2].getSubunit() != 1 || records[2].getStorageNumber() != 0)
+        return done(new Error("Invalid subunit decoding"));
+
+      if (records[3].getVIF() != 0xfd || records[3].getVIFE()[0] != 0x17)
+        return done(new Error("Invalid VIFE chain decoding"));
+
+      if (records[4].getLVAR() != 4 || records[4].getData().toString() != "4321")
+        return done(new Error("Invalid variable length record"));
+
+      if (!records[5].isManufacturerSpecific() ||
+          records[5].getData().toString('hex') != "010203")
+        return done(new Error("Invalid manufacturer specific record"));
+
+      done();
+    })
+  });
+
+  describe('Test truncated payload' , () => {
+    it('It should ignore truncated record', done => {
+      let records = DataRecordParser.parse(Buffer.from("0413e80300000413e803", "hex"));
+
+      if (records.length != 1)
+        return done(new Error("Truncated record was not ignored"));
+
+      done();
+    })
+  });
+
+  describe('Test telegram records' , () => {
+    it('It should expose records on telegram', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['unknown']['hummie1'][0];
+
+      let packet = new DataPacket(Buffer.from(input['telegram'], "hex"));
+      let telegram = new WirelessMBusTelegram(packet);
+
+      let meter = Hummie1Meter.getInstance();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+      meter.processTelegramData(telegram);
+
+      let record = telegram.findRecord({ vif: 0xfd, vife: 0x48 });
+
+      if (!record || record.getData().readUInt8() != 25)
+        return done(new Error("Record lookup failed"));
+
+      if (telegram.getRecords()[0].getVIF() != 0x66)
+        return done(new Error("Records are not in payload order"));
+
+      done();
+    })
+  });
+});
@@ -0,0 +1,117 @@
+import DataTypes from "./../src/includes/telegram/data-types"
+import DataRecordParser from "./../src/includes/telegram/data-record-parser"
+
+import assert from "assert"
+
+describe('Data types', () => {
+
+  describe('Test integer decoding' , () => {
+    it('It should decode signed integers', done => {
+      if (DataTypes.decode(0x1, Buffer.from("fe", "hex")).value != -2)
+        return done(new Error("Invalid 8 bit integer"));
+
+      if (DataTypes.decode(0x3, Buffer.from("010203", "hex")).value != 0x030201)
+        return done(new Error("Invalid 24 bit integer"));
+
+      if (DataTypes.decode(0x7, Buffer.from("0000000001000000", "hex")).value != 0x100000000)
+        return done(new Error("Invalid 64 bit integer"));
+
+      // All bits set is -1, not "value not available" marker
+      if (DataTypes.decode(0x2, Buffer.from("ffff", "hex")).value !== -1)
+        return done(new Error("Invalid 16 bit integer -1"));
+
+      if (DataTypes.decode(0x4, Buffer.from("ffffffff", "hex")).value !== -1)
+        return done(new Error("Invalid 32 bit integer -1"));
+
+      done();
+    })
+  });
+
+  describe('Test BCD and real decoding' , () => {
+    it('It should decode BCD and real values', done => {
+      if (DataTypes.decode(0xC, Buffer.from("78563412", "hex")).value != 12345678)
+        return done(new Error("Invalid 8 digit BCD"));
+
+      if (DataTypes.decode(0xA, Buffer.from("34f2", "hex")).value != -234)
+        return done(new Error("Invalid negative BCD"));
+
+      if (DataTypes.decode(0x9, Buffer.from("1a", "hex")).available)
+        return done(new Error("Invalid BCD digit was not detected"));
+
+      if (DataTypes.decode(0x5, Buffer.from("0000c03f", "hex")).value != 1.5)
+        return done(new Error("Invalid real value"));
+
+      done();
+    })
+  });
+
+  describe('Test LVAR decoding' , () => {
+    it('It should decode strings and variable length numbers', done => {
+      if (DataTypes.decode(0xD, Buffer.from("434241", "hex"), { lvar: 0x03 }).value != "ABC")
+        return done(new Error("Invalid LVAR string"));
+
+      if (DataTypes.decode(0xD, Buffer.from("2301", "hex"), { lvar: 0xD2 }).value != -123)
+        return done(new Error("Invalid LVAR negative BCD"));
+
+      if (DataTypes.decode(0xD, Buffer.from("0102", "hex"), { lvar: 0xE2 }).value != 0x0201)
+        return done(new Error("Invalid LVAR binary"));
+
+      done();
+    })
+  });
+
+  describe('Test date decoding' , () => {
+    it('It should decode date types to Date objects', done => {
+      // 13.06.2019
+      let date = DataTypes.decode(0x2, Buffer.from("6d26", "hex"), { dateType: 'G' }).value;
+
+      if (!(date instanceof Date) || date.toISOString() != '2019-06-13T00:00:00.000Z')
+        return done(new Error("Invalid type G date"));
+
+      // 13.06.2019 12:30
+      date = DataTypes.decode(0x4, Buffer.from("1e0c6d26", "hex"), { dateType: 'F' }).value;
+
+      if (date.toISOString() != '2019-06-13T12:30:00.000Z')
+        return done(new Error("Invalid type F date and time"));
+
+      if (DataTypes.decode(0x4, Buffer.from("9e0c6d26", "hex"), { dateType: 'F' }).available)
+        return done(new Error("Invalid bit of type F was not detected"));
+
+      // 13.06.2019 12:30:45
+      date = DataTypes.decode(0x6, Buffer.from("2d1e0c6d2600", "hex"), { dateType: 'I' }).value;
+
+      if (date.toISOString() != '2019-06-13T12:30:45.000Z')
+        return done(new Error("Invalid type I date and time"));
+
+      let time = DataTypes.decode(0x3, Buffer.from("2d1e0c", "hex"), { dateType: 'J' }).value;
+
+      if (time.hour != 12 || time.minute != 30 || time.second != 45)
+        return done(new Error("Invalid type J time"));
+
+      let windows = DataTypes.decode(0xD, Buffer.from("010000000000000000000080", "hex"), { dateType: 'L' }).value;
+
+      if (windows.length != 96 || !windows[0] || windows[1] || !windows[95])
+        return done(new Error("Invalid type L listening window"));
+
+      done();
+    })
+  });
+
+  describe('Test record values' , () => {
+    it('It should return typed record values', done => {
+      let records = DataRecordParser.parse(Buffer.from(
+        "026c6d26" + "046d1e0c6d26" + "0c13ffffffff", "hex"));
+
+      if (!(records[0].getValue() instanceof Date))
+        return done(new Error("Date record didn't return Date"));
+
+      if (records[1].getQuantity().value.getUTCHours() != 12)
+        return done(new Error("Date and time record didn't return Date"));
+
+      if (records[2].isValueAvailable() || records[2].getQuantity().value !== null)
+        return done(new Error("Record value not available marker was not detected"));
+
+      done();
+    })
+  });
+});
@@ -0,0 +1,72 @@
+import DuplicateFilter from "./../src/includes/buffer/duplicate-filter"
+import DataBuffer from "./../src/includes/buffer/data-buffer"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import TelegramBuilder from "./../src/includes/telegram/telegram-builder"
+
+import assert from "assert"
+
+/**
+* Build CRC free telegram with extended link layer.
+*/
+function buildPacket(options = {}, timestamp = 1000) {
+  let builder = new TelegramBuilder({
+    manufacturer: 'KAM',
+    id: '12345678',
+    version: 0x1b,
+    deviceType: 0x16,
+    ell: { cc: options.cc || 0x00 },
+    accessNumber: options.accessNumber || 0x42
+  });
+  builder.addRecord({ dif: 0x04, vif: 0x13, value: options.value || 1000 });
+
+  return new DataPacket(builder.build().getBuffer(), { timestamp: timestamp });
+}
+
+describe('Duplicate filter', () => {
+
+  describe('Test duplicate suppression' , () => {
+    it('It should pass only first copy of telegram', done => {
+      let target = new DataBuffer();
+      let source = new DataBuffer({ disableStoring: true });
+      let filter = new DuplicateFilter({ buffer: target, frameFormat: 'none' });
+
+      source.registerListener('duplicates', filter);
+
+      source.push(buildPacket());
+      source.push(buildPacket({}, 2000));
+      // Repeater sets hop bit, otherwise telegram is equal
+      source.push(buildPacket({ cc: 0x10 }, 3000));
+      // Next telegram of meter has new access number
+      source.push(buildPacket({ accessNumber: 0x43 }, 4000));
+      // Same access number with different payload is not a copy
+      source.push(buildPacket({ value: 2000 }, 5000));
+
+      let packets = [];
+      while (target.hasData())
+        packets.push(target.fetch());
+
+      assert.deepEqual(packets.map(packet => packet.getTimestamp()),
+        [1000, 4000, 5000]);
+      assert.deepEqual(filter.getStats(), {
+        received: 5,
+        passed: 3,
+        dropped: 2,
+        repeated: 1
+      });
+      assert.deepEqual(filter.getCopies(packets[0]).map(copy => copy.repeated),
+        [false, false, true]);
+      done();
+    })
+
+    it('It should pass copies after window', done => {
+      let filter = new DuplicateFilter({ window: 1000, frameFormat: 'none' });
+
+      assert.ok(filter.push(buildPacket()));
+      assert.ok(!filter.push(buildPacket({ cc: 0x10 }, 1500)));
+      assert.ok(filter.push(buildPacket({}, 2500)));
+      assert.equal(filter.discardExpired(10000), 1);
+      assert.equal(filter.getCopies(buildPacket()).length, 0);
+      done();
+    })
+  });
+});
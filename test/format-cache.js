@@ -0,0 +1,138 @@
+import FormatCache from "./../src/includes/telegram/format-cache"
+import DataRecordParser from "./../src/includes/telegram/data-record-parser"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import WirelessMBusMeter from "./../src/includes/meter/wmbus-meter"
+import CRC from "./../src/includes/misc/crc"
+
+import assert from "assert"
+
+/**
+* Build CRC free telegram with correct L-field.
+*/
+function buildTelegram(hex) {
+  let frame = Buffer.from("00442d2c785634123307" + hex, "hex");
+  frame[0] = frame.length - 1;
+  return new WirelessMBusTelegram(new DataPacket(frame));
+}
+
+describe('Format cache', () => {
+
+  // Volume, target volume and error flags
+  let format = Buffer.from("0413441302fd17", "hex");
+  let full = "78" + "0413e8030000" + "4413d0070000" + "02fd170400";
+
+  // Record data of full frame with the same values
+  let fullRecords = data => "0413" + data.slice(0, 8) + "4413" +
+    data.slice(8, 16) + "02fd17" + data.slice(16);
+  let compact = data => {
+    let crc = CRC.crc16EN13757(Buffer.from(fullRecords(data), "hex"));
+    let header = Buffer.alloc(4);
+    header.writeUInt16LE(FormatCache.getSignature(format), 0);
+    header.writeUInt16LE(crc, 2);
+    return "79" + header.toString('hex') + data;
+  };
+
+  describe('Test learning formats' , () => {
+    it('It should learn format from full frame records', done => {
+      let cache = new FormatCache();
+      let records = DataRecordParser.parse(Buffer.from(full.slice(2), "hex"));
+      let signature = cache.learn(records);
+
+      if (!cache.get(signature) || !cache.get(signature).equals(format))
+        return done(new Error("Format was not learned"));
+
+      records = cache.decode(signature, Buffer.from("b80b0000d00700000000", "hex"));
+
+      if (records.length != 3 || records[0].getRawValue() != 3000 ||
+          records[1].getStorageNumber() != 1 || records[2].getVIFE()[0] != 0x17)
+        return done(new Error("Compact data was not decoded"));
+
+      if (cache.decode(signature, Buffer.from("b80b0000", "hex")) !== null)
+        return done(new Error("Truncated compact data was decoded"));
+
+      // Data CRC of full frame is checked
+      let crc = CRC.crc16EN13757(
+        Buffer.from(fullRecords("b80b0000d00700000000"), "hex"));
+      assert.equal(cache.decode(signature,
+        Buffer.from("b80b0000d00700000000", "hex"), crc).length, 3);
+      assert.equal(cache.decode(signature,
+        Buffer.from("b80b0000d00700000000", "hex"), crc ^ 1), null);
+
+      done();
+    })
+  });
+
+  describe('Test compact frames' , () => {
+    it('It should buffer compact frames until full frame is received', done => {
+      let meter = new WirelessMBusMeter();
+      meter.applySettings({
+        disableMeterDataCheck: true,
+        frameFormat: 'none'
+      });
+
+      let emitted = [];
+      meter.on('telegram', telegram => emitted.push(telegram));
+
+      let telegram = buildTelegram(compact("b80b0000d00700000000"));
+
+      if (meter.processTelegramData(telegram) ||
+          meter.getPendingCompactFrameCount() != 1)
+        return done(new Error("Compact frame was not buffered"));
+
+      if (!meter.processTelegramData(buildTelegram(full)))
+        return done(new Error("Full frame was not processed"));
+
+      if (emitted.length != 1 || emitted[0] !== telegram ||
+          meter.getPendingCompactFrameCount() != 0)
+        return done(new Error("Buffered compact frame was not emitted"));
+
+      let quantity = meter.getRecordQuantity(telegram, { quantity: 'Volume' });
+
+      if (!quantity || quantity.value != 3)
+        return done(new Error("Invalid volume of buffered compact frame"));
+
+      // Format is known now
+      telegram = buildTelegram(compact("a00f0000d00700000000"));
+
+      if (!meter.processTelegramData(telegram) ||
+          meter.getRecordQuantity(telegram, { quantity: 'Volume' }).value != 4)
+        return done(new Error("Compact frame was not decoded"));
+
+      done();
+    })
+
+    it('It should not decode compact frame with wrong format', done => {
+      let meter = new WirelessMBusMeter();
+      meter.applySettings({
+        disableMeterDataCheck: true,
+        frameFormat: 'none'
+      });
+
+      // Wrong format under signature of the meter's format: data fits, but
+      // target volume would be decoded with wrong exponent
+      meter._formatCache.set(FormatCache.getSignature(format),
+        Buffer.from("0413441502fd17", "hex"));
+
+      let emitted = [];
+      meter.on('telegram', telegram => emitted.push(telegram));
+
+      let telegram = buildTelegram(compact("b80b0000d00700000000"));
+
+      if (meter.processTelegramData(telegram) ||
+          meter.getPendingCompactFrameCount() != 1)
+        return done(new Error("Compact frame was decoded with wrong format"));
+
+      // Full frame replaces wrong format
+      if (!meter.processTelegramData(buildTelegram(full)))
+        return done(new Error("Full frame was not processed"));
+
+      assert.equal(emitted.length, 1);
+      assert.equal(meter.getPendingCompactFrameCount(), 0);
+      assert.equal(meter.getRecordQuantity(telegram,
+        { quantity: 'Volume', storageNumber: 1 }).value, 2);
+
+      done();
+    })
+  });
+});
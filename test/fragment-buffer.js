@@ -0,0 +1,130 @@
+import FragmentBuffer from "./../src/includes/buffer/fragment-buffer"
+import DataBuffer from "./../src/includes/buffer/data-buffer"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import WirelessMBusMeter from "./../src/includes/meter/wmbus-meter"
+
+import assert from "assert"
+
+/**
+* Build CRC free frame with correct L-field.
+*/
+function buildPacket(hex, timestamp = 1000) {
+  let frame = Buffer.from("00442d2c785634123307" + hex, "hex");
+  frame[0] = frame.length - 1;
+  return new DataPacket(frame, { timestamp: timestamp });
+}
+
+describe('Fragment buffer', () => {
+
+  // First fragment with message length, second and last fragment
+  let first = "900401500b00" + "7a2a0000000413e8";
+  let last = "90020200" + "0300002f2f";
+
+  describe('Test reassembly' , () => {
+    it('It should reassemble fragments to single packet', done => {
+      let target = new DataBuffer();
+      let source = new DataBuffer({ disableStoring: true });
+
+      source.registerListener('fragments', new FragmentBuffer({
+        buffer: target,
+        frameFormat: 'none'
+      }));
+
+      source.push(buildPacket(first));
+
+      if (target.hasData())
+        return done(new Error("Incomplete message was passed"));
+
+      source.push(buildPacket(last, 2000));
+
+      let packet = target.fetch();
+
+      if (!packet || !packet.isReassembled() || packet.getFragments().length != 2)
+        return done(new Error("Message was not reassembled"));
+
+      if (packet.getBuffer().toString('hex') !=
+          "1c442d2c785634123307900401100b007a2a0000000413e80300002f2f")
+        return done(new Error("Invalid reassembled frame"));
+
+      let meter = new WirelessMBusMeter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      let telegram = new WirelessMBusTelegram(packet);
+      meter.processTelegramData(telegram);
+
+      let quantity = meter.getRecordQuantity(telegram, { quantity: 'Volume' });
+
+      if (!quantity || quantity.value != 1)
+        return done(new Error("Invalid volume record"));
+
+      done();
+    })
+
+    it('It should pass unfragmented packets', done => {
+      let fragments = new FragmentBuffer({ frameFormat: 'none' });
+      let packet = buildPacket("7a2a0000000413e8030000");
+
+      if (fragments.push(packet) !== packet)
+        return done(new Error("Packet without AFL was not passed"));
+
+      packet = buildPacket("90020000" + "7a2a0000000413e8030000");
+
+      if (fragments.push(packet) !== packet)
+        return done(new Error("Unfragmented AFL packet was not passed"));
+
+      done();
+    })
+  });
+
+  describe('Test incomplete messages' , () => {
+    it('It should discard expired and out of sequence fragments', done => {
+      let fragments = new FragmentBuffer({
+        frameFormat: 'none',
+        timeout: 5000
+      });
+
+      fragments.push(buildPacket(first, 1000));
+
+      if (fragments.getPendingCount() != 1)
+        return done(new Error("Fragment was not buffered"));
+
+      if (fragments.push(buildPacket(last, 7000)) !== null ||
+          fragments.getPendingCount() != 0)
+        return done(new Error("Expired fragment was not discarded"));
+
+      fragments.push(buildPacket(first, 1000));
+
+      if (fragments.push(buildPacket("90020300" + "0300002f2f", 2000)) !== null ||
+          fragments.getPendingCount() != 0)
+        return done(new Error("Out of sequence fragment was not discarded"));
+
+      done();
+    })
+
+    it('It should discard expired messages by timer', done => {
+      let fragments = new FragmentBuffer({
+        frameFormat: 'none',
+        timeout: 10,
+        expiryInterval: 5
+      });
+
+      fragments.push(buildPacket(first, Date.now()));
+
+      if (fragments.getPendingCount() != 1)
+        return done(new Error("Fragment was not buffered"));
+
+      setTimeout(() => {
+        let pending = fragments.getPendingCount();
+        fragments.dispose();
+
+        if (pending != 0)
+          return done(new Error("Expired fragment was not discarded"));
+
+        done();
+      }, 50);
+    })
+  });
+});
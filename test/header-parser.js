@@ -0,0 +1,103 @@
+import HeaderParser from "./../src/includes/telegram/header-parser"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import WirelessMBusMeter from "./../src/includes/meter/wmbus-meter"
+import KamstrupMultical21Meter from "./../src/products/meters/kamstrup-multical-21-meter"
+
+import assert from "assert"
+
+describe('Header parser', () => {
+
+  describe('Test short and long header' , () => {
+    it('It should parse transport layer headers', done => {
+      // ELL without session number followed by short header
+      let headers = HeaderParser.parse(Buffer.from(
+        "1d44335101000000011b8ca0667afa0000a00266dc00", "hex"));
+
+      if (!headers.ell || headers.ell.cc != 0xa0 || headers.ell.accessNumber != 0x66)
+        return done(new Error("Invalid ELL header"));
+
+      if (headers.tpl.type != 'short' || headers.tpl.accessNumber != 0xfa ||
+          headers.tpl.status != 0 || headers.tpl.configuration.raw != 0xa000)
+        return done(new Error("Invalid short header"));
+
+      if (headers.payloadOffset != 18 || headers.encrypted)
+        return done(new Error("Invalid payload offset"));
+
+      // Long header with mode 5 configuration word
+      headers = HeaderParser.parse(Buffer.from(
+        "2e4493157856341233037278563412931533032a0020052f2f", "hex"));
+
+      let tpl = headers.tpl;
+
+      if (tpl.type != 'long' || tpl.accessNumber != 0x2a ||
+          tpl.secondaryAddress.id != '12345678' ||
+          tpl.secondaryAddress.manufacturer.toString('hex') != '9315' ||
+          tpl.secondaryAddress.deviceType != 0x03)
+        return done(new Error("Invalid long header"));
+
+      if (tpl.configuration.mode != 5 || tpl.configuration.encryptedBlocks != 2 ||
+          !headers.encrypted)
+        return done(new Error("Invalid configuration word"));
+
+      done();
+    })
+  });
+
+  describe('Test AFL header' , () => {
+    it('It should parse AFL header and following transport layer', done => {
+      let headers = HeaderParser.parse(Buffer.from(
+        "2e449315785634123303900f002c25010000001122334455667788" + "78" + "0413", "hex"));
+
+      let afl = headers.afl;
+
+      if (!afl || afl.fragmentId != 0 || afl.moreFragments ||
+          afl.messageCounter != 1 || afl.mac.toString('hex') != "1122334455667788")
+        return done(new Error("Invalid AFL header"));
+
+      if (headers.tpl.type != 'none' || headers.payloadOffset != 28)
+        return done(new Error("Invalid transport layer after AFL"));
+
+      done();
+    })
+  });
+
+  describe('Test meter headers' , () => {
+    it('It should provide header values for any meter', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let packet = new DataPacket(Buffer.from(input['telegram'], "hex"));
+      let telegram = new WirelessMBusTelegram(packet);
+
+      let meter = new WirelessMBusMeter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+      meter.processTelegramData(telegram);
+
+      if (meter.getCIField(telegram).toString('hex') != "8d" ||
+          meter.getSNField(telegram).toString('hex') != "31fb7c20" ||
+          meter.getAccessNumber(telegram) != 0x6a)
+        return done(new Error("Invalid ELL values"));
+
+      if (!telegram.getHeaders().encrypted || telegram.getHeader('tpl') !== null)
+        return done(new Error("Encrypted ELL was not detected"));
+
+      let kamstrup = new KamstrupMultical21Meter();
+      kamstrup.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      telegram = new WirelessMBusTelegram(packet);
+      kamstrup.processTelegramData(telegram, { aes: input['aes'] });
+
+      let tpl = telegram.getHeader('tpl');
+
+      if (tpl.type != 'compact' || tpl.formatSignature != 0x2168)
+        return done(new Error("Invalid compact frame header"));
+
+      done();
+    })
+  });
+});
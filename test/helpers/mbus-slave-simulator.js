@@ -0,0 +1,252 @@
+import stream from "stream"
+import MBusLinkLayer from "./../../src/includes/telegram/mbus-link-layer"
+import MeterId from "./../../src/includes/meter/meter-id"
+
+/**
+* In-process wired M-Bus slave, which answers to master over virtual serial
+* port pair. Slave supports SND_NKE, REQ_UD2 with frame count bit, selection
+* by secondary address and multi-telegram responses.
+*/
+class MBusSlaveSimulator {
+
+  /**
+  * Construct slave.
+  *
+  * @param options
+  *   address - Primary address, defaults to 1
+  *   meterId - Secondary address as MeterId string
+  *   telegrams - List of data record payloads as hex strings. "More records
+  *     follow" flag is added to all but last telegram.
+  *   dropRequests - Number of REQ_UD2 requests left unanswered
+  *   accessNumber - Initial access number
+  */
+  constructor(options = {}) {
+    this._address = options.hasOwnProperty('address') ? options.address : 1;
+    this._meterId = MeterId.parse(options.hasOwnProperty('meterId') ?
+      options.meterId : 'KAM 12345678 v01 t04');
+    this._telegrams = options.hasOwnProperty('telegrams') ?
+      options.telegrams : [''];
+    this._dropRequests = options.hasOwnProperty('dropRequests') ?
+      options.dropRequests : 0;
+    this._accessNumber = options.hasOwnProperty('accessNumber') ?
+      options.accessNumber : 0;
+
+    this._selected = false;
+    this._fcb = null;
+    this._index = -1;
+    this._lastResponse = null;
+    this._received = Buffer.alloc(0);
+    this._port = null;
+
+    // Requests received by slave as hex strings
+    this.requests = [];
+  }
+
+  /**
+  * Connect slave to serial port.
+  *
+  * @param port
+  *   Duplex stream, see createSerialPair()
+  * @param output
+  *   Stream for replies, defaults to port
+  */
+  connect(port, output = port) {
+    this._port = output;
+    port.on('data', data => this.receive(data));
+  }
+
+  /**
+  * Receive data from master.
+  *
+  * @param data
+  */
+  receive(data) {
+    let buffer = Buffer.concat([this._received, data]);
+    let length;
+
+    while ((length = MBusLinkLayer.getFrameLength(buffer)) > 0) {
+      let raw = buffer.slice(0, length);
+      buffer = buffer.slice(length);
+
+      this.requests.push(raw.toString('hex'));
+      this.handleFrame(MBusLinkLayer.decode(raw));
+    }
+    this._received = buffer;
+  }
+
+  /**
+  * Answer to master request.
+  *
+  * @param frame
+  */
+  handleFrame(frame) {
+    if (!frame.valid)
+      return;
+
+    let isAddressed = frame.address == this._address ||
+      (frame.address == MBusLinkLayer.ADDRESSES.NETWORK_LAYER &&
+       this._selected);
+
+    // SND_NKE
+    if (frame.type == 'short' && frame.c == MBusLinkLayer.C_FIELDS.SND_NKE) {
+      if (frame.address == MBusLinkLayer.ADDRESSES.NETWORK_LAYER)
+        this._selected = false;
+
+      if (isAddressed) {
+        this._fcb = null;
+        this._index = -1;
+        this.send(Buffer.from([MBusLinkLayer.ACK]));
+      }
+      return;
+    }
+
+    // Selection by secondary address
+    if (frame.type == 'long' &&
+        frame.ci == MBusLinkLayer.CI_FIELDS.SELECTION) {
+      this._selected = this.matchesSelection(frame.data.slice(1));
+
+      if (this._selected) {
+        this._fcb = null;
+        this.send(Buffer.from([MBusLinkLayer.ACK]));
+      }
+      return;
+    }
+
+    // REQ_UD2
+    if (frame.type == 'short' && isAddressed &&
+        (frame.c & ~MBusLinkLayer.FCB) == MBusLinkLayer.C_FIELDS.REQ_UD2) {
+      if (this._dropRequests > 0) {
+        this._dropRequests--;
+        return;
+      }
+
+      let fcb = !!(frame.c & MBusLinkLayer.FCB);
+
+      // Repeated FCB means that master didn't receive previous response
+      if (fcb !== this._fcb || !this._lastResponse) {
+        this._index = (this._index + 1) % this._telegrams.length;
+        this._lastResponse = this.buildResponse(this._index);
+      }
+      this._fcb = fcb;
+      this.send(this._lastResponse);
+    }
+  }
+
+  /**
+  * Check if selection data matches slave secondary address.
+  *
+  * @param data
+  *   ID, M, version and device type, wildcards are 0xF digits
+  * @return boolean
+  */
+  matchesSelection(data) {
+    let id = Buffer.from(data.slice(0, 4)).reverse().toString('hex')
+      .replace(/f/g, '*');
+    let m = data.readUInt16LE(4);
+    let manufacturer = ('000' + m.toString(16)).slice(-4);
+
+    return MeterId.parse(
+      `${m == 0xFFFF ? '*' : manufacturer} ${id} ` +
+      `v${data[6] == 0xFF ? '*' : data[6].toString(16)} ` +
+      `t${data[7] == 0xFF ? '*' : data[7].toString(16)}`
+    ).matches(this._meterId);
+  }
+
+  /**
+  * Build variable data response.
+  *
+  * @param index
+  *   Telegram index
+  * @return raw frame
+  */
+  buildResponse(index) {
+    let header = Buffer.alloc(12);
+    let id = this._meterId;
+
+    Buffer.from(id.getId(), 'hex').reverse().copy(header, 0);
+    header.writeUInt16LE(id.getManufacturerId(), 4);
+    header[6] = id.getVersion();
+    header[7] = id.getDeviceType();
+    header[8] = this._accessNumber++ & 0xFF;
+
+    let records = this._telegrams[index];
+    if (index < this._telegrams.length - 1)
+      records += '1f';
+
+    return MBusLinkLayer.encodeLong(MBusLinkLayer.C_FIELDS.RSP_UD,
+      this._address, MBusLinkLayer.CI_FIELDS.VARIABLE_DATA,
+      Buffer.concat([header, Buffer.from(records, 'hex')]));
+  }
+
+  /**
+  * Send data to master.
+  *
+  * @param data
+  */
+  send(data) {
+    this._port.write(data);
+  }
+
+  /**
+  * Connect several slaves to the same port. Replies sent at once collide:
+  * equal replies (like acknowledgements) pass, different replies are
+  * merged to corrupted data.
+  *
+  * @param slaves
+  * @param port
+  */
+  static connectBus(slaves, port) {
+    let replies = [];
+    let output = {
+      write: data => {
+        if (!replies.length)
+          setImmediate(() => {
+            port.write(MBusSlaveSimulator.mergeReplies(replies));
+            replies = [];
+          });
+
+        replies.push(data);
+      }
+    };
+    slaves.forEach(slave => slave.connect(port, output));
+  }
+
+  /**
+  * Merge colliding replies by OR'ing them byte by byte.
+  *
+  * @param replies
+  * @return buffer
+  */
+  static mergeReplies(replies) {
+    let length = Math.max.apply(null, replies.map(reply => reply.length));
+    let merged = Buffer.alloc(length);
+
+    replies.forEach(reply => {
+      for (let i = 0; i < reply.length; i++)
+        merged[i] |= reply[i];
+    });
+    return merged;
+  }
+
+  /**
+  * Create virtual serial port pair. Data written to one port is received by
+  * the other one.
+  *
+  * @return array of two duplex streams
+  */
+  static createSerialPair() {
+    let ports = [0, 1].map(() => new stream.Duplex({ read() {} }));
+
+    ports.forEach((port, index) => {
+      let other = ports[1 - index];
+
+      port._write = (chunk, encoding, callback) => {
+        setImmediate(() => other.push(chunk));
+        callback();
+      };
+    });
+    return ports;
+  }
+}
+
+export default MBusSlaveSimulator;
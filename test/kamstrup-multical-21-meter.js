@@ -4,12 +4,34 @@ import DataPacket from "./../src/includes/buffer/data-packet"
 import MeterImporter from "./../src/includes/meter/meter-importer"
 import LogReader from "./../src/includes/reader/log-reader"
 import DataBuffer from "./../src/includes/buffer/data-buffer"
+import Statistics from "./../src/includes/misc/statistics"
+import AES from "./../src/includes/crypto/aes"
+import CRC from "./../src/includes/misc/crc"
+import FormatCache from "./../src/includes/telegram/format-cache"
 
 import path from "path"
 import fs  from "fs"
 import assert from "assert"
 import Utils from './utils'
 
+/**
+* Build encrypted Multical 21 telegram from plain full frame records. Uses
+* address, ELL header and key of the test meter.
+*/
+function buildFullFrame(input, records) {
+  let payload = Buffer.from("78" + records, "hex");
+  let plcrc = Buffer.alloc(2);
+  plcrc.writeUInt16LE(CRC.crc16EN13757(payload), 0);
+
+  let encrypted = AES.encryptCTR(Buffer.concat([plcrc, payload]),
+    Buffer.from(input['aes'], "hex"), Buffer.from(input['iv'], "hex"));
+  let data = Buffer.concat([
+    Buffer.from(input['telegram'].substr(0, 34), "hex"), encrypted]);
+
+  data[0] = data.length - 1;
+  return data;
+}
+
 describe('Tests for KamstrupMultical21Meter', () => {
 
   describe('Test telegram initialization' , () => {
@@ -174,4 +196,255 @@ describe('Tests for KamstrupMultical21Meter', () => {
       });
     })
   });
-});
\ No newline at end of file
+
+  describe('Test decryption verification' , () => {
+    it('It should not produce values with wrong key or corrupted payload', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      let telegram = new WirelessMBusTelegram(
+        new DataPacket(Buffer.from(input['telegram'], "hex")));
+
+      if (meter.processTelegramData(telegram, {
+          aes: "00000000000000000000000000000000"
+        }))
+        return done(new Error("Telegram with wrong key was processed"));
+
+      if (telegram.getDecryption().reason != 'decryption-failed' ||
+          meter.getMeterValue(telegram) !== null ||
+          meter.getDecryptedELLData(telegram) !== null)
+        return done(new Error("Wrong key was not detected"));
+
+      let data = Buffer.from(input['telegram'], "hex");
+      data[25] ^= 0x01;
+      telegram = new WirelessMBusTelegram(new DataPacket(data));
+
+      if (meter.processTelegramData(telegram, { aes: input['aes'] }) ||
+          telegram.getDecryption().reason != 'decryption-failed')
+        return done(new Error("Corrupted payload was not detected"));
+
+      telegram = new WirelessMBusTelegram(
+        new DataPacket(Buffer.from(input['telegram'], "hex")));
+
+      if (meter.processTelegramData(telegram) ||
+          telegram.getDecryption().reason != 'missing-key')
+        return done(new Error("Missing key was not detected"));
+
+      telegram = new WirelessMBusTelegram(
+        new DataPacket(Buffer.from(input['telegram'], "hex")));
+
+      if (!meter.processTelegramData(telegram, { aes: input['aes'] }) ||
+          !telegram.getDecryption().success)
+        return done(new Error("Valid telegram was rejected"));
+
+      done();
+    })
+  });
+
+  describe('Test learned compact frame formats' , () => {
+    it('It should decode compact frame with learned format', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      // No seeded formats, format must be learned from full frame
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true,
+        formatCache: new FormatCache()
+      });
+
+      let compact = new WirelessMBusTelegram(
+        new DataPacket(Buffer.from(input['telegram'], "hex")));
+
+      if (meter.processTelegramData(compact, { aes: input['aes'] }) ||
+          meter.getPendingCompactFrameCount() != 1)
+        return done(new Error("Compact frame was decoded without format"));
+
+      // Full frame of the meter: info codes and volumes in m³ resolution
+      let records = "02ff200100" + "041600000000" + "441600000000";
+      let decrypted = Buffer.from(input['value'], "hex");
+
+      // Compact frame carries signature and data CRC of the full frame
+      assert.equal(decrypted.readUInt16LE(3), FormatCache.getSignature(
+        Buffer.from("02ff2004164416", "hex")));
+      assert.equal(decrypted.readUInt16LE(5),
+        CRC.crc16EN13757(Buffer.from(records, "hex")));
+
+      let full = new WirelessMBusTelegram(
+        new DataPacket(buildFullFrame(input, records)));
+
+      if (!meter.processTelegramData(full, { aes: input['aes'] }))
+        return done(new Error("Full frame was not processed"));
+
+      if (meter.getPendingCompactFrameCount() != 0)
+        return done(new Error("Compact frame was not decoded"));
+
+      assert.equal(meter.getMeterValue(compact), 0);
+      assert.equal(meter.getMeterTargetValue(compact), 0);
+      assert.equal(meter.getInfoCodeDry(compact), true);
+      assert.equal(meter.getMeterQuantity(compact).exponent, 0);
+
+      done();
+    })
+  });
+
+  describe('Test full frame records' , () => {
+    it('It should decode temperatures, flows, target date and hours', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      let records = "02ff200000" + "0413e8030000" + "4413d0070000" +
+        "426c413a" + "a1015b05" + "8101e7ff0f03" + "a2013b0a00" +
+        "92013b2c01" + "042210270000";
+
+      let telegram = new WirelessMBusTelegram(
+        new DataPacket(buildFullFrame(input, records)));
+
+      if (!meter.processTelegramData(telegram, { aes: input['aes'] }))
+        return done(new Error("Full frame was not processed"));
+
+      assert.equal(meter.getMeterValue(telegram), 1);
+      assert.equal(meter.getMeterTargetValue(telegram), 2);
+      assert.equal(meter.getFlowTemperature(telegram), 5);
+      assert.equal(meter.getExternalTemperature(telegram), 3);
+      assert.equal(meter.getMinimumFlow(telegram), 0.01);
+      assert.equal(meter.getMaximumFlow(telegram), 0.3);
+      assert.equal(meter.getHourCounter(telegram), 10000);
+
+      let date = meter.getTargetDate(telegram);
+      if (!(date instanceof Date) || date.getUTCFullYear() != 2026 ||
+          date.getUTCMonth() != 9 || date.getUTCDate() != 1)
+        return done(new Error("Invalid target date"));
+
+      let statistics = new Statistics();
+      let stats = statistics.getMeterStats(meter, telegram);
+      assert.equal(stats.flowTemperature, 5);
+      assert.equal(stats.externalTemperature, 3);
+      assert.equal(stats.maximumFlow, 0.3);
+
+      // Frame without temperature records keeps the last known values
+      telegram = new WirelessMBusTelegram(new DataPacket(buildFullFrame(
+        input, "02ff200000" + "0413e8030000" + "4413d0070000")));
+
+      if (!meter.processTelegramData(telegram, { aes: input['aes'] }))
+        return done(new Error("Full frame was not processed"));
+
+      if (meter.getFlowTemperature(telegram) !== null ||
+          meter.getHourCounter(telegram) !== null)
+        return done(new Error("Missing records should return null"));
+
+      stats = statistics.getMeterStats(meter, telegram);
+      assert.equal(stats.flowTemperature, 5);
+      assert.equal(stats.counter, 2);
+
+      done();
+    })
+  });
+
+  describe('Test signal statistics' , () => {
+    it('It should collect RSSI and link mode of meter', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+      let records = "02ff200000" + "0413e8030000" + "4413d0070000";
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      let statistics = new Statistics();
+      let stats = null;
+
+      [{ rssi: -80, linkMode: 'C1' }, {}, { rssi: -60 }, { rssi: -73 }]
+        .forEach(options => {
+          let telegram = new WirelessMBusTelegram(
+            new DataPacket(buildFullFrame(input, records), options));
+
+          assert.ok(meter.processTelegramData(telegram,
+            { aes: input['aes'] }), "Full frame was not processed");
+
+          stats = statistics.getMeterStats(meter, telegram);
+        });
+
+      assert.equal(stats.counter, 4);
+      assert.equal(stats.rssi, -73);
+      assert.equal(stats.minRssi, -80);
+      assert.equal(stats.maxRssi, -60);
+      assert.equal(stats.avgRssi, -71);
+      assert.equal(stats.rssiCounter, 3);
+      assert.equal(stats.linkMode, 'C1');
+
+      done();
+    })
+  });
+
+  describe('Test info codes and alarm events' , () => {
+    it('It should decode info codes and emit alarm transitions', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      let events = [];
+      meter.on('alarm-raised', alarm => events.push('+' + alarm));
+      meter.on('alarm-cleared', alarm => events.push('-' + alarm));
+
+      let process = (infoCodes, timestamp) => {
+        let telegram = new WirelessMBusTelegram(new DataPacket(
+          buildFullFrame(input, "02ff20" + infoCodes + "0413e8030000" +
+            "4413d0070000"), { timestamp: timestamp }));
+
+        if (!meter.processTelegramData(telegram, { aes: input['aes'] }))
+          return null;
+        return telegram;
+      };
+
+      // Leak for 9-24 hours
+      let telegram = process("0408", 1000);
+      if (!telegram)
+        return done(new Error("Telegram was not processed"));
+
+      let infoCodes = meter.getInfoCodes(telegram);
+      assert.equal(infoCodes.raw, 0x0804);
+      assert.deepEqual(infoCodes.leak,
+        { active: true, minHours: 9, maxHours: 24 });
+      assert.deepEqual(infoCodes.dry,
+        { active: false, minHours: 0, maxHours: 0 });
+      assert.equal(meter.getInfoCodeLeakDuration(telegram), '9-24 hours');
+      assert.deepEqual(events, ['+leak']);
+
+      // Same flags don't emit events
+      process("0408", 2000);
+      assert.deepEqual(events, ['+leak']);
+
+      // Leak stops and dry starts, longest duration has no upper limit
+      telegram = process("7100", 3000);
+      assert.deepEqual(meter.getInfoCodes(telegram).dry,
+        { active: true, minHours: 505, maxHours: null });
+      assert.deepEqual(events, ['+leak', '+dry', '-leak']);
+
+      // Older telegrams don't change alarm state
+      process("0000", 2500);
+      assert.deepEqual(events, ['+leak', '+dry', '-leak']);
+
+      // Timestamps of log packets are compared as numbers
+      process("0000", "10000");
+      assert.deepEqual(events, ['+leak', '+dry', '-leak', '-dry']);
+
+      done();
+    })
+  });
+});
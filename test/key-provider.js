@@ -0,0 +1,201 @@
+import KeyProvider from "./../src/includes/crypto/key-provider"
+import JSONKeyProvider from "./../src/includes/crypto/json-key-provider"
+import EnvironmentKeyProvider from "./../src/includes/crypto/environment-key-provider"
+import CallbackKeyProvider from "./../src/includes/crypto/callback-key-provider"
+import EncryptedFileKeyProvider from "./../src/includes/crypto/encrypted-file-key-provider"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import KamstrupMultical21Meter from "./../src/products/meters/kamstrup-multical-21-meter"
+
+import path from "path"
+import fs from "fs"
+import os from "os"
+import assert from "assert"
+
+const ADDRESS = "2d2c785634123307";
+const KEY = "0102030405060708090a0b0c0d0e0f11";
+
+describe('Key providers', () => {
+
+  describe('Test synchronous providers' , () => {
+    it('It should return keys from JSON and environment', done => {
+      let provider = new JSONKeyProvider({
+        keys: { "2D2C785634123307": KEY }
+      });
+
+      if (provider.getKey(ADDRESS).toString('hex') != KEY)
+        return done(new Error("JSON key was not found"));
+
+      provider = new JSONKeyProvider({
+        keys: new Map([[ADDRESS, { aes: KEY, label: "My meter" }]])
+      });
+
+      if (provider.getKey(Buffer.from(ADDRESS, "hex")).toString('hex') != KEY)
+        return done(new Error("Meter data key was not found"));
+
+      provider = new EnvironmentKeyProvider({
+        env: { WMBUS_KEY_2D2C785634123307: KEY.toUpperCase() }
+      });
+
+      if (provider.getKey(ADDRESS).toString('hex') != KEY ||
+          provider.getKey("2d2c785634123306") !== null)
+        return done(new Error("Environment key lookup failed"));
+
+      if (KeyProvider.normalizeKey("0102") !== null)
+        return done(new Error("Invalid key length was accepted"));
+
+      done();
+    })
+  });
+
+  describe('Test callback provider' , () => {
+    it('It should cache asynchronously fetched keys', done => {
+      let requests = 0;
+      let provider = new CallbackKeyProvider({
+        fetch: (address, callback) => {
+          requests++;
+          setImmediate(() => callback(null, address == ADDRESS ? KEY : null));
+        }
+      });
+
+      // First lookup starts fetch in background
+      if (provider.getKey(ADDRESS) !== null || provider.getKey(ADDRESS) !== null)
+        return done(new Error("Key was returned before fetch"));
+
+      provider.fetchKey(ADDRESS, (err, key) => {
+        if (err || requests != 1 || key.toString('hex') != KEY)
+          return done(new Error("Key fetch failed"));
+
+        if (provider.getKey(ADDRESS).toString('hex') != KEY)
+          return done(new Error("Fetched key was not cached"));
+
+        done();
+      });
+    })
+
+    it('It should not refetch missing keys within retry interval', done => {
+      let requests = 0;
+      let provider = new CallbackKeyProvider({
+        retryInterval: 1000,
+        fetch: (address, callback) => {
+          requests++;
+          setImmediate(() => callback(new Error("Unknown meter")));
+        }
+      });
+
+      provider.fetchKey(ADDRESS, (err, key) => {
+        if (!err || key !== null)
+          return done(new Error("Failed fetch returned key"));
+
+        provider.getKey(ADDRESS);
+        provider.fetchKey(ADDRESS, (err, key) => {
+          if (err || key !== null || requests != 1)
+            return done(new Error("Missing key was fetched again"));
+
+          if (provider.isRetryPending(ADDRESS, Date.now() + 1000))
+            return done(new Error("Missing key was not retried"));
+
+          done();
+        });
+      });
+    })
+  });
+
+  describe('Test encrypted file provider' , () => {
+    it('It should load keys from encrypted file', done => {
+      let source = path.join(os.tmpdir(), `wmbus-keys-${process.pid}.bin`);
+      let keys = {};
+      keys[ADDRESS] = KEY;
+
+      EncryptedFileKeyProvider.encrypt(keys, "secret", (err, data) => {
+        if (err)
+          return done(err);
+
+        fs.writeFileSync(source, data);
+
+        let provider = new EncryptedFileKeyProvider({
+          source: source,
+          passphrase: "wrong"
+        });
+
+        provider.load(err => {
+          if (!err)
+            return done(new Error("Wrong passphrase was accepted"));
+
+          provider = new EncryptedFileKeyProvider({
+            source: source,
+            passphrase: "secret"
+          });
+
+          provider.fetchKey(ADDRESS, (err, key) => {
+            fs.unlinkSync(source);
+
+            if (err || !key || key.toString('hex') != KEY)
+              return done(new Error("Key was not loaded from file"));
+
+            done();
+          });
+        });
+      });
+    })
+  });
+
+  describe('Test meter key provider' , () => {
+    it('It should decrypt telegram with provider key', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let packet = new DataPacket(Buffer.from(input['telegram'], "hex"));
+      let telegram = new WirelessMBusTelegram(packet);
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true,
+        keyProvider: new CallbackKeyProvider({
+          lookup: address => address == "2d2c454571631b16" ? input['aes'] : null
+        })
+      });
+      meter.processTelegramData(telegram);
+
+      if (!meter.getDecryptedELLData(telegram) ||
+          meter.getDecryptedELLData(telegram).toString('hex') != input['value'])
+        return done(new Error("Telegram was not decrypted"));
+
+      done();
+    })
+
+    it('It should process telegram again after key is fetched', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let packet = new DataPacket(Buffer.from(input['telegram'], "hex"));
+      let telegram = new WirelessMBusTelegram(packet);
+      let fetched = 0;
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true,
+        keyProvider: new CallbackKeyProvider({
+          fetch: (address, callback) => {
+            fetched++;
+            setTimeout(() => callback(null, input['aes']), 10);
+          }
+        })
+      });
+
+      meter.on('telegram', processed => {
+        assert.strictEqual(processed, telegram);
+        assert.equal(fetched, 1);
+        assert.ok(telegram.getDecryption().success);
+        assert.equal(meter.getDecryptedELLData(telegram).toString('hex'),
+          input['value']);
+        done();
+      });
+
+      // First telegram of meter is missing key while key is fetched
+      assert.ok(!meter.processTelegramData(telegram));
+      assert.equal(telegram.getDecryption().reason,
+        KamstrupMultical21Meter.DECRYPTION_ERRORS.MISSING_KEY);
+    })
+  });
+});
@@ -0,0 +1,117 @@
+import LinkLayer from "./../src/includes/telegram/link-layer"
+import CRC from "./../src/includes/misc/crc"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import KamstrupMultical21Meter from "./../src/products/meters/kamstrup-multical-21-meter"
+
+import assert from "assert"
+
+/**
+* Build format A frame by adding CRC after each block.
+*/
+function buildFormatA(data) {
+  let parts = [];
+  let index = 0;
+  let length = 10;
+
+  while (index < data.length) {
+    let block = data.slice(index, index + length);
+    let crc = Buffer.alloc(2);
+    crc.writeUInt16BE(CRC.crc16EN13757(block));
+    parts.push(block, crc);
+    index += length;
+    length = 16;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+* Build format B frame, L-field includes CRC.
+*/
+function buildFormatB(data) {
+  let frame = Buffer.concat([data, Buffer.alloc(2)]);
+  frame[0] = frame.length - 1;
+  frame.writeUInt16BE(CRC.crc16EN13757(frame.slice(0, data.length)), data.length);
+  return frame;
+}
+
+describe('Link layer', () => {
+
+  let tests = require('./test_data/test-meters');
+  let input = tests['kamstrup']['multical21'][0];
+  let raw = Buffer.from(input['telegram'], "hex");
+
+  describe('Test CRC' , () => {
+    it('It should calculate EN 13757-4 CRC', done => {
+      if (CRC.crc16EN13757(Buffer.from("123456789")) != 0xc2b7)
+        return done(new Error("Invalid CRC check value"));
+
+      done();
+    })
+  });
+
+  describe('Test frame format detection' , () => {
+    it('It should detect and strip format A and B CRCs', done => {
+      let frame = LinkLayer.decode(buildFormatA(raw));
+
+      if (frame.format != 'A' || !frame.valid || frame.blocks.length != 3)
+        return done(new Error("Format A was not detected"));
+
+      if (!frame.data.equals(raw))
+        return done(new Error("Format A CRCs were not stripped"));
+
+      frame = LinkLayer.decode(buildFormatB(raw));
+
+      if (frame.format != 'B' || !frame.valid || !frame.data.equals(raw))
+        return done(new Error("Format B was not detected"));
+
+      frame = LinkLayer.decode(raw);
+
+      if (frame.format != 'none' || !frame.data.equals(raw))
+        return done(new Error("CRC free frame was not passed as is"));
+
+      done();
+    })
+  });
+
+  describe('Test invalid CRC' , () => {
+    it('It should reject or flag telegrams with invalid CRC', done => {
+      // Corrupt second block CRC, payload itself stays intact
+      let data = buildFormatA(raw);
+      data[28] ^= 0xff;
+
+      let frame = LinkLayer.decode(data);
+
+      if (frame.valid || frame.blocks[0].valid !== true || frame.blocks[1].valid !== false)
+        return done(new Error("Invalid block CRC was not detected"));
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      let telegram = new WirelessMBusTelegram(new DataPacket(data));
+
+      if (meter.processTelegramData(telegram, { aes: input['aes'] }))
+        return done(new Error("Telegram with invalid CRC was not rejected"));
+
+      meter.applySettings({
+        rejectInvalidCRC: false
+      });
+
+      telegram = new WirelessMBusTelegram(new DataPacket(data));
+
+      if (!meter.processTelegramData(telegram, { aes: input['aes'] }) ||
+          meter.isFrameValid(telegram))
+        return done(new Error("Telegram with invalid CRC was not flagged"));
+
+      telegram = new WirelessMBusTelegram(new DataPacket(buildFormatA(raw)));
+      meter.processTelegramData(telegram, { aes: input['aes'] });
+
+      if (meter.getDecryptedELLData(telegram).toString('hex') != input['value'])
+        return done(new Error("Format A telegram decryption failed"));
+
+      done();
+    })
+  });
+});
@@ -0,0 +1,122 @@
+import DataPacket from "./../src/includes/buffer/data-packet"
+import MBusTelegram from "./../src/includes/telegram/mbus-telegram"
+import MBusMeter from "./../src/includes/meter/mbus-meter"
+import MBusLinkLayer from "./../src/includes/telegram/mbus-link-layer"
+
+import assert from "assert"
+
+// Long header: ID 12345678, KAM, version 01, heat, access number 2a
+const HEADER = "78563412" + "2d2c" + "01" + "04" + "2a" + "00" + "0000";
+
+// Energy 12345678 kWh (8 digit BCD), volume 1.00 m³ (8 digit BCD)
+const RECORDS = "0c0678563412" + "0c1400010000";
+
+/**
+* Build variable data response from primary address 5.
+*/
+function buildResponse(data = HEADER + RECORDS) {
+  return MBusLinkLayer.encodeLong(MBusLinkLayer.C_FIELDS.RSP_UD, 5,
+    MBusLinkLayer.CI_FIELDS.VARIABLE_DATA, Buffer.from(data, "hex"));
+}
+
+describe('Wired M-Bus', () => {
+
+  describe('Test frame decoding' , () => {
+    it('It should decode single character, short and control frames', done => {
+      assert.equal(MBusLinkLayer.decode(Buffer.from("e5", "hex")).type, 'ack');
+
+      let short = MBusLinkLayer.encodeShort(MBusLinkLayer.C_FIELDS.REQ_UD2, 5);
+      assert.equal(short.toString('hex'), '105b056016');
+
+      let frame = MBusLinkLayer.decode(short);
+      assert.equal(frame.type, 'short');
+      assert.equal(frame.c, 0x5b);
+      assert.equal(frame.address, 5);
+      assert.ok(frame.valid);
+
+      let control = MBusLinkLayer.encodeLong(0x53, 0xfe, 0x50);
+      assert.equal(control.toString('hex'), '6803036853fe50a116');
+
+      frame = MBusLinkLayer.decode(control);
+      assert.equal(frame.type, 'control');
+      assert.equal(frame.ci, 0x50);
+      assert.ok(frame.valid);
+
+      assert.equal(MBusLinkLayer.decode(Buffer.from("105b056116", "hex"))
+        .valid, false);
+      assert.equal(MBusLinkLayer.decode(Buffer.from("aa", "hex")).type,
+        'invalid');
+      done();
+    })
+
+    it('It should detect frame lengths and checksum errors', done => {
+      let response = buildResponse();
+
+      assert.equal(MBusLinkLayer.getFrameLength(response), response.length);
+      assert.equal(MBusLinkLayer.getFrameLength(response.slice(0, 10)), 0);
+      assert.equal(MBusLinkLayer.getFrameLength(Buffer.from("e5e5", "hex")),
+        1);
+      assert.equal(MBusLinkLayer.getFrameLength(Buffer.from("00", "hex")), -1);
+
+      let frame = MBusLinkLayer.decode(response);
+      assert.equal(frame.type, 'long');
+      assert.ok(frame.valid);
+
+      response[response.length - 2] ^= 0x01;
+      assert.equal(MBusLinkLayer.decode(response).valid, false);
+      done();
+    })
+  });
+
+  describe('Test variable data response' , () => {
+    it('It should decode records and meter address', done => {
+      let telegram = new MBusTelegram(new DataPacket(buildResponse()));
+      let meter = new MBusMeter();
+      meter.applySettings({ disableMeterDataCheck: true });
+
+      assert.ok(meter.processTelegramData(telegram));
+      assert.equal(meter.getPrimaryAddress(telegram), 5);
+      assert.equal(meter.getAddressField(telegram).toString('hex'),
+        '2d2c785634120104');
+      assert.equal(meter.getAccessNumber(telegram), 0x2a);
+      assert.equal(meter.getDeviceType(telegram), '04');
+      assert.equal(meter.describeMeter(telegram),
+        'Kamstrup (KAM), Heat (outlet)');
+
+      assert.equal(telegram.getRecords().length, 2);
+      assert.deepEqual(meter.getRecordQuantity(telegram,
+        { quantity: 'Energy' }),
+        { quantity: 'Energy', unit: 'Wh', value: 12345678000, exponent: 3 });
+      assert.equal(meter.getRecordValue(telegram, { quantity: 'Volume' }), 1);
+
+      let json = telegram.toJSON();
+      assert.equal(json.meter.id, '12345678');
+      assert.equal(json.meter.manufacturer, 'KAM');
+      assert.equal(json.header.c, 0x08);
+      assert.equal(json.header.ci, 0x72);
+      done();
+    })
+
+    it('It should filter responses and reject invalid frames', done => {
+      let meter = new MBusMeter();
+      meter.applySettings({
+        disableMeterDataCheck: true,
+        filter: ['ZRI 12345678']
+      });
+
+      assert.ok(!meter.processTelegramData(
+        new MBusTelegram(new DataPacket(buildResponse()))));
+
+      // Acknowledgements don't carry address and are not filtered
+      let ack = new MBusTelegram(new DataPacket(Buffer.from("e5", "hex")));
+      assert.ok(meter.processTelegramData(ack));
+      assert.equal(ack.getFrame().type, 'ack');
+
+      let broken = buildResponse();
+      broken[broken.length - 1] = 0x00;
+      assert.ok(!new MBusMeter().processTelegramData(
+        new MBusTelegram(new DataPacket(broken))));
+      done();
+    })
+  });
+});
@@ -0,0 +1,173 @@
+import DataBuffer from "./../src/includes/buffer/data-buffer"
+import MBusReader from "./../src/includes/reader/mbus-reader"
+import MBusTelegram from "./../src/includes/telegram/mbus-telegram"
+import MBusMeter from "./../src/includes/meter/mbus-meter"
+import MeterId from "./../src/includes/meter/meter-id"
+import MBusSlaveSimulator from "./helpers/mbus-slave-simulator"
+
+import assert from "assert"
+
+// Energy 12345678 kWh and volume 1.00 m³ as 8 digit BCD
+const ENERGY = "0c0678563412";
+const VOLUME = "0c1400010000";
+
+/**
+* Connect reader and slave simulator with virtual serial port pair.
+*/
+function connect(slaveOptions = {}, readerOptions = {}) {
+  let ports = MBusSlaveSimulator.createSerialPair();
+  let slave = new MBusSlaveSimulator(slaveOptions);
+  let buffer = new DataBuffer();
+
+  slave.connect(ports[1]);
+
+  readerOptions.buffer = buffer;
+  readerOptions.serialPort = ports[0];
+  readerOptions.timeout = 50;
+
+  let reader = new MBusReader(readerOptions);
+  reader.enableSource();
+
+  return { reader: reader, slave: slave, buffer: buffer, port: ports[0] };
+}
+
+describe('Wired M-Bus master', () => {
+
+  describe('Test primary addressing' , () => {
+    it('It should initialize slave and read user data', done => {
+      let bus = connect({ address: 5, telegrams: [ENERGY + VOLUME] });
+
+      bus.reader.sendNKE(5).then(acknowledged => {
+        assert.ok(acknowledged);
+        return bus.reader.readMeter(5);
+      }).then(packets => {
+        assert.equal(packets.length, 1);
+        assert.deepEqual(bus.slave.requests, ['1040054516', '107b058016']);
+
+        let telegram = new MBusTelegram(bus.buffer.fetch());
+        let meter = new MBusMeter();
+        meter.applySettings({ disableMeterDataCheck: true });
+
+        assert.ok(meter.processTelegramData(telegram));
+        assert.equal(meter.getRecordValue(telegram, { quantity: 'Volume' }),
+          1);
+        assert.equal(meter.getPrimaryAddress(telegram), 5);
+        done();
+      }).catch(done);
+    })
+
+    it('It should read multi-telegram responses with FCB toggle', done => {
+      let bus = connect({ address: 5, telegrams: [ENERGY, VOLUME] });
+
+      bus.reader.readMeter(5).then(packets => {
+        assert.equal(packets.length, 2);
+        assert.deepEqual(bus.slave.requests, ['107b058016', '105b056016']);
+        assert.ok(MBusReader.hasMoreRecords(
+          { data: packets[0].getBuffer().slice(6, -2) }));
+        return bus.reader.readMeter(5);
+      }).then(packets => {
+        // FCB keeps toggling between requests
+        assert.equal(bus.slave.requests[2], '107b058016');
+        assert.equal(packets.length, 2);
+        done();
+      }).catch(done);
+    })
+
+    it('It should retry on timeout', done => {
+      let bus = connect({ address: 5, telegrams: [ENERGY], dropRequests: 2 });
+      let timeouts = 0;
+
+      bus.reader.on('timeout', () => timeouts++);
+      bus.reader.readMeter(5).then(packets => {
+        assert.equal(packets.length, 1);
+        assert.equal(timeouts, 2);
+        assert.deepEqual(bus.slave.requests,
+          ['107b058016', '107b058016', '107b058016']);
+        return bus.reader.readMeter(7);
+      }).then(packets => {
+        assert.equal(packets, null);
+        done();
+      }).catch(done);
+    })
+
+    it('It should ignore line noise without slave', done => {
+      let bus = connect({ address: 5 }, { retries: 0 });
+
+      let result = bus.reader.requestUserData(7);
+      setTimeout(() => bus.reader.receive(Buffer.from("00ff", "hex")), 10);
+
+      result.then(response => {
+        assert.equal(response, null);
+
+        // Corrupted frame is collision of slaves
+        result = bus.reader.requestUserData(7);
+        setTimeout(() => bus.reader.receive(
+          Buffer.from("1008057b8016", "hex")), 10);
+        return result;
+      }).then(response => {
+        assert.equal(response.type, 'invalid');
+        done();
+      }).catch(done);
+    })
+
+    it('It should continue after failed request', done => {
+      let bus = connect({ address: 5, telegrams: [ENERGY] });
+      let write = bus.port.write;
+
+      bus.port.write = () => {
+        bus.port.write = write;
+        throw new Error("Port is closed");
+      };
+
+      bus.reader.requestUserData(5).then(() => {
+        throw new Error("Failed request was resolved");
+      }, err => {
+        assert.equal(err.message, "Port is closed");
+        return bus.reader.requestUserData(5);
+      }).then(response => {
+        assert.ok(response.valid);
+        return new MBusReader().requestUserData(5);
+      }).then(response => {
+        assert.equal(response, null);
+        done();
+      }).catch(done);
+    })
+  });
+
+  describe('Test secondary addressing' , () => {
+    it('It should select meter by secondary address', done => {
+      let bus = connect({ address: 5, meterId: 'KAM 12345678 v01 t04',
+        telegrams: [ENERGY] });
+
+      assert.equal(MBusReader.encodeSelection(MeterId.parse('KAM 1234****'))
+        .toString('hex'), 'ffff34122d2cffff');
+
+      bus.reader.readMeter('ZRI 12345678').then(packets => {
+        assert.equal(packets, null);
+        return bus.reader.readMeter('KAM 1234**** v* t04');
+      }).then(packets => {
+        assert.equal(packets.length, 1);
+        assert.equal(bus.slave.requests[bus.slave.requests.length - 1],
+          '107bfd7816');
+        done();
+      }).catch(done);
+    })
+
+    it('It should poll configured meters', done => {
+      let bus = connect({ address: 5, telegrams: [ENERGY] },
+        { meters: [5, 'KAM 12345678'] });
+
+      let check = () => {
+        if (!bus.reader.isReady())
+          return setTimeout(check, 10);
+
+        assert.ok(bus.buffer.fetch());
+        assert.ok(bus.buffer.fetch());
+        bus.reader.disableSource();
+        assert.ok(!bus.reader.isEnabled());
+        done();
+      };
+      check();
+    })
+  });
+});
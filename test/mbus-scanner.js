@@ -0,0 +1,115 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+import MBusReader from "./../src/includes/reader/mbus-reader"
+import MBusScanner from "./../src/includes/reader/mbus-scanner"
+import MeterImporter from "./../src/includes/meter/meter-importer"
+import MBusSlaveSimulator from "./helpers/mbus-slave-simulator"
+
+import assert from "assert"
+
+/**
+* Connect reader to bus of slave simulators.
+*/
+function connect(slaves) {
+  let ports = MBusSlaveSimulator.createSerialPair();
+
+  MBusSlaveSimulator.connectBus(slaves.map(options =>
+    new MBusSlaveSimulator(options)), ports[1]);
+
+  let reader = new MBusReader({
+    serialPort: ports[0],
+    timeout: 10,
+    retries: 0
+  });
+  reader.enableSource();
+  return reader;
+}
+
+describe('Wired M-Bus scanner', () => {
+
+  let slaves = [
+    { address: 1, meterId: 'KAM 12345678 v01 t04' },
+    { address: 2, meterId: 'KAM 12349999 v01 t07' },
+    { address: 0, meterId: 'ZRI 55000001 v02 t16' }
+  ];
+
+  describe('Test primary scan' , () => {
+    it('It should find meters by primary address', done => {
+      let scanner = new MBusScanner(connect(slaves), { from: 0, to: 3 });
+
+      scanner.scanPrimary().then(meters => {
+        assert.deepEqual(meters.map(meter => meter.primaryAddress), [0, 1, 2]);
+        assert.deepEqual(meters[1], {
+          manufacturer: 'KAM',
+          serial: '12345678',
+          version: '01',
+          deviceType: '04',
+          label: 'KAM 12345678 v01 t04',
+          primaryAddress: 1
+        });
+        done();
+      }).catch(done);
+    })
+
+    it('It should report primary address collisions', done => {
+      let scanner = new MBusScanner(connect([
+        { address: 3, meterId: 'KAM 12345678 v01 t04' },
+        { address: 3, meterId: 'KAM 87654321 v01 t04' }
+      ]));
+      let collisions = [];
+
+      scanner.on('collision', address => collisions.push(address));
+      scanner.scanPrimary(3, 3).then(meters => {
+        assert.equal(meters.length, 0);
+        assert.deepEqual(collisions, [3]);
+        done();
+      }).catch(done);
+    })
+  });
+
+  describe('Test secondary scan' , () => {
+    it('It should find meters by wildcard search', done => {
+      let scanner = new MBusScanner(connect(slaves));
+      let found = [];
+
+      scanner.on('meter', meter => found.push(meter.label));
+      scanner.scanSecondary().then(meters => {
+        assert.deepEqual(meters.map(meter => meter.label), [
+          'KAM 12345678 v01 t04',
+          'KAM 12349999 v01 t07',
+          'ZRI 55000001 v02 t16'
+        ]);
+        assert.equal(found.length, 3);
+        done();
+      }).catch(done);
+    })
+
+    it('It should save found meters for MeterImporter', done => {
+      let scanner = new MBusScanner(connect(slaves.slice(0, 1)),
+        { from: 1, to: 1 });
+      let file = path.join(os.tmpdir(), `mbus-scan-${process.pid}.json`);
+
+      scanner.scan().then(meters => {
+        assert.equal(meters.length, 1);
+        assert.equal(meters[0].primaryAddress, 1);
+
+        MeterImporter.saveMeterSettings(file, meters, err => {
+          if (err)
+            return done(err);
+
+          MeterImporter.loadMeterSettings(file, (err, meterData) => {
+            fs.unlink(file, () => {});
+
+            if (err)
+              return done(err);
+
+            assert.equal(meterData.get('2d2c785634120104').label,
+              'KAM 12345678 v01 t04');
+            done();
+          });
+        });
+      }).catch(done);
+    })
+  });
+});
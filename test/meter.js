@@ -0,0 +1,152 @@
+import Meter from "./../src/includes/meter/meter"
+import ManufacturerRegistry from "./../src/includes/meter/manufacturer-registry"
+import DeviceTypeRegistry from "./../src/includes/meter/device-type-registry"
+import MeterId from "./../src/includes/meter/meter-id"
+import WirelessMBusMeter from "./../src/includes/meter/wmbus-meter"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import assert from "assert"
+
+describe('Meter base class', () => {
+
+  describe('Test manufacturer id' , () => {
+    it('It should encode and decode manufacturer ids', done => {
+      assert.equal(Meter.buildManufacturerId('KAM').toString('hex'), '2c2d');
+      assert.equal(Meter.buildManufacturerId('abb').toString('hex'), '0442');
+      assert.equal(Meter.buildManufacturerId('KAMS'), false);
+
+      ['KAM', 'ABB', 'ZRI', 'AAA', 'ZZZ'].forEach(name => {
+        assert.equal(
+          Meter.decodeManufacturerId(Meter.buildManufacturerId(name)), name);
+      });
+
+      assert.equal(Meter.decodeManufacturerId(0x2c2d), 'KAM');
+      assert.equal(Meter.decodeManufacturerId(0x0000), false);
+      assert.equal(Meter.decodeManufacturerId(0x2c20), false);
+      assert.equal(Meter.decodeManufacturerId(Buffer.from('2c', 'hex')), false);
+      done();
+    })
+  });
+
+  describe('Test manufacturer registry' , () => {
+    it('It should return registered manufacturers', done => {
+      assert.deepEqual(ManufacturerRegistry.getManufacturer('kam'),
+        { code: 'KAM', name: 'Kamstrup' });
+      assert.deepEqual(ManufacturerRegistry.getManufacturer('QQQ'),
+        { code: 'QQQ', name: null });
+
+      ManufacturerRegistry.register('qqq', 'Test Metering');
+      assert.equal(ManufacturerRegistry.getManufacturer('QQQ').name,
+        'Test Metering');
+      done();
+    })
+  });
+
+  describe('Test device type registry' , () => {
+    it('It should return device types by code', done => {
+      assert.deepEqual(DeviceTypeRegistry.getDeviceType('16'),
+        { code: 0x16, name: 'Cold water' });
+      assert.equal(DeviceTypeRegistry.getName(0x1a), 'Smoke detector');
+      assert.equal(DeviceTypeRegistry.getName(Buffer.from([0x08])),
+        'Heat cost allocator');
+      assert.equal(DeviceTypeRegistry.getName('fe'), null);
+      assert.equal(DeviceTypeRegistry.getDeviceType('xyz'), null);
+
+      DeviceTypeRegistry.register('fe', 'Test device');
+      assert.equal(DeviceTypeRegistry.getName(0xfe), 'Test device');
+      done();
+    })
+  });
+
+  describe('Test meter id' , () => {
+    it('It should parse and format wire and human order', done => {
+      let meterId = MeterId.parse('2d2c785634121b06');
+
+      assert.equal(meterId.toString(), 'KAM 12345678 v1b t06');
+      assert.equal(meterId.getManufacturer(), 'KAM');
+      assert.equal(meterId.getId(), '12345678');
+      assert.equal(meterId.getVersion(), 0x1b);
+      assert.equal(meterId.getDeviceType(), 0x06);
+
+      assert.equal(MeterId.parse('KAM 12345678 v1b t06').toHex(),
+        '2d2c785634121b06');
+      assert.equal(MeterId.parse('2c2d 12345678 v1b t06').toHex(),
+        '2d2c785634121b06');
+      assert.equal(MeterId.parse(Buffer.from('2d2c785634121b06', 'hex'))
+        .toString(), 'KAM 12345678 v1b t06');
+      assert.equal(JSON.stringify({ meter: meterId }),
+        '{"meter":"KAM 12345678 v1b t06"}');
+
+      assert.equal(MeterId.parse('KAM 1234567 v1b'), null);
+      assert.equal(MeterId.parse('KAM 12345678 x1b'), null);
+      assert.equal(MeterId.parse(42), null);
+      done();
+    })
+
+    it('It should match wildcards and compare meter ids', done => {
+      let meterId = MeterId.parse('KAM 12345678 v1b t06');
+
+      assert.ok(MeterId.parse('KAM 1234**** v* t*').matches(meterId));
+      assert.ok(MeterId.parse('12345678').matches('2d2c785634121b06'));
+      assert.ok(MeterId.parse('* * t06').matches(meterId));
+      assert.ok(!MeterId.parse('ZRI 1234****').matches(meterId));
+      assert.ok(!MeterId.parse('KAM 12345678 v1b t07').matches(meterId));
+
+      assert.ok(MeterId.parse('KAM 1234****').isWildcard());
+      assert.equal(MeterId.parse('KAM 1234****').toAddress(), null);
+      assert.equal(MeterId.parse('KAM 1234****').toString(),
+        'KAM 1234**** v* t*');
+
+      assert.ok(meterId.equals('2d2c785634121b06'));
+      assert.ok(!meterId.equals('KAM 12345678 v1b'));
+      done();
+    })
+
+    it('It should create meter id from meter data', done => {
+      let meterId = MeterId.fromMeterData({
+        manufacturer: 'KAM',
+        serial: '12345678',
+        version: '1b',
+        deviceType: '6'
+      });
+
+      assert.equal(meterId.toHex(), '2d2c785634121b06');
+      assert.equal(MeterId.fromMeterData({
+        manufacturer: 'KAM',
+        serial: '1234',
+        version: '1b',
+        deviceType: '06'
+      }), null);
+      assert.equal(MeterId.fromMeterData({
+        manufacturer: '2c2d',
+        serial: '12345678',
+        version: '1b',
+        deviceType: '06'
+      }).toString(), 'KAM 12345678 v1b t06');
+      assert.equal(MeterId.fromMeterData({ serial: '12345678' }), null);
+      done();
+    })
+
+    it('It should filter telegrams by meter id', done => {
+      let telegram = new WirelessMBusTelegram(
+        new DataPacket(Buffer.from('0a442d2c785634121b0678', 'hex')));
+      let meter = new WirelessMBusMeter();
+
+      telegram.setValues(meter.fetchData(telegram.getPacket().getBuffer(),
+        meter.getDLLMap()));
+
+      meter.applySettings({
+        disableMeterDataCheck: true,
+        filter: ['ZRI 12345678', 'KAM 1234**** v* t06']
+      });
+      assert.ok(meter.passTelegram(telegram));
+
+      meter.applySettings({ filter: ['2d2c785634121b06'] });
+      assert.ok(meter.passTelegram(telegram));
+
+      meter.applySettings({ filter: ['KAM 12345678 v1b t07', 'invalid'] });
+      assert.ok(!meter.passTelegram(telegram));
+      done();
+    })
+  });
+});
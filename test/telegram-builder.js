@@ -0,0 +1,174 @@
+import TelegramBuilder from "./../src/includes/telegram/telegram-builder"
+import LinkLayer from "./../src/includes/telegram/link-layer"
+import DataTypes from "./../src/includes/telegram/data-types"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import WirelessMBusMeter from "./../src/includes/meter/wmbus-meter"
+import KamstrupMultical21Meter from "./../src/products/meters/kamstrup-multical-21-meter"
+
+import assert from "assert"
+
+const KEY = "0102030405060708090a0b0c0d0e0f11";
+
+describe('TelegramBuilder', () => {
+
+  describe('Test record value encoding' , () => {
+    it('It should encode integer, BCD and real values', done => {
+      assert.equal(DataTypes.encode(0x04, 1234).toString('hex'), 'd2040000');
+      assert.equal(DataTypes.encode(0x01, -2).toString('hex'), 'fe');
+      assert.equal(DataTypes.encode(0x0C, 12345678).toString('hex'),
+        '78563412');
+      assert.equal(DataTypes.encode(0x0A, -123).toString('hex'), '23f1');
+      assert.equal(DataTypes.encode(0x0A, null).toString('hex'), 'ffff');
+      assert.equal(DataTypes.encode(0x02, null), null);
+      assert.equal(DataTypes.encode(0x0D, 1), null);
+
+      [[0x07, -5], [0x07, 0x123456789A], [0x0E, 123456789012],
+        [0x05, 1.5]].forEach(test => {
+        let buffer = DataTypes.encode(test[0], test[1]);
+        assert.equal(DataTypes.decode(test[0], buffer).value, test[1]);
+      });
+
+      assert.equal(TelegramBuilder.encodeManufacturer('KAM'), 0x2C2D);
+      done();
+    })
+  });
+
+  describe('Test frame formats' , () => {
+    it('It should build frames with valid CRCs', done => {
+      let records = [];
+      for (let i = 0; i < 30; i++)
+        records.push({ dif: 0x04, vif: 0x13, value: i });
+
+      ['A', 'B'].forEach(format => {
+        [1, 30].forEach(count => {
+          let builder = new TelegramBuilder({
+            manufacturer: 'KAM',
+            id: '12345678',
+            frameFormat: format
+          });
+          records.slice(0, count).forEach(record => builder.addRecord(record));
+
+          let frame = LinkLayer.decode(builder.build().getBuffer());
+          assert.equal(frame.format, format);
+          assert.equal(frame.valid, true);
+          assert.equal(frame.data.toString('hex'),
+            builder.buildFrame().toString('hex'));
+        });
+      });
+
+      // Frame doesn't fit to L-field
+      let builder = new TelegramBuilder({ frameFormat: 'B' });
+      for (let i = 0; i < 41; i++)
+        builder.addRecord({ dif: 0x04, vif: 0x13, value: i });
+
+      assert.equal(builder.build(), null);
+      done();
+    })
+  });
+
+  describe('Test meter processing' , () => {
+    it('It should build frames accepted by meters', done => {
+      let meter = new WirelessMBusMeter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      [0x78, 0x72].forEach(ci => {
+        let packet = new TelegramBuilder({
+          manufacturer: 'KAM',
+          id: '12345678',
+          version: 0x33,
+          deviceType: 0x07,
+          ci: ci,
+          accessNumber: 0x2a,
+          frameFormat: 'A',
+          timestamp: 1000
+        })
+          .addRecord({ dif: 0x04, vif: 0x13, value: 1234 })
+          .addRecord({ dif: 0x02, vif: 0x5B, value: 12 })
+          .build();
+
+        let telegram = new WirelessMBusTelegram(packet);
+
+        if (!meter.processTelegramData(telegram))
+          return done(new Error("Telegram was not processed"));
+
+        assert.equal(packet.getTimestamp(), 1000);
+        assert.equal(meter.getAddressField(telegram).toString('hex'),
+          '2d2c785634123307');
+        assert.equal(meter.getRecordValue(telegram, { quantity: 'Volume' }),
+          1.234);
+        assert.equal(
+          meter.getRecordValue(telegram, { quantity: 'Flow temperature' }), 12);
+      });
+
+      // Security mode 5
+      let builder = new TelegramBuilder({
+        manufacturer: 'KAM',
+        id: '12345678',
+        version: 0x33,
+        deviceType: 0x07,
+        ci: 0x7A,
+        accessNumber: 0x2a,
+        encryption: 'mode5',
+        key: KEY
+      }).addRecord({ dif: 0x04, vif: 0x13, value: 1000 });
+
+      let telegram = new WirelessMBusTelegram(builder.build());
+
+      if (!meter.processTelegramData(telegram, { aes: KEY }))
+        return done(new Error("Mode 5 telegram was not processed"));
+
+      assert.equal(telegram.getDecryption().mode, 5);
+      assert.equal(meter.getRecordValue(telegram, { quantity: 'Volume' }), 1);
+
+      // Missing key
+      builder = new TelegramBuilder({ ci: 0x7A, encryption: 'mode5' });
+      assert.equal(builder.build(), null);
+
+      done();
+    })
+  });
+
+  describe('Test extended link layer encryption' , () => {
+    it('It should build Kamstrup Multical 21 frames', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let packet = new TelegramBuilder({
+        manufacturer: 'KAM',
+        id: '63714545',
+        version: 0x1b,
+        deviceType: 0x16,
+        accessNumber: 0x6a,
+        ell: { cc: 0x20, sessionNumber: 0x207cfb31 },
+        encryption: 'ctr',
+        key: input['aes']
+      })
+        .addRecord({ dif: 0x02, vif: 0xFF, vife: [0x20], data: '0000' })
+        .addRecord({ dif: 0x04, vif: 0x13, value: 1500 })
+        .addRecord({ dif: 0x44, vif: 0x13, value: 1000 })
+        .build();
+
+      // Header matches captured frame of the same meter
+      assert.equal(packet.getBuffer().slice(1, 17).toString('hex'),
+        input['telegram'].substr(2, 32).toLowerCase());
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      let telegram = new WirelessMBusTelegram(packet);
+
+      if (!meter.processTelegramData(telegram, { aes: input['aes'] }))
+        return done(new Error("Telegram was not processed"));
+
+      assert.equal(meter.getIV(telegram).toString('hex'), input['iv']);
+      assert.equal(meter.getMeterValue(telegram), 1.5);
+      assert.equal(meter.getMeterTargetValue(telegram), 1);
+
+      done();
+    })
+  });
+});
@@ -0,0 +1,88 @@
+import ValueInformation from "./../src/includes/telegram/value-information"
+import DataRecordParser from "./../src/includes/telegram/data-record-parser"
+import DataPacket from "./../src/includes/buffer/data-packet"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import KamstrupMultical21Meter from "./../src/products/meters/kamstrup-multical-21-meter"
+import Statistics from "./../src/includes/misc/statistics"
+
+import assert from "assert"
+
+describe('Value information', () => {
+
+  describe('Test VIF lookup' , () => {
+    it('It should return quantity, unit and exponent', done => {
+      let info = ValueInformation.lookup(0x13);
+
+      if (info.quantity != 'Volume' || info.unit != 'm³' || info.exponent != -3)
+        return done(new Error("Invalid primary VIF lookup"));
+
+      info = ValueInformation.lookup(0xfb, [0x01]);
+
+      if (info.quantity != 'Energy' || info.unit != 'Wh' || info.exponent != 6)
+        return done(new Error("Invalid 0xFB extension table lookup"));
+
+      info = ValueInformation.lookup(0xfd, [0x17]);
+
+      if (info.quantity != 'Error flags')
+        return done(new Error("Invalid 0xFD extension table lookup"));
+
+      info = ValueInformation.lookup(0x94, [0x22]);
+
+      if (info.quantity != 'Volume' || info.modifiers[0] != 'per hour')
+        return done(new Error("Invalid combinable VIFE lookup"));
+
+      info = ValueInformation.lookup(0x93, [0x74]);
+
+      if (info.exponent != -5)
+        return done(new Error("Correction factor was not applied"));
+
+      if (ValueInformation.lookup(0x6f) !== null)
+        return done(new Error("Reserved VIF returned value information"));
+
+      done();
+    })
+  });
+
+  describe('Test record quantities' , () => {
+    it('It should scale record values', done => {
+      let records = DataRecordParser.parse(Buffer.from(
+        "0413393000000259b208", "hex"));
+
+      let volume = records[0].getQuantity();
+
+      if (volume.value != 12.345 || volume.unit != 'm³')
+        return done(new Error("Invalid volume quantity"));
+
+      let temperature = records[1].getQuantity();
+
+      if (temperature.value != 22.26 || temperature.unit != '°C' ||
+          temperature.quantity != 'Flow temperature')
+        return done(new Error("Invalid temperature quantity"));
+
+      done();
+    })
+  });
+
+  describe('Test statistics units' , () => {
+    it('It should report meter unit in statistics', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let packet = new DataPacket(Buffer.from(input['telegram'], "hex"));
+      let telegram = new WirelessMBusTelegram(packet);
+
+      let meter = KamstrupMultical21Meter.getInstance();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+      meter.processTelegramData(telegram, { aes: input['aes'] });
+
+      let stats = new Statistics().getMeterStats(meter, telegram);
+
+      if (stats.unit != 'm³' || stats.quantity != 'Volume')
+        return done(new Error("Statistics didn't report unit"));
+
+      done();
+    })
+  });
+});
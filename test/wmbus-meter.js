@@ -0,0 +1,192 @@
+import DataPacket from "./../src/includes/buffer/data-packet"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import WirelessMBusMeter from "./../src/includes/meter/wmbus-meter"
+import CMAC from "./../src/includes/crypto/cmac"
+import crypto from "crypto"
+
+import assert from "assert"
+
+const KEY = "0102030405060708090a0b0c0d0e0f11";
+
+/**
+* Build short header telegram with security mode 5 encrypted payload.
+*/
+function buildMode5Telegram(payload, key = KEY) {
+  let header = Buffer.from("00442d2c7856341233077a2a00" + "1005", "hex");
+  let iv = Buffer.concat([header.slice(2, 10), Buffer.alloc(8, 0x2a)]);
+
+  let cipher = crypto.createCipheriv('aes-128-cbc', Buffer.from(key, "hex"), iv);
+  cipher.setAutoPadding(false);
+
+  let frame = Buffer.concat([header, cipher.update(payload), cipher.final()]);
+  frame[0] = frame.length - 1;
+
+  return new WirelessMBusTelegram(new DataPacket(frame));
+}
+
+/**
+* Build AFL and short header telegram with security mode 7 encrypted payload.
+*/
+function buildMode7Telegram(payload, counter = 1, key = KEY) {
+  let master = Buffer.from(key, "hex");
+  let link = Buffer.from("00442d2c785634123307", "hex");
+  let tpl = Buffer.from("7a2a00" + "1007" + "10", "hex");
+  let mcr = Buffer.alloc(4);
+  mcr.writeUInt32LE(counter);
+
+  let derive = constant => CMAC.calculate(master, Buffer.concat([
+    Buffer.from([constant]), mcr, link.slice(4, 8), Buffer.alloc(7, 0x07)]));
+
+  let cipher = crypto.createCipheriv('aes-128-cbc', derive(0x00), Buffer.alloc(16));
+  cipher.setAutoPadding(false);
+  let data = Buffer.concat([tpl, cipher.update(payload), cipher.final()]);
+
+  let mac = CMAC.calculate(derive(0x01),
+    Buffer.concat([Buffer.from([0x25]), mcr, data])).slice(0, 8);
+
+  let afl = Buffer.concat([Buffer.from("900f002c25", "hex"), mcr, mac]);
+  let frame = Buffer.concat([link, afl, data]);
+  frame[0] = frame.length - 1;
+
+  return new WirelessMBusTelegram(new DataPacket(frame));
+}
+
+describe('Wireless M-Bus meter', () => {
+
+  let meter = new WirelessMBusMeter();
+  meter.applySettings({
+    disableMeterDataCheck: true,
+    frameFormat: 'none'
+  });
+
+  // Volume 1000 l, filled with idle fillers
+  let payload = Buffer.from("2f2f0413e80300002f2f2f2f2f2f2f2f", "hex");
+
+  describe('Test security mode 5' , () => {
+    it('It should decrypt payload with AES-CBC', done => {
+      let telegram = buildMode5Telegram(payload);
+
+      if (!meter.processTelegramData(telegram, { aes: KEY }))
+        return done(new Error("Telegram was not processed"));
+
+      let decryption = telegram.getDecryption();
+
+      if (!decryption.success || decryption.mode != 5)
+        return done(new Error("Decryption failed"));
+
+      if (telegram.getPayload().toString('hex') != payload.toString('hex'))
+        return done(new Error("Invalid decrypted payload"));
+
+      let quantity = meter.getRecordQuantity(telegram, { quantity: 'Volume' });
+
+      if (!quantity || quantity.value != 1)
+        return done(new Error("Invalid volume record"));
+
+      done();
+    })
+
+    it('It should use key of meter data', done => {
+      let telegram = buildMode5Telegram(payload);
+      let keyMeter = new WirelessMBusMeter();
+
+      keyMeter.applySettings({
+        frameFormat: 'none',
+        meterData: new Map([['2d2c785634123307', { aes: KEY }]])
+      });
+      keyMeter.processTelegramData(telegram);
+
+      if (!telegram.getDecryption() || !telegram.getDecryption().success)
+        return done(new Error("Meter data key was not used"));
+
+      done();
+    })
+
+    it('It should detect wrong and missing key', done => {
+      let telegram = buildMode5Telegram(payload);
+      meter.processTelegramData(telegram, { aes: "00000000000000000000000000000000" });
+
+      let decryption = telegram.getDecryption();
+
+      if (decryption.success || decryption.reason != 'decryption-failed')
+        return done(new Error("Wrong key was not detected"));
+
+      if (telegram.getPayload() !== null || telegram.getRecords().length)
+        return done(new Error("Payload of wrong key was used"));
+
+      telegram = buildMode5Telegram(payload);
+      meter.processTelegramData(telegram);
+
+      if (telegram.getDecryption().reason != 'missing-key')
+        return done(new Error("Missing key was not detected"));
+
+      done();
+    })
+  });
+
+  describe('Test security mode 7' , () => {
+    it('It should verify MAC and decrypt payload with derived key', done => {
+      let telegram = buildMode7Telegram(payload, 0x1234);
+
+      meter.processTelegramData(telegram, { aes: KEY });
+
+      let decryption = telegram.getDecryption();
+
+      if (!decryption.success || decryption.mode != 7)
+        return done(new Error("Decryption failed"));
+
+      let quantity = meter.getRecordQuantity(telegram, { quantity: 'Volume' });
+
+      if (!quantity || quantity.value != 1)
+        return done(new Error("Invalid volume record"));
+
+      done();
+    })
+
+    it('It should report MAC mismatch', done => {
+      let telegram = buildMode7Telegram(payload);
+
+      // Tamper with encrypted payload
+      telegram.getPacket().getBuffer()[35] ^= 0x01;
+      meter.processTelegramData(telegram, { aes: KEY });
+
+      let decryption = telegram.getDecryption();
+
+      if (decryption.success || decryption.reason != 'mac-mismatch')
+        return done(new Error("MAC mismatch was not detected"));
+
+      telegram = buildMode7Telegram(payload);
+      meter.processTelegramData(telegram, { aes: "00000000000000000000000000000000" });
+
+      if (telegram.getDecryption().reason != 'mac-mismatch')
+        return done(new Error("Wrong key was not detected"));
+
+      done();
+    })
+  });
+
+  describe('Test manufacturer decoding' , () => {
+    it('It should describe meters by manufacturer', done => {
+      let telegram = new WirelessMBusTelegram(new DataPacket(
+        Buffer.from("0a442d2c78563412330778", "hex")));
+
+      if (!meter.processTelegramData(telegram))
+        return done(new Error("Telegram was not processed"));
+
+      assert.deepEqual(meter.getManufacturer(telegram),
+        { code: 'KAM', name: 'Kamstrup' });
+      assert.equal(meter.describeMeter(telegram), 'Kamstrup (KAM), Water');
+      assert.equal(meter.getDeviceType(telegram), '07');
+      assert.equal(meter.getDeviceTypeName(telegram), 'Water');
+      assert.equal(meter.describeMeterData({
+        label: 'Kitchen', deviceType: '16' }), 'Kitchen (Cold water)');
+
+      telegram = new WirelessMBusTelegram(new DataPacket(
+        Buffer.from("0a44a51078563412330778", "hex")));
+      meter.processTelegramData(telegram);
+
+      assert.equal(meter.describeMeter(telegram),
+        'Unknown manufacturer (DEE), Water');
+      done();
+    })
+  });
+});
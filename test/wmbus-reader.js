@@ -0,0 +1,291 @@
+import DataPacket from "./../src/includes/buffer/data-packet"
+import DataBuffer from "./../src/includes/buffer/data-buffer"
+import TelegramBuilder from "./../src/includes/telegram/telegram-builder"
+import HeaderParser from "./../src/includes/telegram/header-parser"
+import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
+import WirelessMBusMeter from "./../src/includes/meter/wmbus-meter"
+import AmberWirelessReader from "./../src/products/reader/amber-wireless"
+import ImstReader from "./../src/products/reader/Imst"
+import LogReader from "./../src/includes/reader/log-reader"
+
+import assert from "assert"
+
+const ADDRESS = "2d2c785634121b16";
+
+/**
+* Serial port, which records written data.
+*/
+function createPort() {
+  return {
+    written: [],
+    write(data, callback) {
+      this.written.push(data);
+      if (callback)
+        setImmediate(callback);
+    }
+  };
+}
+
+/**
+* Build processed telegram of bidirectional meter.
+*/
+function buildTelegram(options = {}) {
+  let packet = new TelegramBuilder(Object.assign({
+    manufacturer: 'KAM',
+    id: '12345678',
+    version: 0x1b,
+    deviceType: 0x16,
+    ell: { cc: 0x80 },
+    accessNumber: 0x42
+  }, options)).build();
+
+  let telegram = new WirelessMBusTelegram(packet);
+  let meter = new WirelessMBusMeter();
+  meter.applySettings({ disableMeterDataCheck: true });
+  meter.processTelegramData(telegram);
+  return telegram;
+}
+
+describe('Wireless M-Bus reader', () => {
+
+  describe('Test data request commands' , () => {
+    it('It should wrap frames to stick commands', done => {
+      let frame = Buffer.from("0900" + ADDRESS, "hex");
+
+      let amber = new AmberWirelessReader().buildDataRequest(frame);
+      assert.equal(amber.slice(0, -1).toString('hex'), 'ff000900' + ADDRESS);
+      assert.equal(amber.reduce((cs, byte) => cs ^ byte, 0), 0);
+
+      assert.equal(new ImstReader().buildDataRequest(frame).toString('hex'),
+        'a502010900' + ADDRESS);
+      done();
+    })
+  });
+
+  describe('Test receive metadata' , () => {
+    it('It should attach RSSI and link mode to packets', done => {
+      // Amber module appends RSSI and checksum to frame
+      let packet = new AmberWirelessReader({ linkMode: 'T1' })
+        .buildPacket(Buffer.from("ff030944" + ADDRESS + "e000", "hex"));
+
+      assert.equal(packet.getBuffer().slice(0, 10).toString('hex'),
+        '0944' + ADDRESS);
+      assert.equal(packet.getRssi(), -90);
+      assert.equal(packet.getDeviceTimestamp(), null);
+      assert.equal(packet.getLinkMode(), 'T1');
+
+      // IMST message with timestamp and RSSI attached
+      packet = new ImstReader()
+        .buildPacket(Buffer.from("a5620309" + "44" + ADDRESS + "10270000" +
+          "50", "hex"));
+
+      assert.equal(packet.getBuffer().toString('hex'), '0944' + ADDRESS);
+      assert.equal(packet.getRssi(), -90);
+      assert.equal(packet.getDeviceTimestamp(), 10000);
+      assert.equal(packet.getLinkMode(), 'C1');
+      done();
+    })
+
+    it('It should read metadata from log', done => {
+      let buffer = new DataBuffer();
+
+      new LogReader({ buffer: buffer }).processLog(
+        "1000,0944" + ADDRESS + ",-90,10000,C1\n2000,0944" + ADDRESS + "\n");
+
+      let packet = buffer.fetch();
+      assert.equal(packet.getRssi(), -90);
+      assert.equal(packet.getDeviceTimestamp(), 10000);
+      assert.equal(packet.getLinkMode(), 'C1');
+
+      packet = buffer.fetch();
+      assert.equal(packet.getRssi(), null);
+      assert.equal(packet.getLinkMode(), null);
+      done();
+    })
+  });
+
+  describe('Test IMST configuration' , () => {
+    it('It should encode SetConfig request with CRC', done => {
+      assert.equal(ImstReader.crc16(Buffer.from("123456789")), 0x906E);
+
+      let request = new ImstReader().buildConfigRequest();
+      assert.equal(request.slice(0, -2).toString('hex'),
+        'a5810308' + '00030007' + 'b0010100');
+      // Checking CRC over message and CRC gives constant residue
+      assert.equal(ImstReader.crc16(request.slice(1)), 0x0F47);
+
+      request = new ImstReader({ linkMode: 'T1', deviceMode: 'meter',
+        rssi: false }).buildConfigRequest();
+      assert.equal(request.slice(4, -2).toString('hex'), '00030103b0010000');
+
+      assert.equal(new ImstReader({ linkMode: 'X' }).buildConfigRequest(),
+        null);
+      done();
+    })
+
+    it('It should encode SetConfig request of each link mode', done => {
+      let requests = {
+        'S1': 'a581030800030000b00101000b49',
+        'S1-m': 'a581030800030001b00101004f42',
+        'S2': 'a581030800030002b0010100835f',
+        'T1': 'a581030800030003b0010100c754',
+        'T2': 'a581030800030004b00101001b64',
+        'R2': 'a581030800030005b00101005f6f',
+        'C1': 'a581030800030007b0010100d779',
+        'C2': 'a581030800030009b00101006f18'
+      };
+
+      assert.deepEqual(Object.keys(ImstReader.LINK_MODES),
+        Object.keys(requests));
+
+      Object.keys(requests).forEach(linkMode => {
+        assert.equal(new ImstReader({ linkMode: linkMode })
+          .buildConfigRequest().toString('hex'), requests[linkMode]);
+      });
+
+      // 169 MHz N mode is not supported by 868 MHz module
+      assert.equal(new ImstReader({ linkMode: 'N' }).buildConfigRequest(),
+        null);
+      done();
+    })
+
+    it('It should confirm configuration from response', done => {
+      let port = createPort();
+      let reader = new ImstReader({ serialPort: port, linkMode: 'S1' });
+      let events = [];
+
+      reader.on('configured', confirmed => events.push(confirmed));
+
+      reader.configure().then(confirmed => {
+        assert.ok(confirmed);
+        assert.equal(port.written[0][7], 0x00);
+
+        let result = reader.configure();
+        reader.handleDeviceMessage(Buffer.from("a501040101", "hex"));
+        return result;
+      }).then(confirmed => {
+        assert.ok(!confirmed);
+        assert.deepEqual(events, [true, false]);
+        done();
+      }).catch(done);
+
+      assert.ok(reader.handleDeviceMessage(Buffer.from("a501040100", "hex")));
+    })
+
+    it('It should reject configuration while request is pending', done => {
+      let port = createPort();
+      let reader = new ImstReader({ serialPort: port });
+
+      let first = reader.configure();
+
+      reader.configure().then(confirmed => {
+        assert.ok(!confirmed);
+        assert.equal(port.written.length, 1);
+
+        reader.handleDeviceMessage(Buffer.from("a501040100", "hex"));
+        return first;
+      }).then(confirmed => {
+        assert.ok(confirmed);
+        assert.equal(reader._configListener, null);
+        done();
+      }).catch(done);
+    })
+
+    it('It should fail without configuration response', done => {
+      let reader = new ImstReader({ serialPort: createPort(),
+        configTimeout: 20 });
+
+      reader.configure().then(confirmed => {
+        assert.ok(!confirmed);
+        done();
+      }).catch(done);
+    })
+  });
+
+  describe('Test bidirectional communication' , () => {
+    it('It should reply to access demand', done => {
+      let port = createPort();
+      let reader = new AmberWirelessReader({ serialPort: port });
+
+      reader.replyAccessDemand(buildTelegram()).then(sent => {
+        assert.ok(!sent);
+        return reader.replyAccessDemand(buildTelegram({ c: 0x48 }));
+      }).then(sent => {
+        assert.ok(sent);
+        assert.equal(port.written.length, 1);
+        assert.equal(port.written[0].slice(1, -1).toString('hex'),
+          '000900' + ADDRESS);
+        done();
+      }).catch(done);
+    })
+
+    it('It should send command within accessibility window', done => {
+      let port = createPort();
+      let buffer = new DataBuffer();
+      let reader = new ImstReader({ serialPort: port, buffer: buffer });
+      let telegram = buildTelegram();
+
+      assert.ok(reader.isAccessible(telegram));
+      assert.ok(!reader.isAccessible(telegram, Date.now() + 5000));
+      assert.ok(!reader.isAccessible(buildTelegram({ ell: { cc: 0x00 } })));
+      assert.ok(reader.isAccessible(buildTelegram({ ell: { cc: 0x84 } }),
+        Date.now() + 5000));
+
+      reader.sendCommand(telegram, {
+        records: [{ dif: 0x01, vif: 0x7F, value: 1 }]
+      }).then(acknowledged => {
+        assert.ok(acknowledged);
+
+        // Command frame is sent to meter address with short header
+        let frame = Buffer.concat([Buffer.from([0]), port.written[0].slice(4)]);
+        assert.equal(frame.slice(1, 10).toString('hex'), '53' + ADDRESS);
+
+        let tpl = HeaderParser.parse(frame, 10).tpl;
+        assert.equal(tpl.ci, 0x5A);
+        assert.equal(tpl.accessNumber, 0x42);
+
+        // Acknowledgement is pushed to buffer as well
+        assert.equal(buffer.fetch().getBuffer()[1], 0x00);
+        done();
+      }).catch(done);
+
+      setTimeout(() => reader.pushPacket(
+        new DataPacket(Buffer.from("0900" + ADDRESS, "hex"))), 10);
+    })
+
+    it('It should acknowledge overlapping commands to same meter', done => {
+      let port = createPort();
+      let reader = new ImstReader({ serialPort: port, ackTimeout: 100 });
+
+      Promise.all([
+        reader.sendCommand(buildTelegram()),
+        reader.sendCommand(buildTelegram(), {
+          records: [{ dif: 0x01, vif: 0x7F, value: 1 }]
+        })
+      ]).then(results => {
+        assert.deepEqual(results, [true, true]);
+        assert.equal(port.written.length, 2);
+        assert.equal(reader._ackListeners.size, 0);
+        done();
+      }).catch(done);
+
+      setTimeout(() => reader.pushPacket(
+        new DataPacket(Buffer.from("0900" + ADDRESS, "hex"))), 10);
+    })
+
+    it('It should fail without acknowledgement', done => {
+      let port = createPort();
+      let reader = new ImstReader({ serialPort: port, ackTimeout: 20 });
+
+      reader.sendCommand(buildTelegram()).then(acknowledged => {
+        assert.ok(!acknowledged);
+        assert.equal(port.written.length, 1);
+        return reader.sendCommand(buildTelegram({ ell: { cc: 0x00 } }));
+      }).then(acknowledged => {
+        assert.ok(!acknowledged);
+        assert.equal(port.written.length, 1);
+        done();
+      }).catch(done);
+    })
+  });
+});
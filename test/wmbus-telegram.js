@@ -2,6 +2,7 @@
 import DataPacket from "./../src/includes/buffer/data-packet"
 import WirelessMBusTelegram from "./../src/includes/telegram/wmbus-telegram"
 import WirelessMBusMeter from "./../src/includes/meter/wmbus-meter"
+import KamstrupMultical21Meter from "./../src/products/meters/kamstrup-multical-21-meter"
 
 import assert from "assert"
 import Utils from './utils'
@@ -48,4 +49,68 @@ describe('Tests for WirelessMBusTelegram class', () => {
       done();
     })
   });
-});
\ No newline at end of file
+
+  describe('Test telegram JSON serialization' , () => {
+    it('It should serialize telegram and rebuild it for replay', done => {
+      let tests = require('./test_data/test-meters');
+      let input = tests['kamstrup']['multical21'][0];
+
+      let meter = new KamstrupMultical21Meter();
+      meter.applySettings({
+        disableMeterDataCheck: true
+      });
+
+      let packet = new DataPacket(Buffer.from(input['telegram'], "hex"), {
+        timestamp: 1500000000000,
+        tag: 'probe'
+      });
+      let telegram = new WirelessMBusTelegram(packet);
+
+      if (!meter.processTelegramData(telegram, { aes: input['aes'] }))
+        return done(new Error("Telegram was not processed"));
+
+      let json = JSON.parse(JSON.stringify(telegram));
+
+      assert.deepEqual(json.meter, {
+        address: '2d2c454571631b16',
+        manufacturer: 'KAM',
+        id: '63714545',
+        version: 0x1b,
+        deviceType: 0x16
+      });
+      assert.equal(json.timestamp, 1500000000000);
+      assert.equal(json.tag, 'probe');
+      assert.deepEqual(json.header,
+        { c: 0x44, ci: 0x8d, accessNumber: 0x6a, status: null });
+      assert.deepEqual(json.decryption,
+        { mode: 1, success: true, reason: null });
+      assert.equal(json.raw, input['telegram'].toLowerCase());
+
+      let volume = json.records.find(record =>
+        record.quantity == 'Volume' && record.storageNumber == 0);
+      if (!volume || volume.unit != 'm³' || volume.value !== 0)
+        return done(new Error("Volume record was not serialized"));
+
+      // Replay rebuilt telegram
+      let replayed = WirelessMBusTelegram.fromJSON(JSON.stringify(json));
+
+      if (!(replayed instanceof WirelessMBusTelegram) ||
+          replayed.getPacket().getTimestamp() != 1500000000000 ||
+          replayed.getPacket().getTag() != 'probe')
+        return done(new Error("Telegram was not rebuilt"));
+
+      if (!meter.processTelegramData(replayed, { aes: input['aes'] }))
+        return done(new Error("Rebuilt telegram was not processed"));
+
+      assert.deepEqual(JSON.parse(JSON.stringify(replayed)), json);
+      assert.equal(WirelessMBusTelegram.fromJSON({}), null);
+
+      // Log reader timestamps are strings
+      let logged = WirelessMBusTelegram.fromJSON(
+        Object.assign({}, json, { timestamp: '1500000000000' }));
+      assert.equal(logged.getPacket().getTimestamp(), '1500000000000');
+
+      done();
+    })
+  });
+});